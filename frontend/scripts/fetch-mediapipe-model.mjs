@@ -0,0 +1,44 @@
+// fetch-mediapipe-model.mjs
+// Downloads a MediaPipe model into public/mediapipe so the app (dev server and build)
+// serves it itself: the hand landmarker by default, or the face landmarker used for head
+// parallax. Run once on a machine with internet access:
+//   npm run fetch-hand-model
+//   npm run fetch-face-model
+// then copy public/mediapipe along with the checkout to offline machines.
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const MODELS = {
+    hand: {
+        url: "https://storage.googleapis.com/mediapipe-assets/hand_landmarker.task",
+        file: "hand_landmarker.task",
+    },
+    face: {
+        url: "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
+        file: "face_landmarker.task",
+    },
+};
+
+const name = process.argv.slice(2).find((arg) => !arg.startsWith("--")) || "hand";
+const model = MODELS[name];
+if (!model) {
+    console.error(`Unknown model "${name}" (one of: ${Object.keys(MODELS).join(", ")})`);
+    process.exit(1);
+}
+const target = fileURLToPath(new URL(`../public/mediapipe/${model.file}`, import.meta.url));
+
+if (fs.existsSync(target) && !process.argv.includes("--force")) {
+    console.log(`${target} already exists (use --force to download again)`);
+    process.exit(0);
+}
+
+const res = await fetch(model.url);
+if (!res.ok) {
+    console.error(`Download failed: ${res.status} ${res.statusText} (${model.url})`);
+    process.exit(1);
+}
+
+fs.mkdirSync(new URL("../public/mediapipe/", import.meta.url), { recursive: true });
+fs.writeFileSync(target, Buffer.from(await res.arrayBuffer()));
+console.log(`Saved ${target}`);
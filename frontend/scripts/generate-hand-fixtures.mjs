@@ -0,0 +1,117 @@
+// generate-hand-fixtures.mjs
+// Writes the synthetic hand recordings in src/components/__fixtures__/hands that the gesture
+// tests replay. They aren't camera captures: each is a scripted pose (palm to the camera,
+// fingers up, 21 landmarks like MediaPipe's) moved frame by frame, 33 ms apart, and run
+// through HandTracker's frame builder so the derived fields match what a live session records.
+//   npm run generate-hand-fixtures
+// Edit a scenario below and run it again to change a fixture; the output is deterministic.
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { createServer } from "vite";
+
+const OUT = new URL("../src/components/__fixtures__/hands/", import.meta.url);
+const FRAMES = 16;
+const FRAME_MS = 33;
+// Fixed, so regenerating an unchanged scenario gives the same file
+const CREATED_AT = "2026-10-19T00:00:00.000Z";
+
+// ================================
+// Hand model
+// ================================
+
+// An open hand in units of its size, from the wrist (y up the screen is negative)
+const OPEN = {
+    wrist: [0, 0, 0],
+    thumb: [[-0.25, -0.15, -0.02], [-0.42, -0.3, -0.03], [-0.55, -0.44, -0.04], [-0.66, -0.56, -0.05]],
+    index: [[-0.2, -0.75, 0], [-0.22, -1.05, -0.01], [-0.23, -1.25, -0.02], [-0.24, -1.42, -0.03]],
+    middle: [[0, -0.78, 0], [0, -1.12, -0.01], [0, -1.34, -0.02], [0, -1.52, -0.03]],
+    ring: [[0.18, -0.72, 0], [0.2, -1.0, -0.01], [0.21, -1.2, -0.02], [0.22, -1.36, -0.03]],
+    pinky: [[0.33, -0.62, 0], [0.37, -0.83, -0.01], [0.39, -0.98, -0.02], [0.41, -1.1, -0.03]],
+};
+const THUMB_UP = [[-0.25, -0.15, -0.02], [-0.4, -0.4, -0.03], [-0.5, -0.7, -0.04], [-0.58, -0.98, -0.05]];
+const THUMB_CURLED = [[-0.25, -0.15, -0.02], [-0.3, -0.35, -0.08], [-0.2, -0.5, -0.12], [-0.08, -0.55, -0.14]];
+// Middle fingertip folded deep into the palm
+const MIDDLE_TUCKED = [[0, -0.78, 0], [0, -0.95, -0.12], [0, -0.6, -0.2], [0, -0.28, -0.14]];
+
+function curled([x, y]) {
+    return [[x, y, 0], [x, y - 0.22, -0.12], [x, y - 0.08, -0.2], [x, y + 0.1, -0.16]];
+}
+
+/**
+ * The 21 landmarks of a hand with its wrist at (x, y) in the image, `size` tall. `curl` names
+ * the fingers (and thumb) folded; `pinch` (0 to 1) brings the thumb tip to the index tip.
+ */
+function hand({ x = 0.5, y = 0.6, size = 0.18, curl = {}, pinch = 0, tucked = false, thumbUp = false }) {
+    const fingers = {};
+    for (const name of ["index", "middle", "ring", "pinky"]) {
+        fingers[name] = curl[name] ? curled(OPEN[name][0]) : OPEN[name].map((p) => p.slice());
+    }
+    if (tucked) fingers.middle = MIDDLE_TUCKED;
+
+    let thumb = OPEN.thumb.map((p) => p.slice());
+    if (thumbUp) thumb = THUMB_UP;
+    if (curl.thumb) thumb = THUMB_CURLED;
+    if (pinch > 0) {
+        const target = fingers.index[3];
+        thumb[3] = thumb[3].map((v, i) => v + (target[i] - v) * pinch);
+        thumb[2] = thumb[2].map((v, i) => v + (target[i] - v) * pinch * 0.5);
+    }
+
+    const points = [OPEN.wrist, ...thumb, ...fingers.index, ...fingers.middle, ...fingers.ring, ...fingers.pinky];
+    return points.map(([px, py, pz]) => ({
+        x: +(x + px * size).toFixed(5),
+        y: +(y + py * size).toFixed(5),
+        z: +(pz * size).toFixed(5),
+    }));
+}
+
+// ================================
+// Scenarios: frame index -> the hands in view
+// ================================
+
+const FIST = { curl: { index: true, middle: true, ring: true, pinky: true, thumb: true } };
+const L_SHAPE = { curl: { ring: true, pinky: true }, tucked: true };
+// Thumbs up, peace sign, pointing, open palm: four frames each
+const POSE_TOUR = [
+    { curl: { index: true, middle: true, ring: true, pinky: true }, thumbUp: true },
+    { curl: { ring: true, pinky: true, thumb: true } },
+    { curl: { middle: true, ring: true, pinky: true, thumb: true } },
+    {},
+];
+
+const SCENARIOS = {
+    "palm-drag": (i) => [hand({ x: 0.3 + i * 0.025, y: 0.6 })],
+    "pinch-zoom": (i) => [hand({ x: 0.5, y: 0.6, pinch: Math.min(1, i / 12) })],
+    "l-shape-reset": (i) => (i < 3 ? [] : i < 6 ? [hand({ x: 0.5, y: 0.6, ...FIST })] : [hand({ x: 0.5, y: 0.6, ...L_SHAPE })]),
+    "static-poses": (i) => [hand({ x: 0.5, y: 0.6, ...POSE_TOUR[Math.floor(i / 4)] })],
+    // The palm moves towards image left (the user's right), 0.5 in 8 frames
+    "swipe-right": (i) => [hand({ x: 0.75 - Math.max(0, Math.min(8, i - 4)) * 0.0625, y: 0.6 })],
+    // Counter-clockwise in the image is clockwise for the user
+    "circle-cw": (i) => [hand({ x: 0.5 + 0.08 * Math.cos((-i * 2 * Math.PI) / 14), y: 0.6 + 0.08 * Math.sin((-i * 2 * Math.PI) / 14) })],
+    "push": (i) => [hand({ x: 0.5, y: 0.7, size: 0.15 + Math.max(0, Math.min(6, i - 4)) * 0.02 })],
+    "two-hands": (i) => (i < 2 ? [] : [hand({ x: 0.3, y: 0.6 + i * 0.01, ...FIST }), hand({ x: 0.7, y: 0.6 + i * 0.01, ...FIST })]),
+};
+
+// HandTracker reads Vite's import.meta.env, so it's loaded through Vite
+const server = await createServer({
+    configFile: false,
+    logLevel: "error",
+    appType: "custom",
+    server: { middlewareMode: true },
+    optimizeDeps: { noDiscovery: true },
+});
+try {
+    const { createFrameBuilder } = await server.ssrLoadModule(fileURLToPath(new URL("../src/components/HandTracker.js", import.meta.url)));
+    fs.mkdirSync(OUT, { recursive: true });
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+        const build = createFrameBuilder();
+        const frames = Array.from({ length: FRAMES }, (_, i) => build(scenario(i), i * FRAME_MS));
+        // Five decimals, as HandRecording keeps them
+        const rounded = JSON.parse(JSON.stringify(frames, (key, v) => (typeof v === "number" ? Math.round(v * 1e5) / 1e5 : v)));
+        fs.writeFileSync(new URL(`${name}.json`, OUT), JSON.stringify({ version: 1, createdAt: CREATED_AT, frames: rounded }) + "\n");
+        console.log(`Wrote ${name}.json`);
+    }
+} finally {
+    await server.close();
+}
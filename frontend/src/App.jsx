@@ -1,19 +1,165 @@
-import { useState } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import ModelBrowser from "./components/ModelBrowser";
 import HoloViewer from "./components/HoloViewer";
 import CommandBox from "./components/CommandBox";
 import VoiceCommand from "./components/VoiceCommand";
 import HoloHUD from "./components/HoloHUD";
+import RecordingControls from "./components/RecordingControls";
+import ManipulationToggle from "./components/ManipulationToggle";
+import SkeletonToggle from "./components/SkeletonToggle";
+import ProfileControls from "./components/ProfileControls";
+import TrackerControls from "./components/TrackerControls";
+import HandPreview from "./components/HandPreview";
+import RenderModeToggle from "./components/RenderModeToggle";
+import DisplayControls from "./components/DisplayControls";
+import HeadParallaxControls from "./components/HeadParallaxControls";
+import StylePanel from "./components/StylePanel";
+import { getHandTracker } from "./components/HandTracker";
+import { getActiveProfile } from "./components/GestureCalibration";
+import { modelKey, loadViewpoint } from "./components/ViewHistory";
+import { decodeSceneState, encodeSceneState, writeSceneHash } from "./components/SceneState";
+import { loadPyramidSettings } from "./components/PyramidDisplay";
+import { loadStereoSettings } from "./components/StereoDisplay";
+import { loadHeadParallaxSettings } from "./components/HeadTracker";
+import { findPreset, loadPreset, attachedPreset } from "./components/ShaderPresets";
 import "./index.css";
 
+// After a link is opened or back / forward is used, the scene takes a moment to get there
+// (model list, pose settling); address bar updates meanwhile replace the entry instead of adding one
+const RESTORE_MS = 1500;
+
+// A command for HoloViewer that jumps to `pose`
+const poseCommand = (pose) => ({ text: "", commands: [{ type: "pose", pose, text: "" }], errors: [], id: Date.now() });
+
 export default function App() {
+    // The scene in the address bar, if the page was opened from a shared link
+    const [linked] = useState(() => decodeSceneState(window.location.hash));
     const [modelURL, setModelURL] = useState(null);
-    const [command, setCommand] = useState(null);
+    const [modelRequest, setModelRequest] = useState(() => (linked.model ? { name: linked.model, id: Date.now() } : null));
+    const [command, setCommand] = useState(() => (linked.pose ? poseCommand(linked.pose) : null));
+    const [pose, setPose] = useState(linked.pose);
+    const [shader, setShader] = useState(linked.shader);
+    const [renderMode, setRenderMode] = useState(linked.renderMode);
+    const [displayMode, setDisplayMode] = useState(linked.displayMode);
+    const [pyramid, setPyramid] = useState(() => loadPyramidSettings());
+    const [stereo, setStereo] = useState(() => loadStereoSettings());
+    const [headParallax, setHeadParallax] = useState(false);
+    const [parallax, setParallax] = useState(() => loadHeadParallaxSettings());
     const [activeGesture, setActiveGesture] = useState("IDLE");
     const [coords, setCoords] = useState({ x: 0.5, y: 0.5 });
     const [trackerActive, setTrackerActive] = useState(false);
+    const [tracker, setTracker] = useState(() => ({ state: getHandTracker().state, error: getHandTracker().error }));
+    const [voiceMessage, setVoiceMessage] = useState(null);
+    const [playback, setPlayback] = useState(null);
+    const [modelStep, setModelStep] = useState(null);
+    const [manipulation, setManipulation] = useState("clutch");
+    const [showHands, setShowHands] = useState(linked.showHands);
+    const [selectedPart, setSelectedPart] = useState(null);
+    const [controller, setController] = useState(null);
+    const [gestureProfile, setGestureProfile] = useState(getActiveProfile);
+    const recorderRef = useRef(null);
+    const calibrationRef = useRef(null);
+    const restoringUntilRef = useRef(Infinity);
+    // A model opened from a link or back / forward keeps the look that came with it
+    const lookFromLinkRef = useRef(linked.model);
+    // A style slider or colour being dragged: "start", then "dragging" until it's let go
+    const lookDragRef = useRef(null);
+
+    // A model with a style preset attached opens in it (see StylePanel.jsx)
+    const handleModelURL = useCallback((url) => {
+        setModelURL(url);
+        const name = modelKey(url);
+        if (!name) return;
+        if (lookFromLinkRef.current === name) {
+            lookFromLinkRef.current = null;
+            return;
+        }
+        const preset = attachedPreset(name);
+        if (preset) setShader(loadPreset(preset));
+    }, []);
+    // The drag's first change adds a history entry and the rest replace it, so back undoes the whole drag
+    const dragShader = useCallback((style) => {
+        if (!lookDragRef.current) lookDragRef.current = "start";
+        setShader(style);
+    }, []);
+    const endShaderDrag = useCallback(() => {
+        lookDragRef.current = null;
+    }, []);
+    const handleModelStep = useCallback((step) => setModelStep({ step, id: Date.now() }), []);
+    const handleCommand = useCallback((result) => {
+        // "next model" / "previous model" go to the browser; the rest to the viewer
+        const step = result.commands.filter((c) => c.type === "model").reduce((sum, c) => sum + c.step, 0);
+        if (step) handleModelStep(step);
+        // "color cyan" / "style glitch" change the look, kept here
+        const errors = [];
+        // Views saved or deleted earlier in the same line count for the ones after them
+        const model = modelKey(modelURL);
+        const viewpoints = new Map();
+        result.commands.forEach((c) => {
+            if (c.type === "color") {
+                setShader((s) => ({ ...s, color: c.color }));
+            } else if (c.type === "style") {
+                const preset = findPreset(c.preset);
+                if (preset) setShader(loadPreset(preset));
+                else errors.push({ text: c.text, message: `No style "${c.preset}"` });
+            } else if (c.type === "viewpoint" && model) {
+                if (c.action !== "go") viewpoints.set(c.name, c.action === "save");
+                else if (!(viewpoints.has(c.name) ? viewpoints.get(c.name) : loadViewpoint(model, c.name))) {
+                    errors.push({ text: c.text, message: `No view "${c.name}" saved for ${model}` });
+                }
+            }
+        });
+        setCommand({ ...result, id: Date.now() });
+        // Reported by the command box / voice like parse errors
+        return errors;
+    }, [handleModelStep, modelURL]);
+    const handleFrame = useCallback((frame) => {
+        if (recorderRef.current) recorderRef.current.record(frame);
+        if (calibrationRef.current) calibrationRef.current.record(frame);
+    }, []);
+    const handleVoiceFeedback = useCallback((text, kind) => setVoiceMessage({ text, kind, id: Date.now() }), []);
+
+    useEffect(() => getHandTracker().subscribe((state, error) => setTracker({ state, error })), []);
 
-    const modelName = modelURL ? modelURL.split("/").pop().split("?")[0] : null;
+    // Voice feedback only stays on the HUD for a few seconds
+    useEffect(() => {
+        if (!voiceMessage) return;
+        const t = setTimeout(() => setVoiceMessage(null), 4000);
+        return () => clearTimeout(t);
+    }, [voiceMessage]);
+
+    const modelName = modelKey(modelURL);
+
+    // Keep the scene in the URL hash: each settled change is a history entry
+    useEffect(() => {
+        if (!modelName) return;
+        const hash = encodeSceneState({ model: modelName, pose, shader, renderMode, displayMode, showHands });
+        // Opening the page is a restore too, timed from when the first model shows
+        if (restoringUntilRef.current === Infinity) restoringUntilRef.current = performance.now() + RESTORE_MS;
+        const dragging = lookDragRef.current === "dragging";
+        writeSceneHash(hash, { replace: dragging || performance.now() < restoringUntilRef.current });
+        if (lookDragRef.current === "start") lookDragRef.current = "dragging";
+    }, [modelName, pose, shader, renderMode, displayMode, showHands]);
+
+    // Back / forward: restore the scene in the hash
+    useEffect(() => {
+        function onPopState() {
+            const scene = decodeSceneState(window.location.hash);
+            restoringUntilRef.current = performance.now() + RESTORE_MS;
+            lookFromLinkRef.current = scene.model;
+            if (scene.model) setModelRequest({ name: scene.model, id: Date.now() });
+            if (scene.pose) {
+                setPose(scene.pose);
+                setCommand(poseCommand(scene.pose));
+            }
+            setShader(scene.shader);
+            setRenderMode(scene.renderMode);
+            setDisplayMode(scene.displayMode);
+            setShowHands(scene.showHands);
+        }
+        window.addEventListener("popstate", onPopState);
+        return () => window.removeEventListener("popstate", onPopState);
+    }, []);
 
     return (
         <div className="app-root">
@@ -25,11 +171,20 @@ export default function App() {
 
             {/* Control Panel */}
             <div className="control-panel">
-                <ModelBrowser setModelURL={setModelURL} />
+                <ModelBrowser setModelURL={handleModelURL} modelStep={modelStep} modelRequest={modelRequest} />
                 {modelURL && (
                     <>
-                        <CommandBox onCommand={(cmd) => setCommand({ text: cmd, id: Date.now() })} />
-                        <VoiceCommand onCommand={(cmd) => setCommand({ text: cmd, id: Date.now() })} />
+                        <CommandBox onCommand={handleCommand} />
+                        <VoiceCommand onCommand={handleCommand} onFeedback={handleVoiceFeedback} />
+                        <RecordingControls recorderRef={recorderRef} playback={playback} setPlayback={setPlayback} />
+                        <TrackerControls disabled={!!playback} />
+                        <ManipulationToggle mode={manipulation} setMode={setManipulation} />
+                        <SkeletonToggle showHands={showHands} setShowHands={setShowHands} />
+                        <RenderModeToggle mode={renderMode} setMode={setRenderMode} />
+                        <StylePanel shader={shader} setShader={setShader} dragShader={dragShader} endDrag={endShaderDrag} modelName={modelName} displayMode={displayMode} />
+                        <DisplayControls mode={displayMode} setMode={setDisplayMode} pyramid={pyramid} setPyramid={setPyramid} stereo={stereo} setStereo={setStereo} />
+                        <HeadParallaxControls enabled={headParallax} setEnabled={setHeadParallax} settings={parallax} setSettings={setParallax} />
+                        <ProfileControls profile={gestureProfile} onProfileChange={setGestureProfile} samplerRef={calibrationRef} />
                     </>
                 )}
             </div>
@@ -41,18 +196,41 @@ export default function App() {
                         <HoloViewer 
                             modelURL={modelURL} 
                             command={command} 
+                            onFrame={handleFrame}
+                            onModelStep={handleModelStep}
+                            playback={playback}
+                            manipulation={manipulation}
+                            showHands={showHands}
+                            onSelect={setSelectedPart}
+                            onController={setController}
+                            onPose={setPose}
+                            shader={shader}
+                            renderMode={renderMode}
+                            displayMode={displayMode}
+                            pyramid={pyramid}
+                            stereo={stereo}
+                            headParallax={headParallax}
+                            parallax={parallax}
+                            gestureConfig={gestureProfile ? gestureProfile.config : undefined}
                             onGesture={(g, c, a) => {
                                 setActiveGesture(g);
                                 setCoords(c);
                                 setTrackerActive(a);
                             }} 
                         />
-                        <HoloHUD 
+                        {/* Overlays would show up in the pyramid's reflections and get split across eyes and views */}
+                        {(displayMode === "single" || displayMode === "anaglyph") && <HoloHUD 
                             modelName={modelName} 
+                            selectedPart={selectedPart}
+                            controller={controller}
                             activeGesture={activeGesture} 
                             coords={coords} 
                             trackerActive={trackerActive}
-                        />
+                            trackerState={playback ? "playback" : tracker.state}
+                            trackerError={playback ? null : tracker.error}
+                            voiceMessage={voiceMessage}
+                        />}
+                        <HandPreview gestureConfig={gestureProfile ? gestureProfile.config : undefined} />
                     </>
                 ) : (
                     <div className="idle-hint">
@@ -0,0 +1,170 @@
+import { useState, useEffect, useRef } from "react";
+import { CALIBRATION_STEPS, createCalibrationSampler, deriveConfig } from "./GestureCalibration";
+
+const MIN_STEP_SAMPLES = 10;
+
+const buttonStyle = {
+    background: "#ffcc00",
+    border: "none",
+    color: "#000",
+    padding: "7px 20px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    fontWeight: "700",
+    fontFamily: "inherit",
+    letterSpacing: "1px"
+};
+
+const secondaryStyle = {
+    ...buttonStyle,
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    fontWeight: "400"
+};
+
+// Guided calibration: captures each step from the live tracker frames, then saves a named profile.
+// Frames reach the sampler through `samplerRef`, which the parent feeds from HoloViewer's onFrame.
+export default function CalibrationWizard({ samplerRef, onSave, onClose }) {
+    const [sampler] = useState(createCalibrationSampler);
+    const [stepIndex, setStepIndex] = useState(0);
+    const [remaining, setRemaining] = useState(null); // ms left while capturing
+    const [error, setError] = useState(null);
+    const [config, setConfig] = useState(null);
+    const [name, setName] = useState("");
+    const timerRef = useRef(null);
+
+    useEffect(() => {
+        samplerRef.current = sampler;
+        return () => {
+            samplerRef.current = null;
+            clearInterval(timerRef.current);
+        };
+    }, [samplerRef, sampler]);
+
+    const step = CALIBRATION_STEPS[stepIndex];
+    const done = stepIndex >= CALIBRATION_STEPS.length;
+
+    function capture() {
+        setError(null);
+        sampler.start(step.id);
+        const endsAt = performance.now() + step.durationMs;
+        setRemaining(step.durationMs);
+
+        timerRef.current = setInterval(() => {
+            const left = endsAt - performance.now();
+            if (left > 0) {
+                setRemaining(left);
+                return;
+            }
+            clearInterval(timerRef.current);
+            sampler.stop();
+            setRemaining(null);
+
+            if (sampler.samples[step.id].length < MIN_STEP_SAMPLES) {
+                setError("Couldn't see your hand clearly. Keep it in view of the camera and try again.");
+                return;
+            }
+            if (stepIndex + 1 < CALIBRATION_STEPS.length) {
+                setStepIndex(stepIndex + 1);
+                return;
+            }
+            try {
+                setConfig(deriveConfig(sampler.samples));
+            } catch (err) {
+                setError(err.message);
+            }
+            setStepIndex(stepIndex + 1);
+        }, 100);
+    }
+
+    function restart() {
+        setStepIndex(0);
+        setConfig(null);
+        setError(null);
+    }
+
+    function save() {
+        try {
+            onSave(name, config);
+        } catch (err) {
+            setError(err.message);
+        }
+    }
+
+    return (
+        <div style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0, 0, 0, 0.6)",
+            display: "flex",
+            alignItems: "flex-end",
+            justifyContent: "center",
+            paddingBottom: "40px",
+            zIndex: 20
+        }}>
+            <div style={{
+                width: "420px",
+                background: "rgba(10, 6, 2, 0.92)",
+                border: "1px solid #ffcc00",
+                borderRadius: "12px",
+                padding: "20px 24px",
+                color: "#ffcc00",
+                textAlign: "center"
+            }}>
+                <div style={{ fontSize: "0.7em", letterSpacing: "2px", opacity: 0.7 }}>
+                    GESTURE CALIBRATION {done ? "" : `· STEP ${stepIndex + 1} / ${CALIBRATION_STEPS.length}`}
+                </div>
+
+                {!done && (
+                    <>
+                        <h3 style={{ margin: "10px 0", letterSpacing: "2px" }}>{step.title}</h3>
+                        <p style={{ color: "#fff", margin: "0 0 16px" }}>{step.prompt}</p>
+                        {remaining !== null ? (
+                            <div style={{ height: "6px", background: "rgba(255, 204, 0, 0.2)", borderRadius: "3px", overflow: "hidden" }}>
+                                <div style={{ height: "100%", width: `${100 - (remaining / step.durationMs) * 100}%`, background: "#ffcc00" }} />
+                            </div>
+                        ) : (
+                            <button onClick={capture} style={buttonStyle}>CAPTURE</button>
+                        )}
+                    </>
+                )}
+
+                {done && config && (
+                    <>
+                        <h3 style={{ margin: "10px 0", letterSpacing: "2px" }}>SAVE PROFILE</h3>
+                        <input
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            onKeyDown={(e) => e.key === "Enter" && save()}
+                            placeholder="Profile name"
+                            autoFocus
+                            style={{
+                                width: "100%",
+                                boxSizing: "border-box",
+                                background: "rgba(0, 0, 0, 0.5)",
+                                border: "1px solid #ffcc00",
+                                color: "#ffcc00",
+                                padding: "8px 10px",
+                                borderRadius: "8px",
+                                outline: "none",
+                                fontFamily: "inherit",
+                                marginBottom: "12px"
+                            }}
+                        />
+                        <button onClick={save} disabled={!name.trim()} style={{ ...buttonStyle, opacity: name.trim() ? 1 : 0.5 }}>
+                            SAVE
+                        </button>
+                    </>
+                )}
+
+                {error && <div style={{ color: "#ff4136", fontSize: "0.85em", marginTop: "12px" }}>{error}</div>}
+
+                <div style={{ display: "flex", justifyContent: "center", gap: "10px", marginTop: "16px" }}>
+                    {stepIndex > 0 && <button onClick={restart} disabled={remaining !== null} style={secondaryStyle}>START OVER</button>}
+                    <button onClick={onClose} style={secondaryStyle}>CANCEL</button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,233 @@
+// ClutchController.js
+// Grab-to-manipulate ("clutch") mode for HoloViewer, as an alternative to the absolute
+// wrist -> rotation mapping in computeGesture.
+// - a fist clutches rotation: hand motion while clutched turns the model incrementally
+// - a pinch clutches translation: hand motion while clutched drags the model
+// - both hands clutched stretch (scale), twist (roll) and pan the model together,
+//   using computeGesture's `twoHand` deltas
+// - letting go hands the model off with the last angular velocity, which then decays
+//
+// Rotation is kept as a quaternion about the world axes, so there is no clamp and
+// the model can be turned all the way around. Nothing moves when a hand first appears;
+// only motion after the clutch engages counts.
+//
+// Usage:
+//   const clutch = createClutchController();
+//   clutch.update(frame, computeGesture(frame, prev)); // per tracker frame
+//   clutch.step(dt);                                    // per animation frame
+//   obj.quaternion.copy(clutch.quaternion);
+//   // or, to combine with other input (see InputManager.js):
+//   const delta = clutch.takeDelta();
+//   if (delta) input.submit("hand", delta);
+
+import * as THREE from "three";
+
+export const CLUTCH_CONFIG = {
+    // Pinch engages below ON and releases above OFF (hysteresis)
+    PINCH_ON: 0.05,
+    PINCH_OFF: 0.08,
+
+    // Radians per unit of normalized hand motion
+    ROTATE_SENSITIVITY: 6.0,
+    // Scene units per unit of normalized hand motion (image x is mirrored)
+    MOVE_SENSITIVITY_X: -3.0,
+    MOVE_SENSITIVITY_Y: -3.0,
+    MOVE_LIMIT: 2.0,
+    SCALE_MIN: 0.2,
+    SCALE_MAX: 5.0,
+
+    // Angular velocity smoothing while clutched (0..1, higher = more responsive)
+    VELOCITY_SMOOTHING: 0.35,
+    // Exponential decay rate of the hand-off spin (1/s)
+    INERTIA_DAMPING: 1.8,
+    // Below this (rad/s) the spin stops
+    MIN_SPIN: 0.02,
+    // A release this long after the last motion doesn't throw the model
+    HANDOFF_MAX_IDLE_MS: 120,
+};
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+// Which clutch (if any) the hand is holding, with hysteresis on the pinch
+function clutchOf(hand, pose, current, c) {
+    if (!hand) return null;
+    if (pose && pose.name === "FIST") return "rotate";
+    const threshold = current === "move" ? c.PINCH_OFF : c.PINCH_ON;
+    return hand.pinch < threshold ? "move" : null;
+}
+
+export function createClutchController(config = CLUTCH_CONFIG) {
+    const quaternion = new THREE.Quaternion();
+    const position = new THREE.Vector3();
+    let scale = 1;
+    const angularVelocity = new THREE.Vector3(); // world axis * rad/s
+    const spin = new THREE.Quaternion();
+    // What takeDelta() last handed out
+    const taken = { quaternion: new THREE.Quaternion(), position: new THREE.Vector3(), scale: 1 };
+
+    let mode = null; // "rotate" | "move" | "stretch" | null
+    let handIndex = -1;
+    let anchor = null; // last wrist position while clutched
+    let lastTime = 0;
+    let lastMotion = 0;
+
+    function rotateBy(ax, ay) {
+        spin.setFromAxisAngle(Y_AXIS, ay);
+        quaternion.premultiply(spin);
+        spin.setFromAxisAngle(X_AXIS, ax);
+        quaternion.premultiply(spin);
+    }
+
+    function stretch(twoHand) {
+        const limit = config.MOVE_LIMIT;
+        scale = THREE.MathUtils.clamp(scale * twoHand.scale, config.SCALE_MIN, config.SCALE_MAX);
+        spin.setFromAxisAngle(Z_AXIS, twoHand.roll);
+        quaternion.premultiply(spin);
+        position.x = THREE.MathUtils.clamp(position.x + twoHand.pan.x, -limit, limit);
+        position.y = THREE.MathUtils.clamp(position.y + twoHand.pan.y, -limit, limit);
+    }
+
+    function release(time) {
+        // Only a rotation that was still moving when let go keeps spinning
+        if (mode !== "rotate" || time - lastMotion > config.HANDOFF_MAX_IDLE_MS) angularVelocity.set(0, 0, 0);
+        mode = null;
+        handIndex = -1;
+        anchor = null;
+    }
+
+    return {
+        quaternion,
+        position,
+        angularVelocity,
+
+        /**
+         * Feeds one tracker frame; `gesture` is computeGesture's output for it (for the poses).
+         * Returns the active clutch mode.
+         */
+        update(frame, gesture) {
+            const hands = frame.hands || [];
+            const poses = (gesture && gesture.meta && gesture.meta.poses) || [];
+            const t = frame.time;
+
+            // Both hands holding on: stretch & twist
+            const both = hands.length === 2 && hands.every((h, i) => clutchOf(h, poses[i], mode === "stretch" ? "move" : null, config));
+            if (both && gesture.twoHand) {
+                if (mode === "stretch") stretch(gesture.twoHand);
+                else {
+                    mode = "stretch";
+                    handIndex = -1;
+                    angularVelocity.set(0, 0, 0);
+                }
+                return mode;
+            }
+            if (mode === "stretch") release(t);
+
+            // Keep the hand that engaged; otherwise take the first one that clutches
+            let index = handIndex;
+            let next = index >= 0 ? clutchOf(hands[index], poses[index], mode, config) : null;
+            if (!next) {
+                index = hands.findIndex((h, i) => clutchOf(h, poses[i], null, config));
+                next = index >= 0 ? clutchOf(hands[index], poses[index], null, config) : null;
+            }
+
+            if (!next) {
+                if (mode) release(t);
+                return mode;
+            }
+
+            const wrist = hands[index].wrist;
+            if (next !== mode || index !== handIndex) {
+                // Engaging (or switching clutch) grabs without moving anything
+                mode = next;
+                handIndex = index;
+                anchor = { x: wrist.x, y: wrist.y };
+                angularVelocity.set(0, 0, 0);
+                lastTime = lastMotion = t;
+                return mode;
+            }
+
+            const dx = wrist.x - anchor.x;
+            const dy = wrist.y - anchor.y;
+            const dt = Math.max((t - lastTime) / 1000, 1 / 120);
+            anchor = { x: wrist.x, y: wrist.y };
+            lastTime = t;
+            if (dx || dy) lastMotion = t;
+
+            if (mode === "rotate") {
+                // Mirrored camera: hand moving to the user's right (image left) turns the front to the right
+                const ay = -dx * config.ROTATE_SENSITIVITY;
+                const ax = dy * config.ROTATE_SENSITIVITY;
+                rotateBy(ax, ay);
+
+                const k = config.VELOCITY_SMOOTHING;
+                angularVelocity.set(
+                    angularVelocity.x + (ax / dt - angularVelocity.x) * k,
+                    angularVelocity.y + (ay / dt - angularVelocity.y) * k,
+                    0
+                );
+            } else {
+                const limit = config.MOVE_LIMIT;
+                position.x = THREE.MathUtils.clamp(position.x + dx * config.MOVE_SENSITIVITY_X, -limit, limit);
+                position.y = THREE.MathUtils.clamp(position.y + dy * config.MOVE_SENSITIVITY_Y, -limit, limit);
+            }
+            return mode;
+        },
+
+        /**
+         * Advances the hand-off spin; call once per animation frame.
+         */
+        step(dt) {
+            if (mode) return;
+            const speed = angularVelocity.length();
+            if (speed < config.MIN_SPIN) {
+                angularVelocity.set(0, 0, 0);
+                return;
+            }
+            rotateBy(angularVelocity.x * dt, angularVelocity.y * dt);
+            angularVelocity.multiplyScalar(Math.exp(-config.INERTIA_DAMPING * dt));
+        },
+
+        get mode() {
+            return mode;
+        },
+
+        get scale() {
+            return scale;
+        },
+
+        /**
+         * The rotation, translation and scale change since the last call, as an InputManager
+         * intent ({ turn, move, zoom }), or null if nothing moved.
+         */
+        takeDelta() {
+            // quaternion = turn * taken, since rotations are premultiplied about the world axes
+            const turn = quaternion.clone().multiply(taken.quaternion.clone().invert());
+            const move = position.clone().sub(taken.position);
+            const zoom = scale / taken.scale;
+            taken.quaternion.copy(quaternion);
+            taken.position.copy(position);
+            taken.scale = scale;
+
+            const turned = 1 - Math.abs(turn.w) > 1e-9;
+            if (!turned && !move.lengthSq() && zoom === 1) return null;
+            return { turn, move: { x: move.x, y: move.y }, zoom };
+        },
+
+        reset() {
+            taken.quaternion.identity();
+            taken.position.set(0, 0, 0);
+            taken.scale = 1;
+            quaternion.identity();
+            position.set(0, 0, 0);
+            scale = 1;
+            angularVelocity.set(0, 0, 0);
+            mode = null;
+            handIndex = -1;
+            anchor = null;
+        },
+    };
+}
+
+export default createClutchController;
@@ -0,0 +1,124 @@
+import { describe, it, expect } from "vitest";
+import * as THREE from "three";
+import createClutchController, { CLUTCH_CONFIG } from "./ClutchController";
+import computeGesture from "./GestureEngine";
+import twoHands from "./__fixtures__/hands/two-hands.json";
+
+const FIST = { name: "FIST" };
+
+// Minimal frame + computeGesture-shaped result for one hand
+function input(x, y, time, { pose = null, pinch = 0.2 } = {}) {
+    return [{ time, hands: [{ wrist: { x, y }, pinch }] }, { meta: { poses: [pose] } }];
+}
+
+function yaw(q) {
+    return new THREE.Euler().setFromQuaternion(q, "YXZ").y;
+}
+
+describe("createClutchController", () => {
+    it("doesn't move the model when a hand appears or grabs", () => {
+        const clutch = createClutchController();
+        clutch.update(...input(0.2, 0.3, 0));
+        clutch.update(...input(0.8, 0.7, 33, { pose: FIST }));
+        expect(clutch.mode).toBe("rotate");
+        expect(clutch.quaternion.equals(new THREE.Quaternion())).toBe(true);
+        expect(clutch.position.length()).toBe(0);
+    });
+
+    it("turns incrementally with no clamp while a fist is held", () => {
+        const clutch = createClutchController();
+        // Several strokes to the user's right, re-grabbing in between
+        let t = 0;
+        for (let stroke = 0; stroke < 4; stroke++) {
+            for (let i = 0; i <= 10; i++) clutch.update(...input(0.7 - i * 0.04, 0.5, (t += 33), { pose: FIST }));
+            clutch.update(...input(0.3, 0.5, (t += 400)));
+            clutch.angularVelocity.set(0, 0, 0);
+        }
+        // 4 strokes * 0.4 * 6 rad = 9.6 rad: past a full turn
+        const expected = 4 * 0.4 * CLUTCH_CONFIG.ROTATE_SENSITIVITY;
+        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), expected);
+        expect(clutch.quaternion.angleTo(q)).toBeLessThan(1e-6);
+    });
+
+    it("drags with a pinch", () => {
+        const clutch = createClutchController();
+        clutch.update(...input(0.5, 0.5, 0, { pinch: 0.03 }));
+        clutch.update(...input(0.4, 0.5, 33, { pinch: 0.03 }));
+        // Inside the hysteresis band: still dragging
+        clutch.update(...input(0.3, 0.6, 66, { pinch: 0.07 }));
+        expect(clutch.mode).toBe("move");
+        expect(clutch.position.x).toBeCloseTo(0.2 * -CLUTCH_CONFIG.MOVE_SENSITIVITY_X);
+        expect(clutch.position.y).toBeCloseTo(0.1 * CLUTCH_CONFIG.MOVE_SENSITIVITY_Y);
+        expect(clutch.quaternion.equals(new THREE.Quaternion())).toBe(true);
+    });
+
+    it("keeps spinning after release and slows down", () => {
+        const clutch = createClutchController();
+        for (let i = 0; i <= 6; i++) clutch.update(...input(0.7 - i * 0.03, 0.5, i * 33, { pose: FIST }));
+        clutch.update(...input(0.5, 0.5, 7 * 33));
+        expect(clutch.mode).toBe(null);
+
+        const released = yaw(clutch.quaternion);
+        const speed = clutch.angularVelocity.y;
+        expect(speed).toBeGreaterThan(1);
+
+        for (let i = 0; i < 30; i++) clutch.step(1 / 60);
+        expect(yaw(clutch.quaternion)).toBeGreaterThan(released);
+        expect(clutch.angularVelocity.y).toBeLessThan(speed);
+        expect(clutch.angularVelocity.y).toBeGreaterThan(0);
+
+        for (let i = 0; i < 600; i++) clutch.step(1 / 60);
+        expect(clutch.angularVelocity.length()).toBe(0);
+    });
+
+    it("doesn't throw the model when released after holding still", () => {
+        const clutch = createClutchController();
+        for (let i = 0; i <= 6; i++) clutch.update(...input(0.7 - i * 0.03, 0.5, i * 33, { pose: FIST }));
+        for (let i = 7; i <= 14; i++) clutch.update(...input(0.52, 0.5, i * 33, { pose: FIST }));
+        clutch.update(...input(0.52, 0.5, 15 * 33));
+        expect(clutch.angularVelocity.length()).toBe(0);
+    });
+
+    it("stretches with both recorded fists", () => {
+        const clutch = createClutchController();
+        let prev = {};
+        const modes = twoHands.frames.map((frame) => {
+            prev = computeGesture(frame, prev);
+            return clutch.update(frame, prev);
+        });
+        expect(modes.slice(0, 2)).toEqual([null, null]);
+        expect(modes.slice(2).every((m) => m === "stretch")).toBe(true);
+        // Both fists drift down together: the model pans down, unscaled and untwisted
+        expect(clutch.position.y).toBeLessThan(0);
+        expect(clutch.scale).toBeCloseTo(1, 5);
+        expect(clutch.quaternion.equals(new THREE.Quaternion())).toBe(true);
+    });
+
+    it("twists and scales with two clutched hands", () => {
+        const clutch = createClutchController();
+        const hands = (spread, tilt, time) => ({
+            time,
+            hands: [{ wrist: { x: 0.5 - spread, y: 0.5 - tilt }, pinch: 0.02 }, { wrist: { x: 0.5 + spread, y: 0.5 + tilt }, pinch: 0.02 }],
+        });
+        let prev = {};
+        [hands(0.1, 0, 0), hands(0.1, 0, 33), hands(0.2, 0.2, 66)].forEach((frame) => {
+            prev = computeGesture(frame, prev);
+            clutch.update(frame, prev);
+        });
+        expect(clutch.scale).toBeCloseTo(Math.hypot(0.4, 0.4) / 0.2);
+        const roll = new THREE.Euler().setFromQuaternion(clutch.quaternion).z;
+        expect(roll).toBeCloseTo(Math.PI / 4);
+    });
+
+    it("hands out each change once as a delta", () => {
+        const clutch = createClutchController();
+        expect(clutch.takeDelta()).toBe(null);
+        clutch.update(...input(0.5, 0.5, 0, { pose: FIST }));
+        clutch.update(...input(0.4, 0.5, 33, { pose: FIST }));
+
+        const delta = clutch.takeDelta();
+        expect(delta.zoom).toBe(1);
+        expect(delta.turn.angleTo(clutch.quaternion)).toBeLessThan(1e-6);
+        expect(clutch.takeDelta()).toBe(null);
+    });
+});
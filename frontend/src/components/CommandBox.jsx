@@ -1,14 +1,25 @@
 import { useState } from "react";
+import parseCommand from "./CommandParser";
 
+// `onCommand` may return errors ({ text, message }, as parseCommand's) for clauses that
+// parsed but couldn't be carried out
 export default function CommandBox({ onCommand }) {
     const [command, setCommand] = useState("");
+    const [errors, setErrors] = useState([]);
 
     function handleSubmit(e) {
         e.preventDefault();
-        if (command.trim()) {
-            onCommand(command.trim());
-            setCommand("");
+        if (!command.trim()) return;
+
+        const result = parseCommand(command.trim());
+        if (result.errors.length) {
+            // Keep the text so the user can fix it in place
+            setErrors(result.errors);
+            return;
         }
+        const failed = onCommand(result) || [];
+        setErrors(failed);
+        if (!failed.length) setCommand("");
     }
 
     return (
@@ -16,11 +27,14 @@ export default function CommandBox({ onCommand }) {
             <input
                 type="text"
                 value={command}
-                onChange={(e) => setCommand(e.target.value)}
-                placeholder="Enter command..."
+                onChange={(e) => {
+                    setCommand(e.target.value);
+                    if (errors.length) setErrors([]);
+                }}
+                placeholder="e.g. rotate left 45 then scale to 2"
                 style={{
                     background: "rgba(0, 0, 0, 0.5)",
-                    border: "1px solid #ffcc00",
+                    border: `1px solid ${errors.length ? "#ff4136" : "#ffcc00"}`,
                     color: "#ffcc00",
                     padding: "6px 14px",
                     borderRadius: "8px",
@@ -46,6 +60,11 @@ export default function CommandBox({ onCommand }) {
             >
                 Execute
             </button>
+            {errors.length > 0 && (
+                <div style={{ marginTop: "6px", color: "#ff4136", fontSize: "0.8em" }}>
+                    {errors.map((err, i) => <div key={i}>{err.message}</div>)}
+                </div>
+            )}
         </form>
     );
 }
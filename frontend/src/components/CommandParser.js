@@ -0,0 +1,386 @@
+// CommandParser.js
+// Turns typed or spoken command text into structured transform commands for HoloViewer.
+// - verb synonyms (turn/spin -> rotate, zoom/resize -> scale, shift/pan -> move)
+// - units: degrees / radians for rotation, percent or "x" for scale
+// - relative ("scale by 2") and absolute ("scale to 2") forms
+// - chained clauses joined by "and" / "then" / "," / ";"
+// - "snap rotate right" rotates onto the next 90° step; "next model", "autospin on"
+// - "undo" / "redo"; "save view front", "go to view front", "delete view front"
+// - "color cyan" and "style glitch" for the hologram's look (see ShaderPresets.js)
+//
+// Usage:
+//   import parseCommand from "./CommandParser";
+//   const { commands, errors } = parseCommand("rotate left by 45 degrees then scale to 2");
+//
+// Commands:
+//   { type: "rotate", axis: "x" | "y" | "z", mode: "relative" | "absolute", value }  (value in radians)
+//   { type: "scale", mode: "relative" | "absolute", value }                          (value is a factor)
+//   { type: "move", axis: "x" | "y" | "z", mode: "relative" | "absolute", value }    (value in scene units)
+//   { type: "reset" }
+//   { type: "model", step: 1 | -1 }                                                   (handled by ModelBrowser)
+//   { type: "autospin", mode: "on" | "off" | "toggle" }
+//   { type: "undo" } / { type: "redo" }
+//   { type: "viewpoint", action: "save" | "go" | "delete", name }                    (see ViewHistory.js)
+//   { type: "color", name, color }                                                  (color is "#rrggbb"; handled by App)
+//   { type: "style", preset }                                                        (a preset name or part of one; handled by App)
+// Snapped rotations carry `snap: true`.
+// Every command also carries `text`, the clause it was parsed from.
+
+export const VERBS = {
+    rotate: "rotate", rot: "rotate", turn: "rotate", spin: "rotate", orbit: "rotate",
+    scale: "scale", zoom: "scale", resize: "scale", size: "scale",
+    move: "move", position: "move", translate: "move", shift: "move", pan: "move",
+    reset: "reset", home: "reset", center: "reset", centre: "reset", recenter: "reset",
+    snap: "snap",
+    next: "model", previous: "model", prev: "model",
+    autospin: "autospin",
+    undo: "undo", redo: "redo",
+    save: "save", go: "go", goto: "go", load: "go", restore: "go", delete: "delete", remove: "delete",
+    color: "color", colour: "color", tint: "color",
+    style: "style", preset: "style", look: "style", theme: "style",
+};
+
+// Named colours for "color cyan"
+export const COLOR_NAMES = {
+    amber: "#ffcc00", yellow: "#ffee33", gold: "#ffb700", orange: "#ff8800",
+    red: "#ff3b30", pink: "#ff66cc", magenta: "#ff33ff", purple: "#9933ff", violet: "#9966ff",
+    blue: "#3388ff", cyan: "#33e0ff", teal: "#22ccaa", green: "#33ff66", lime: "#aaff33",
+    white: "#ffffff",
+};
+
+const AUTOSPIN_MODES = {
+    on: "on", start: "on", enable: "on",
+    off: "off", stop: "off", disable: "off",
+    toggle: "toggle",
+};
+
+const FILLER = new Set([
+    "the", "model", "object", "it", "a", "an", "please", "of", "view", "around", "along", "axis", "times",
+]);
+
+const ROTATE_DIRECTIONS = {
+    left: { axis: "y", sign: -1 },
+    right: { axis: "y", sign: 1 },
+    up: { axis: "x", sign: -1 },
+    down: { axis: "x", sign: 1 },
+};
+
+const MOVE_DIRECTIONS = {
+    left: { axis: "x", sign: -1 },
+    right: { axis: "x", sign: 1 },
+    up: { axis: "y", sign: 1 },
+    down: { axis: "y", sign: -1 },
+    forward: { axis: "z", sign: 1 },
+    closer: { axis: "z", sign: 1 },
+    back: { axis: "z", sign: -1 },
+    backward: { axis: "z", sign: -1 },
+    backwards: { axis: "z", sign: -1 },
+    away: { axis: "z", sign: -1 },
+};
+
+const SCALE_DIRECTIONS = {
+    up: 2, in: 2, bigger: 2, larger: 2,
+    down: 0.5, out: 0.5, smaller: 0.5,
+};
+
+const ANGLE_UNITS = {
+    deg: 1, degree: 1, degrees: 1,
+    rad: 180 / Math.PI, radian: 180 / Math.PI, radians: 180 / Math.PI,
+};
+
+const AXES = new Set(["x", "y", "z"]);
+
+export const COMMAND_DEFAULTS = {
+    ROTATE_DEG: 90,
+    MOVE_STEP: 0.5,
+};
+
+const CLAUSE_SPLIT = /\s*(?:[,;]|\band then\b|\bthen\b|\band\b)\s*/;
+
+function normalize(text) {
+    return text
+        .toLowerCase()
+        .replace(/\bauto[\s-]?spin\b/g, "autospin")
+        .replace(/°/g, " deg ")
+        .replace(/(\d)x\b/g, "$1 times")
+        .replace(/(\d)(%|[a-z]+)/g, "$1 $2")
+        .replace(/%/g, " percent ")
+        .replace(/[^a-z0-9.,;\-\s]/g, " ")
+        .replace(/\.(?!\d)/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function tokenize(clause) {
+    return clause.split(/\s+/).filter((t) => t && !FILLER.has(t));
+}
+
+function readNumber(token) {
+    if (!/^-?(\d+\.?\d*|\.\d+)$/.test(token)) return null;
+    return parseFloat(token);
+}
+
+function fail(text, message) {
+    return { error: { text, message } };
+}
+
+function parseRotate(tokens, text) {
+    let axis = null, sign = 1, mode = "relative", amount = null, unit = 1;
+
+    for (const t of tokens) {
+        const n = readNumber(t);
+        if (n !== null) {
+            if (amount !== null) return fail(text, `Two angles given in "${text}"`);
+            amount = n;
+        } else if (ROTATE_DIRECTIONS[t]) {
+            if (axis) return fail(text, `Two directions given in "${text}"`);
+            ({ axis, sign } = ROTATE_DIRECTIONS[t]);
+        } else if (AXES.has(t)) {
+            if (axis) return fail(text, `Two axes given in "${text}"`);
+            axis = t;
+        } else if (ANGLE_UNITS[t]) {
+            unit = ANGLE_UNITS[t];
+        } else if (t === "to") {
+            mode = "absolute";
+        } else if (t === "by") {
+            mode = "relative";
+        } else {
+            return fail(text, `Didn't understand "${t}" in "${text}"`);
+        }
+    }
+
+    if (mode === "absolute" && amount === null) return fail(text, `Expected an angle after "to" in "${text}"`);
+    const deg = (amount === null ? COMMAND_DEFAULTS.ROTATE_DEG : amount) * unit;
+    return { command: { type: "rotate", axis: axis || "y", mode, value: sign * deg * Math.PI / 180, text } };
+}
+
+function parseScale(tokens, text) {
+    let mode = null, amount = null, percent = false, factor = null;
+
+    for (const t of tokens) {
+        const n = readNumber(t);
+        if (n !== null) {
+            if (amount !== null) return fail(text, `Two scale values given in "${text}"`);
+            amount = n;
+        } else if (t === "percent") {
+            percent = true;
+        } else if (SCALE_DIRECTIONS[t]) {
+            factor = SCALE_DIRECTIONS[t];
+        } else if (t === "to") {
+            mode = "absolute";
+        } else if (t === "by") {
+            mode = "relative";
+        } else {
+            return fail(text, `Didn't understand "${t}" in "${text}"`);
+        }
+    }
+
+    if (amount === null) {
+        if (factor === null) return fail(text, `Expected a scale value in "${text}"`);
+        return { command: { type: "scale", mode: "relative", value: factor, text } };
+    }
+
+    // A bare "scale 2" has always meant an absolute size; "zoom in 2" multiplies.
+    const resolved = mode || (factor !== null ? "relative" : "absolute");
+    let value = percent ? amount / 100 : amount;
+    if (resolved === "relative" && factor !== null) {
+        // The direction says which way: "zoom out 2" halves, "zoom in 50%" adds half again,
+        // "scale down 50%" takes half off
+        const shrink = factor < 1;
+        if (percent) value = shrink ? 1 - value : 1 + value;
+        else if (value > 0) value = shrink ? Math.min(value, 1 / value) : Math.max(value, 1 / value);
+    }
+    if (!(value > 0)) return fail(text, `Scale must be greater than zero in "${text}"`);
+    return { command: { type: "scale", mode: resolved, value, text } };
+}
+
+function parseMove(tokens, text) {
+    let axis = null, sign = 1, mode = "relative", amount = null;
+
+    for (const t of tokens) {
+        const n = readNumber(t);
+        if (n !== null) {
+            if (amount !== null) return fail(text, `Two distances given in "${text}"`);
+            amount = n;
+        } else if (MOVE_DIRECTIONS[t]) {
+            if (axis) return fail(text, `Two directions given in "${text}"`);
+            ({ axis, sign } = MOVE_DIRECTIONS[t]);
+        } else if (AXES.has(t)) {
+            if (axis) return fail(text, `Two axes given in "${text}"`);
+            axis = t;
+        } else if (t === "to") {
+            mode = "absolute";
+        } else if (t === "by" || t === "units" || t === "unit") {
+            if (t === "by") mode = "relative";
+        } else {
+            return fail(text, `Didn't understand "${t}" in "${text}"`);
+        }
+    }
+
+    if (!axis) return fail(text, `Expected a direction or axis (x, y, z) in "${text}"`);
+    if (mode === "absolute" && amount === null) return fail(text, `Expected a position after "to" in "${text}"`);
+    const value = sign * (amount === null ? COMMAND_DEFAULTS.MOVE_STEP : amount);
+    return { command: { type: "move", axis, mode, value, text } };
+}
+
+function parseModel(word, tokens, text) {
+    if (tokens.some((t) => t !== "one")) return fail(text, `Didn't understand "${text}"`);
+    return { command: { type: "model", step: word === "next" ? 1 : -1, text } };
+}
+
+function parseAutospin(tokens, text) {
+    if (tokens.length > 1 || (tokens.length && !AUTOSPIN_MODES[tokens[0]])) {
+        return fail(text, `Expected on, off or toggle in "${text}"`);
+    }
+    return { command: { type: "autospin", mode: tokens.length ? AUTOSPIN_MODES[tokens[0]] : "toggle", text } };
+}
+
+// "save view front", "go (back) to view front"; "view" is a filler word, so only the name is left
+function parseViewpoint(verb, tokens, text) {
+    const to = verb === "go" && tokens[0] === "back" && tokens[1] === "to" ? tokens.slice(1) : tokens;
+    const args = verb === "go" && to[0] === "to" ? to.slice(1) : to;
+    // "go to the next model"
+    if (verb === "go" && VERBS[args[0]] === "model") return parseModel(args[0], args.slice(1), text);
+    if (!args.length) return fail(text, `Expected a view name in "${text}"`);
+    return { command: { type: "viewpoint", action: verb, name: args.join(" "), text } };
+}
+
+function parseColor(tokens, text) {
+    const args = tokens[0] === "to" ? tokens.slice(1) : tokens;
+    if (args.length !== 1 || !COLOR_NAMES[args[0]]) {
+        return fail(text, `Expected a colour (${Object.keys(COLOR_NAMES).join(", ")}) in "${text}"`);
+    }
+    return { command: { type: "color", name: args[0], color: COLOR_NAMES[args[0]], text } };
+}
+
+function parseStyle(tokens, text) {
+    const args = tokens[0] === "to" ? tokens.slice(1) : tokens;
+    if (!args.length) return fail(text, `Expected a style name in "${text}"`);
+    return { command: { type: "style", preset: args.join(" "), text } };
+}
+
+function parseClause(clause) {
+    const [word, ...rest] = tokenize(clause);
+    const verb = VERBS[word];
+    if (!verb) return fail(clause, `Unknown command "${word}"`);
+
+    switch (verb) {
+        case "rotate":
+            return parseRotate(rest, clause);
+        case "scale":
+            return parseScale(rest, clause);
+        case "move":
+            return parseMove(rest, clause);
+        case "snap": {
+            // "snap rotate right", "snap left"
+            const args = VERBS[rest[0]] === "rotate" ? rest.slice(1) : rest;
+            const result = parseRotate(args, clause);
+            if (result.command) result.command.snap = true;
+            return result;
+        }
+        case "model":
+            return parseModel(word, rest, clause);
+        case "autospin":
+            return parseAutospin(rest, clause);
+        case "undo":
+        case "redo":
+            if (rest.length) return fail(clause, `Didn't understand "${clause}"`);
+            return { command: { type: verb, text: clause } };
+        case "save":
+        case "go":
+        case "delete":
+            return parseViewpoint(verb, rest, clause);
+        case "color":
+            return parseColor(rest, clause);
+        case "style":
+            return parseStyle(rest, clause);
+        default:
+            return { command: { type: "reset", text: clause } };
+    }
+}
+
+/**
+ * Parses a command string into an ordered list of commands.
+ * Returns { text, commands, errors }; when `errors` is non-empty the caller
+ * should not apply any of `commands`.
+ */
+export default function parseCommand(text) {
+    const out = { text, commands: [], errors: [] };
+    const clauses = normalize(text || "").split(CLAUSE_SPLIT).filter(Boolean);
+
+    if (!clauses.length) {
+        out.errors.push({ text: "", message: "Empty command" });
+        return out;
+    }
+
+    for (const clause of clauses) {
+        const result = parseClause(clause);
+        if (result.error) out.errors.push(result.error);
+        else out.commands.push(result.command);
+    }
+
+    return out;
+}
+
+const ROTATE_NAMES = {
+    x: ["up", "down"],
+    y: ["left", "right"],
+    z: ["counter-clockwise", "clockwise"],
+};
+
+const MOVE_NAMES = {
+    x: ["left", "right"],
+    y: ["down", "up"],
+    z: ["away", "closer"],
+};
+
+const VIEWPOINT_ACTIONS = { save: "Saving", go: "Going to", delete: "Deleting" };
+
+function round(v, digits = 2) {
+    return +v.toFixed(digits);
+}
+
+/**
+ * Human-readable description of one command, used for spoken and HUD feedback:
+ * { type: "rotate", axis: "y", mode: "relative", value: -PI/2 } -> "Rotating left 90 degrees".
+ */
+export function describeCommand(cmd) {
+    switch (cmd.type) {
+        case "rotate": {
+            const deg = round(cmd.value * 180 / Math.PI, 1);
+            if (cmd.mode === "absolute") return `Rotating ${cmd.axis.toUpperCase()} to ${deg} degrees`;
+            return `Rotating ${ROTATE_NAMES[cmd.axis][deg < 0 ? 0 : 1]} ${Math.abs(deg)} degrees`;
+        }
+        case "scale":
+            return cmd.mode === "absolute" ? `Scaling to ${round(cmd.value)}` : `Scaling by ${round(cmd.value)}`;
+        case "move":
+            if (cmd.mode === "absolute") return `Moving ${cmd.axis.toUpperCase()} to ${round(cmd.value)}`;
+            return `Moving ${MOVE_NAMES[cmd.axis][cmd.value < 0 ? 0 : 1]} ${round(Math.abs(cmd.value))}`;
+        case "reset":
+            return "Resetting view";
+        case "model":
+            return cmd.step > 0 ? "Next model" : "Previous model";
+        case "autospin":
+            return cmd.mode === "toggle" ? "Toggling auto-spin" : `Auto-spin ${cmd.mode}`;
+        case "undo":
+            return "Undoing";
+        case "redo":
+            return "Redoing";
+        case "viewpoint":
+            return `${VIEWPOINT_ACTIONS[cmd.action]} view ${cmd.name}`;
+        case "color":
+            return `Colour ${cmd.name}`;
+        case "style":
+            return `Style ${cmd.preset}`;
+        default:
+            return "";
+    }
+}
+
+export function describeCommands(commands) {
+    return commands
+        .map(describeCommand)
+        .filter(Boolean)
+        .map((d, i) => (i === 0 ? d : d[0].toLowerCase() + d.slice(1)))
+        .join(", then ");
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect } from "vitest";
+import parseCommand, { describeCommand, describeCommands, COMMAND_DEFAULTS } from "./CommandParser";
+
+const DEG = Math.PI / 180;
+
+// The commands of `text`, failing the test on any parse error
+function commands(text) {
+    const result = parseCommand(text);
+    expect(result.errors).toEqual([]);
+    return result.commands;
+}
+
+describe("parseCommand", () => {
+    it("chains clauses in order", () => {
+        const out = commands("rotate left, scale to 2; move up and then reset then next model");
+        expect(out.map((c) => c.type)).toEqual(["rotate", "scale", "move", "reset", "model"]);
+        expect(out.map((c) => c.text)).toEqual(["rotate left", "scale to 2", "move up", "reset", "next model"]);
+    });
+
+    it("tells relative from absolute values", () => {
+        expect(commands("rotate left by 45")[0]).toMatchObject({ axis: "y", mode: "relative" });
+        expect(commands("rotate x to 30")[0]).toMatchObject({ axis: "x", mode: "absolute" });
+        expect(commands("scale by 2")[0]).toMatchObject({ mode: "relative", value: 2 });
+        expect(commands("scale to 2")[0]).toMatchObject({ mode: "absolute", value: 2 });
+        // A bare number is an absolute size, but a direction makes it a factor
+        expect(commands("scale 3")[0]).toMatchObject({ mode: "absolute", value: 3 });
+        expect(commands("zoom in 3")[0]).toMatchObject({ mode: "relative", value: 3 });
+        // ...in the direction it names
+        expect(commands("zoom out 2")[0]).toMatchObject({ mode: "relative", value: 0.5 });
+        expect(commands("scale down by 2")[0]).toMatchObject({ mode: "relative", value: 0.5 });
+        expect(commands("zoom out 0.5")[0]).toMatchObject({ mode: "relative", value: 0.5 });
+        expect(commands("zoom in 0.5")[0]).toMatchObject({ mode: "relative", value: 2 });
+        expect(commands("scale down 50%")[0]).toMatchObject({ mode: "relative", value: 0.5 });
+        expect(commands("zoom in 50%")[0]).toMatchObject({ mode: "relative", value: 1.5 });
+        expect(commands("scale by 50%")[0]).toMatchObject({ mode: "relative", value: 0.5 });
+        expect(commands("scale down to 50%")[0]).toMatchObject({ mode: "absolute", value: 0.5 });
+        expect(commands("move x to 0.4")[0]).toMatchObject({ axis: "x", mode: "absolute", value: 0.4 });
+        expect(commands("move left by 2 units")[0]).toMatchObject({ axis: "x", mode: "relative", value: -2 });
+    });
+
+    it("reads angle and scale units", () => {
+        expect(commands("turn right 45 degrees")[0].value).toBeCloseTo(45 * DEG);
+        expect(commands("rotate right 45°")[0].value).toBeCloseTo(45 * DEG);
+        expect(commands("rotate up 0.5 rad")[0].value).toBeCloseTo(-0.5);
+        expect(commands("scale to 150%")[0].value).toBeCloseTo(1.5);
+        expect(commands("zoom by 2x")[0]).toMatchObject({ mode: "relative", value: 2 });
+    });
+
+    it("falls back to the default step without an amount", () => {
+        expect(commands("rotate down")[0]).toMatchObject({ axis: "x", mode: "relative" });
+        expect(commands("rotate down")[0].value).toBeCloseTo(COMMAND_DEFAULTS.ROTATE_DEG * DEG);
+        expect(commands("move closer")[0]).toMatchObject({ axis: "z", value: COMMAND_DEFAULTS.MOVE_STEP });
+        expect(commands("zoom out")[0]).toMatchObject({ mode: "relative", value: 0.5 });
+    });
+
+    it("parses snaps, autospin, history and viewpoints", () => {
+        expect(commands("snap rotate right")[0]).toMatchObject({ type: "rotate", snap: true });
+        expect(commands("auto-spin off")[0]).toMatchObject({ type: "autospin", mode: "off" });
+        expect(commands("autospin")[0]).toMatchObject({ type: "autospin", mode: "toggle" });
+        expect(commands("undo then redo").map((c) => c.type)).toEqual(["undo", "redo"]);
+        expect(commands("save view front")[0]).toMatchObject({ type: "viewpoint", action: "save", name: "front" });
+        expect(commands("go to view top left")[0]).toMatchObject({ type: "viewpoint", action: "go", name: "top left" });
+        expect(commands("go back to the front view")[0]).toMatchObject({ type: "viewpoint", action: "go", name: "front" });
+        expect(commands("go to the previous model")[0]).toMatchObject({ type: "model", step: -1 });
+    });
+
+    it("reports malformed input without throwing", () => {
+        const cases = [
+            ["", /Empty command/],
+            ["dance", /Unknown command "dance"/],
+            ["rotate left 45 90", /Two angles/],
+            ["rotate left right", /Two directions/],
+            ["rotate to", /Expected an angle/],
+            ["rotate sideways", /Didn't understand "sideways"/],
+            ["scale", /Expected a scale value/],
+            ["scale to 0", /greater than zero/],
+            ["scale down 100%", /greater than zero/],
+            ["move 2", /Expected a direction or axis/],
+            ["autospin maybe", /Expected on, off or toggle/],
+            ["undo twice", /Didn't understand/],
+            ["save view", /Expected a view name/],
+        ];
+        for (const [text, message] of cases) {
+            const result = parseCommand(text);
+            expect(result.errors).toHaveLength(1);
+            expect(result.errors[0].message).toMatch(message);
+        }
+    });
+
+    it("keeps the good clauses of a chain alongside the errors", () => {
+        const result = parseCommand("rotate left and wiggle and scale to 2");
+        expect(result.commands.map((c) => c.type)).toEqual(["rotate", "scale"]);
+        expect(result.errors).toEqual([{ text: "wiggle", message: 'Unknown command "wiggle"' }]);
+    });
+});
+
+describe("describeCommand", () => {
+    it("reads commands back for feedback", () => {
+        expect(describeCommand(commands("rotate left 45")[0])).toBe("Rotating left 45 degrees");
+        expect(describeCommand(commands("rotate y to 30")[0])).toBe("Rotating Y to 30 degrees");
+        expect(describeCommand(commands("move away")[0])).toBe("Moving away 0.5");
+        expect(describeCommands(commands("reset then scale to 2"))).toBe("Resetting view, then scaling to 2");
+    });
+});
@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { DISPLAY_MODES } from "./SceneState";
+import { PYRAMID_FACES, PYRAMID_DEFAULTS, savePyramidSettings } from "./PyramidDisplay";
+import { STEREO_DEFAULTS, saveStereoSettings } from "./StereoDisplay";
+
+const controlStyle = {
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    padding: "6px 10px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    outline: "none",
+    fontFamily: "inherit",
+    fontSize: "0.8em",
+    letterSpacing: "1px"
+};
+
+const labelStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    color: "#ffcc00",
+    fontSize: "0.7em",
+    letterSpacing: "1px"
+};
+
+const LABELS = {
+    single: "Single view",
+    pyramid: "Pyramid (4 views)",
+    anaglyph: "Anaglyph (red / cyan)",
+    "side-by-side": "3D TV side-by-side",
+    "top-bottom": "3D TV top-bottom",
+    quilt: "Light-field quilt",
+};
+
+const QUILT_SIZES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+function Slider({ label, value, min, max, step = 0.01, onChange }) {
+    return (
+        <label style={labelStyle}>
+            {label}
+            <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} />
+        </label>
+    );
+}
+
+function Count({ label, value, onChange }) {
+    return (
+        <label style={labelStyle}>
+            {label}
+            <select value={value} onChange={(e) => onChange(Number(e.target.value))} style={controlStyle}>
+                {QUILT_SIZES.map((n) => (
+                    <option key={n} value={n}>{n}</option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+// Output mode of the hologram (see DISPLAY_MODES in SceneState.js), plus the pyramid layout,
+// stereo depth or quilt size while those modes are on. They're saved per browser, since they
+// depend on the display.
+export default function DisplayControls({ mode, setMode, pyramid, setPyramid, stereo, setStereo }) {
+    const [face, setFace] = useState(PYRAMID_FACES[0]);
+
+    function update(next) {
+        setPyramid(next);
+        savePyramidSettings(next);
+    }
+
+    function updateStereo(next) {
+        setStereo(next);
+        saveStereoSettings(next);
+    }
+
+    function setQuilt(key, value) {
+        updateStereo({ ...stereo, quilt: { ...stereo.quilt, [key]: value } });
+    }
+
+    function nudge(axis, value) {
+        const offsets = { ...pyramid.offsets, [face]: { ...pyramid.offsets[face], [axis]: value } };
+        update({ ...pyramid, offsets });
+    }
+
+    return (
+        <div style={{ marginTop: "10px", display: "flex", flexDirection: "column", alignItems: "center", gap: "8px" }}>
+            <select value={mode} onChange={(e) => setMode(e.target.value)} title="How the hologram is drawn on screen" style={controlStyle}>
+                {DISPLAY_MODES.map((m) => (
+                    <option key={m} value={m}>{LABELS[m] || m}</option>
+                ))}
+            </select>
+
+            {mode === "pyramid" && (
+                <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: "10px", flexWrap: "wrap" }}>
+                    <Slider label="GAP" value={pyramid.gap} min={0} max={0.3} onChange={(gap) => update({ ...pyramid, gap })} />
+                    <Slider label="SIZE" value={pyramid.viewSize} min={0.1} max={0.5} onChange={(viewSize) => update({ ...pyramid, viewSize })} />
+                    <select value={face} onChange={(e) => setFace(e.target.value)} title="Face to nudge" style={controlStyle}>
+                        {PYRAMID_FACES.map((f) => (
+                            <option key={f} value={f}>{f.toUpperCase()}</option>
+                        ))}
+                    </select>
+                    <Slider label="X" value={pyramid.offsets[face].x} min={-0.2} max={0.2} step={0.005} onChange={(x) => nudge("x", x)} />
+                    <Slider label="Y" value={pyramid.offsets[face].y} min={-0.2} max={0.2} step={0.005} onChange={(y) => nudge("y", y)} />
+                    <button onClick={() => update(PYRAMID_DEFAULTS)} style={controlStyle}>RESET LAYOUT</button>
+                </div>
+            )}
+
+            {(mode === "anaglyph" || mode === "side-by-side" || mode === "top-bottom") && (
+                <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: "10px", flexWrap: "wrap" }}>
+                    <Slider label="EYE SEP" value={stereo.eyeSeparation} min={0} max={0.5} step={0.005} onChange={(eyeSeparation) => updateStereo({ ...stereo, eyeSeparation })} />
+                    <Slider label="CONVERGENCE" value={stereo.convergence} min={1} max={12} step={0.1} onChange={(convergence) => updateStereo({ ...stereo, convergence })} />
+                    <button onClick={() => updateStereo({ ...STEREO_DEFAULTS, quilt: stereo.quilt })} style={controlStyle}>RESET DEPTH</button>
+                </div>
+            )}
+
+            {mode === "quilt" && (
+                <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: "10px", flexWrap: "wrap" }}>
+                    <Count label="ROWS" value={stereo.quilt.rows} onChange={(rows) => setQuilt("rows", rows)} />
+                    <Count label="COLUMNS" value={stereo.quilt.columns} onChange={(columns) => setQuilt("columns", columns)} />
+                    <Slider label="VIEW CONE" value={stereo.quilt.viewCone} min={5} max={90} step={1} onChange={(viewCone) => setQuilt("viewCone", viewCone)} />
+                    <button onClick={() => updateStereo({ ...stereo, quilt: STEREO_DEFAULTS.quilt })} style={controlStyle}>RESET QUILT</button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,103 @@
+// GamepadControls.js
+// Gamepad control for HoloViewer, polled once per animation frame (the Gamepad API has no
+// events for sticks). Motion is submitted to the input manager as the "gamepad" source.
+// - left stick: orbit
+// - right stick: pan
+// - left / right trigger: zoom out / in
+// - left / right bumper: roll
+// - A (button 0): reset
+//
+// Buttons and axes follow the browser's "standard" mapping.
+//
+// Usage:
+//   const gamepad = createGamepadControls(input, {
+//       getConfig: () => gestureConfig,
+//       onReset: () => input.submit("gamepad", { reset: true }),
+//   });
+//   gamepad.poll(dt, now); // per animation frame, dt in seconds
+
+import * as THREE from "three";
+import { GESTURE_CONFIG } from "./GestureEngine";
+
+export const GAMEPAD_CONFIG = {
+    // Stick travel below this is ignored (worn sticks rarely rest at exactly 0)
+    DEADZONE: 0.15,
+    ROTATE_SPEED: 2.0, // rad/s at full tilt
+    PAN_SPEED: 1.5, // scene units/s
+    ZOOM_SPEED: 1.2, // scale factor exponent per second
+    ROLL_SPEED: 1.5, // rad/s
+};
+
+// Standard mapping
+const AXIS = { LEFT_X: 0, LEFT_Y: 1, RIGHT_X: 2, RIGHT_Y: 3 };
+const BUTTON = { A: 0, LEFT_BUMPER: 4, RIGHT_BUMPER: 5, LEFT_TRIGGER: 6, RIGHT_TRIGGER: 7 };
+
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+function defaultGamepads() {
+    const nav = globalThis.navigator;
+    return nav && nav.getGamepads ? [...nav.getGamepads()] : [];
+}
+
+// Rescales so the output still starts at 0 just past the deadzone
+function deadzone(v, dz) {
+    return Math.abs(v) < dz ? 0 : (v - Math.sign(v) * dz) / (1 - dz);
+}
+
+export function createGamepadControls(input, {
+    getConfig = () => GESTURE_CONFIG,
+    onReset = null,
+    getGamepads = defaultGamepads,
+    config = GAMEPAD_CONFIG,
+} = {}) {
+    let resetHeld = false;
+    let connected = false;
+
+    const axis = (pad, i) => deadzone(pad.axes[i] || 0, config.DEADZONE);
+    const button = (pad, i) => {
+        const b = pad.buttons[i];
+        return b ? b.value || (b.pressed ? 1 : 0) : 0;
+    };
+
+    return {
+        /**
+         * Reads the first connected gamepad and submits its motion; `dt` in seconds.
+         */
+        poll(dt, now = performance.now()) {
+            const pad = getGamepads().find((p) => p && p.connected);
+            connected = !!pad;
+            if (!pad) {
+                resetHeld = false;
+                return;
+            }
+
+            const resetDown = button(pad, BUTTON.A) > 0.5;
+            if (resetDown && !resetHeld && onReset) onReset();
+            resetHeld = resetDown;
+
+            const orbitX = axis(pad, AXIS.LEFT_Y) * config.ROTATE_SPEED * dt;
+            const orbitY = axis(pad, AXIS.LEFT_X) * config.ROTATE_SPEED * dt;
+            const moveX = axis(pad, AXIS.RIGHT_X) * config.PAN_SPEED * dt;
+            // Stick y points down
+            const moveY = -axis(pad, AXIS.RIGHT_Y) * config.PAN_SPEED * dt;
+            const zoom = (button(pad, BUTTON.RIGHT_TRIGGER) - button(pad, BUTTON.LEFT_TRIGGER)) * config.ZOOM_SPEED * dt;
+            const roll = (button(pad, BUTTON.LEFT_BUMPER) - button(pad, BUTTON.RIGHT_BUMPER)) * config.ROLL_SPEED * dt;
+            if (!orbitX && !orbitY && !moveX && !moveY && !zoom && !roll) return;
+
+            input.submit("gamepad", {
+                orbit: { x: orbitX, y: orbitY },
+                move: { x: moveX, y: moveY },
+                zoom: Math.exp(zoom),
+                turn: roll ? new THREE.Quaternion().setFromAxisAngle(Z_AXIS, roll) : undefined,
+                limits: getConfig(),
+            }, now);
+        },
+
+        // True while a gamepad was found by the last poll
+        get connected() {
+            return connected;
+        },
+    };
+}
+
+export default createGamepadControls;
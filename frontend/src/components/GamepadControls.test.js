@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from "vitest";
+import createGamepadControls, { GAMEPAD_CONFIG } from "./GamepadControls";
+import createInputManager from "./InputManager";
+
+// A connected standard-mapping gamepad at rest
+function pad() {
+    return {
+        connected: true,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 16 }, () => ({ pressed: false, value: 0 })),
+    };
+}
+
+function setup() {
+    const input = createInputManager();
+    const gamepad = pad();
+    const pads = [null, gamepad];
+    const onReset = vi.fn();
+    const controls = createGamepadControls(input, { getGamepads: () => pads, onReset });
+    return { input, gamepad, pads, onReset, controls };
+}
+
+describe("createGamepadControls", () => {
+    it("orbits with the left stick and pans with the right one", () => {
+        const { input, gamepad, controls } = setup();
+        gamepad.axes = [1, 0, 0, -1];
+        controls.poll(0.5, 0);
+        expect(controls.connected).toBe(true);
+        expect(input.rotation.y).toBeCloseTo(GAMEPAD_CONFIG.ROTATE_SPEED * 0.5);
+        expect(input.position.y).toBeCloseTo(GAMEPAD_CONFIG.PAN_SPEED * 0.5);
+        expect(input.controller(0)).toBe("gamepad");
+    });
+
+    it("ignores stick drift inside the deadzone", () => {
+        const { input, gamepad, controls } = setup();
+        gamepad.axes = [0.1, -0.1, 0.05, 0];
+        controls.poll(1, 0);
+        expect(input.rotation.y).toBe(0);
+        expect(input.controller(0)).toBe(null);
+    });
+
+    it("zooms with the triggers and rolls with the bumpers", () => {
+        const { input, gamepad, controls } = setup();
+        gamepad.buttons[7].value = 1;
+        gamepad.buttons[4].pressed = true;
+        controls.poll(0.5, 0);
+        expect(input.scale).toBeCloseTo(Math.exp(GAMEPAD_CONFIG.ZOOM_SPEED * 0.5));
+        expect(input.rotation.z).toBeCloseTo(GAMEPAD_CONFIG.ROLL_SPEED * 0.5);
+    });
+
+    it("resets once per press of A", () => {
+        const { gamepad, controls, onReset } = setup();
+        gamepad.buttons[0] = { pressed: true, value: 1 };
+        controls.poll(0.016, 0);
+        controls.poll(0.016, 16);
+        expect(onReset).toHaveBeenCalledTimes(1);
+        gamepad.buttons[0] = { pressed: false, value: 0 };
+        controls.poll(0.016, 32);
+        gamepad.buttons[0] = { pressed: true, value: 1 };
+        controls.poll(0.016, 48);
+        expect(onReset).toHaveBeenCalledTimes(2);
+    });
+
+    it("does nothing without a connected gamepad", () => {
+        const { input, gamepad, pads, controls } = setup();
+        gamepad.connected = false;
+        gamepad.axes = [1, 1, 1, 1];
+        controls.poll(1, 0);
+        pads.length = 0;
+        controls.poll(1, 0);
+        expect(controls.connected).toBe(false);
+        expect(input.controller(0)).toBe(null);
+    });
+});
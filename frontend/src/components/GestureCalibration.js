@@ -0,0 +1,207 @@
+// GestureCalibration.js
+// Per-user gesture calibration: measures a few poses and the comfortable motion range,
+// derives a personal GESTURE_CONFIG from them and keeps it as a named profile in localStorage.
+// - CALIBRATION_STEPS: what the wizard asks for, in order
+// - createCalibrationSampler(): collects hand measurements from tracker frames per step
+// - deriveConfig(samples): turns the measurements into a config for computeGesture
+// - saveProfile / loadProfile / listProfiles / deleteProfile / getActiveProfile / setActiveProfile
+//
+// Usage:
+//   const sampler = createCalibrationSampler();
+//   sampler.start("palm"); ... sampler.record(frame) ... sampler.stop();
+//   saveProfile("alex", deriveConfig(sampler.samples));
+//   computeGesture(frame, prev, getActiveProfile().config);
+
+import { GESTURE_CONFIG } from "./GestureEngine";
+import { handFeatures } from "./HandPoses";
+
+export const CALIBRATION_STEPS = [
+    { id: "palm", title: "OPEN PALM", prompt: "Hold up an open hand, fingers spread, where you'd normally gesture", durationMs: 2000 },
+    { id: "pinch", title: "FULL PINCH", prompt: "Touch your thumb and index fingertips together", durationMs: 2000 },
+    { id: "fist", title: "FIST", prompt: "Make a fist", durationMs: 2000 },
+    { id: "range", title: "MOTION RANGE", prompt: "Move your open hand slowly around the whole area you can comfortably reach", durationMs: 5000 },
+];
+
+const MIN_SAMPLES = 10;
+const STORAGE_KEY = "janisa.gestureProfiles";
+
+function percentile(values, p) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const i = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+    return sorted[i];
+}
+
+const median = (values) => percentile(values, 0.5);
+const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+/**
+ * The measurements calibration needs from one tracked hand.
+ */
+export function measureHand(hand) {
+    const f = handFeatures(hand.raw);
+    const fingers = ["index", "middle", "ring", "pinky"].map((k) => f.curl[k]);
+    return {
+        pinch: hand.pinch,
+        area: hand.area,
+        maxFingerCurl: Math.max(...fingers),
+        minFingerCurl: Math.min(...fingers),
+        thumbReach: f.thumbReach,
+        wrist: { x: hand.wrist.x, y: hand.wrist.y },
+    };
+}
+
+export function createCalibrationSampler() {
+    const samples = Object.fromEntries(CALIBRATION_STEPS.map((s) => [s.id, []]));
+    let step = null;
+
+    return {
+        samples,
+
+        start(id) {
+            if (!samples[id]) throw new Error(`Unknown calibration step "${id}"`);
+            samples[id] = [];
+            step = id;
+        },
+
+        stop() {
+            step = null;
+        },
+
+        // Only the first hand is measured; frames without a hand are skipped
+        record(frame) {
+            const hand = (frame.hands || [])[0];
+            if (!step || !hand || !hand.raw || hand.raw.length < 21) return;
+            samples[step].push(measureHand(hand));
+        },
+
+        get step() {
+            return step;
+        },
+    };
+}
+
+/**
+ * Derives a personal config from the sampler's measurements, starting from `base`.
+ * Throws if a step is missing or the poses can't be told apart.
+ */
+export function deriveConfig(samples, base = GESTURE_CONFIG) {
+    for (const { id, title } of CALIBRATION_STEPS) {
+        if (!samples[id] || samples[id].length < MIN_SAMPLES) {
+            throw new Error(`Calibration: not enough of your hand was seen during ${title}`);
+        }
+    }
+    const { palm, pinch, fist, range } = samples;
+    const pick = (list, key) => list.map((s) => s[key]);
+
+    // Pinch range: fully pinched .. open hand
+    const closed = median(pick(pinch, "pinch"));
+    const open = median(pick(palm, "pinch"));
+    if (open < closed * 1.5) throw new Error("Calibration: the pinch and the open palm look the same");
+
+    // Finger curl: the gap between the most bent finger of the open hand and the
+    // straightest finger of the fist; the thresholds sit inside it
+    const openCurl = percentile(pick(palm, "maxFingerCurl"), 0.9);
+    const fistCurl = percentile(pick(fist, "minFingerCurl"), 0.1);
+    if (fistCurl <= openCurl) throw new Error("Calibration: the fist and the open palm look the same");
+    const gap = fistCurl - openCurl;
+
+    const reach = (median(pick(palm, "thumbReach")) + median(pick(fist, "thumbReach"))) / 2;
+    const area = median(pick(palm, "area"));
+
+    // Motion range: the defaults map the whole image width / height onto the rotation range
+    const xs = range.map((s) => s.wrist.x);
+    const ys = range.map((s) => s.wrist.y);
+    const gainX = clamp(1 / Math.max(percentile(xs, 0.95) - percentile(xs, 0.05), 0.05), 1, 4);
+    const gainY = clamp(1 / Math.max(percentile(ys, 0.95) - percentile(ys, 0.05), 0.05), 1, 4);
+
+    return {
+        ...base,
+        PINCH_MIN: closed,
+        PINCH_MAX: open,
+        PALM_OPEN_PINCH_THRESHOLD: closed + (open - closed) * 0.375,
+        FINGER_EXTENDED_MAX_CURL: openCurl + gap * 0.3,
+        FINGER_CURLED_MIN_CURL: fistCurl - gap * 0.3,
+        THUMB_EXTENDED_MIN_REACH: reach,
+        GLOW_AREA_MIN: area * 0.25,
+        GLOW_AREA_MAX: area * 1.5,
+        // Hand x drives rotation about y, and vice versa
+        ROTATION_SENSITIVITY_Y: base.ROTATION_SENSITIVITY_Y * gainX,
+        ROTATION_SENSITIVITY_X: base.ROTATION_SENSITIVITY_X * gainY,
+        MOVE_SENSITIVITY_X: base.MOVE_SENSITIVITY_X * gainX,
+        MOVE_SENSITIVITY_Y: base.MOVE_SENSITIVITY_Y * gainY,
+        TWO_HAND_PAN_SENSITIVITY_X: base.TWO_HAND_PAN_SENSITIVITY_X * gainX,
+        TWO_HAND_PAN_SENSITIVITY_Y: base.TWO_HAND_PAN_SENSITIVITY_Y * gainY,
+    };
+}
+
+// ================================
+// Profiles (localStorage)
+// ================================
+
+function readStore(storage) {
+    try {
+        const data = JSON.parse(storage.getItem(STORAGE_KEY));
+        if (data && data.profiles) return data;
+    } catch (err) {
+        console.warn("Ignoring unreadable gesture profiles:", err);
+    }
+    return { active: null, profiles: {} };
+}
+
+function writeStore(storage, data) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
+
+export function listProfiles(storage = globalThis.localStorage) {
+    return Object.keys(readStore(storage).profiles).sort();
+}
+
+/**
+ * Returns the profile's config merged over GESTURE_CONFIG (so keys added later get defaults), or null.
+ */
+export function loadProfile(name, storage = globalThis.localStorage) {
+    const profile = readStore(storage).profiles[name];
+    return profile ? { ...GESTURE_CONFIG, ...profile.config } : null;
+}
+
+/**
+ * Saves `config` under `name` (replacing any profile of that name) and makes it active.
+ */
+export function saveProfile(name, config, storage = globalThis.localStorage) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) throw new Error("A profile needs a name");
+
+    // Only the known numeric settings are kept
+    const stored = {};
+    for (const key of Object.keys(GESTURE_CONFIG)) {
+        if (typeof config[key] === "number" && Number.isFinite(config[key])) stored[key] = config[key];
+    }
+
+    const data = readStore(storage);
+    data.profiles[trimmed] = { config: stored, savedAt: new Date().toISOString() };
+    data.active = trimmed;
+    writeStore(storage, data);
+    return trimmed;
+}
+
+export function deleteProfile(name, storage = globalThis.localStorage) {
+    const data = readStore(storage);
+    delete data.profiles[name];
+    if (data.active === name) data.active = null;
+    writeStore(storage, data);
+}
+
+/**
+ * Returns { name, config } for the active profile, or null when the defaults are in use.
+ */
+export function getActiveProfile(storage = globalThis.localStorage) {
+    const { active } = readStore(storage);
+    const config = active ? loadProfile(active, storage) : null;
+    return config ? { name: active, config } : null;
+}
+
+export function setActiveProfile(name, storage = globalThis.localStorage) {
+    const data = readStore(storage);
+    data.active = name && data.profiles[name] ? name : null;
+    writeStore(storage, data);
+}
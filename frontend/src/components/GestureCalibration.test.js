@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import computeGesture, { GESTURE_CONFIG } from "./GestureEngine";
+import {
+    createCalibrationSampler,
+    deriveConfig,
+    saveProfile,
+    loadProfile,
+    listProfiles,
+    deleteProfile,
+    getActiveProfile,
+    setActiveProfile,
+} from "./GestureCalibration";
+import palmDrag from "./__fixtures__/hands/palm-drag.json";
+import pinchZoom from "./__fixtures__/hands/pinch-zoom.json";
+import twoHands from "./__fixtures__/hands/two-hands.json";
+import staticPoses from "./__fixtures__/hands/static-poses.json";
+import memoryStorage from "./__fixtures__/memoryStorage";
+
+// What the wizard would capture, taken from the recorded fixtures
+function calibrate() {
+    const sampler = createCalibrationSampler();
+    const capture = (step, frames) => {
+        sampler.start(step);
+        frames.forEach(sampler.record);
+        sampler.stop();
+    };
+    const pinched = pinchZoom.frames.slice(12);
+    capture("palm", palmDrag.frames);
+    capture("pinch", [...pinched, ...pinched, ...pinched]);
+    capture("fist", twoHands.frames);
+    capture("range", palmDrag.frames);
+    return sampler;
+}
+
+describe("deriveConfig", () => {
+    it("fits the pinch and curl thresholds between the captured poses", () => {
+        const config = deriveConfig(calibrate().samples);
+        expect(config.PINCH_MIN).toBeLessThan(config.PALM_OPEN_PINCH_THRESHOLD);
+        expect(config.PALM_OPEN_PINCH_THRESHOLD).toBeLessThan(config.PINCH_MAX);
+        expect(config.FINGER_EXTENDED_MAX_CURL).toBeLessThan(config.FINGER_CURLED_MIN_CURL);
+        // Untouched settings keep their defaults
+        expect(config.L_SHAPE_MIN_ANGLE).toBe(GESTURE_CONFIG.L_SHAPE_MIN_ANGLE);
+    });
+
+    it("raises the sensitivity for a small motion range", () => {
+        const config = deriveConfig(calibrate().samples);
+        // The recorded palm only crosses about a third of the image
+        expect(config.ROTATION_SENSITIVITY_Y / GESTURE_CONFIG.ROTATION_SENSITIVITY_Y).toBeGreaterThan(2);
+        expect(config.ROTATION_SENSITIVITY_X / GESTURE_CONFIG.ROTATION_SENSITIVITY_X).toBe(4);
+    });
+
+    it("still recognizes the recorded poses with the derived config", () => {
+        const config = deriveConfig(calibrate().samples);
+        let prev = {};
+        const names = staticPoses.frames.map((frame) => (prev = computeGesture(frame, prev, config)).gestureName);
+        let defaults = {};
+        const expected = staticPoses.frames.map((frame) => (defaults = computeGesture(frame, defaults)).gestureName);
+        expect(names).toEqual(expected);
+    });
+
+    it("rejects a missing step", () => {
+        const sampler = calibrate();
+        sampler.start("fist");
+        sampler.stop();
+        expect(() => deriveConfig(sampler.samples)).toThrow(/FIST/);
+    });
+});
+
+describe("gesture profiles", () => {
+    it("saves, lists, activates and deletes named profiles", () => {
+        const storage = memoryStorage();
+        const config = { ...GESTURE_CONFIG, PINCH_MAX: 0.3, NOT_A_SETTING: 1 };
+
+        expect(getActiveProfile(storage)).toBe(null);
+        expect(saveProfile(" alex ", config, storage)).toBe("alex");
+        saveProfile("sam", GESTURE_CONFIG, storage);
+        expect(listProfiles(storage)).toEqual(["alex", "sam"]);
+        expect(getActiveProfile(storage).name).toBe("sam");
+
+        setActiveProfile("alex", storage);
+        expect(getActiveProfile(storage).config.PINCH_MAX).toBe(0.3);
+        expect(loadProfile("alex", storage).NOT_A_SETTING).toBeUndefined();
+
+        deleteProfile("alex", storage);
+        expect(listProfiles(storage)).toEqual(["sam"]);
+        expect(getActiveProfile(storage)).toBe(null);
+    });
+
+    it("ignores corrupt storage", () => {
+        const storage = memoryStorage();
+        storage.setItem("janisa.gestureProfiles", "{not json");
+        expect(listProfiles(storage)).toEqual([]);
+    });
+});
@@ -1,40 +1,71 @@
 // GestureEngine.js
 // Converts HandTracker frames into high-level controls for HoloViewer.
+// Static poses (fist, L shape, open palm, ...) come from the registry in HandPoses.js.
+// With two hands, `twoHand` carries this frame's stretch (scale), twist (roll) and
+// midpoint pan relative to the previous frame; HoloViewer accumulates them.
 
-const GESTURE_CONFIG = {
+import { detectPose } from "./HandPoses";
+
+// Defaults; a calibrated profile (see GestureCalibration.js) overrides these per user
+export const GESTURE_CONFIG = {
     ROTATION_SENSITIVITY_X: 4.5,
     ROTATION_SENSITIVITY_Y: 5.5,
-    ROTATION_SENSITIVITY_MULTI_X: 3.2,
-    ROTATION_SENSITIVITY_MULTI_Y: 4.8,
     ROTATION_MIN_X: -2.0,
     ROTATION_MAX_X: 2.0,
     ROTATION_MIN_Y: -2.8,
     ROTATION_MAX_Y: 2.8,
     
+    // Pinch (thumb tip -> index tip) distance range: fully pinched .. open
+    PINCH_MIN: 0.02,
+    PINCH_MAX: 0.18,
+    
     ZOOM_SENSITIVITY: 3.5,
     ZOOM_MIN: 0.2,
     ZOOM_MAX: 5.0,
     
     MOVE_SENSITIVITY_X: -0.28,
     MOVE_SENSITIVITY_Y: 0.28,
-    MOVE_SENSITIVITY_MULTI_X: 1.8,
-    MOVE_SENSITIVITY_MULTI_Y: 1.3,
     MOVE_MIN_X: -1.2,
     MOVE_MAX_X: 1.2,
     MOVE_MIN_Y: -1.2,
     MOVE_MAX_Y: 1.2,
     
-    L_SHAPE_THRESHOLD: 0.11,
-    L_SHAPE_WRIST_THRESHOLD: 0.06,
+    // Two hands: wrist distance -> scale, wrist line angle -> roll, midpoint -> pan
+    TWO_HAND_MIN_DISTANCE: 0.05,
+    TWO_HAND_PAN_SENSITIVITY_X: -3.0,
+    TWO_HAND_PAN_SENSITIVITY_Y: -3.0,
+    
+    // Finger curl: 0 = straight, 1 = fully curled (see HandPoses.js)
+    FINGER_EXTENDED_MAX_CURL: 0.35,
+    FINGER_CURLED_MIN_CURL: 0.55,
+    THUMB_EXTENDED_MIN_REACH: 0.5,
+    
+    // Seen by the camera, a held L measures well under 90°
+    L_SHAPE_MIN_ANGLE: 30,
+    THUMBS_UP_MIN_UP: 0.6,
+    PEACE_MIN_SPREAD: 0.25,
     
     PALM_OPEN_PINCH_THRESHOLD: 0.08,
-    PALM_OPEN_AREA_THRESHOLD: 0.05,
     
     GLOW_AREA_MIN: 0.02,
     GLOW_AREA_MAX: 0.22,
 };
 
-export default function computeGesture(frame, prev = {}) {
+// Wrist-to-wrist line, ordered left to right in the image so it doesn't flip when
+// the tracker swaps the hands' order
+function handSpan(a, b) {
+    const [l, r] = a.wrist.x <= b.wrist.x ? [a.wrist, b.wrist] : [b.wrist, a.wrist];
+    return {
+        distance: Math.hypot(r.x - l.x, r.y - l.y),
+        angle: Math.atan2(r.y - l.y, r.x - l.x),
+        mid: { x: (l.x + r.x) / 2, y: (l.y + r.y) / 2 },
+    };
+}
+
+/**
+ * `config` defaults to GESTURE_CONFIG; pass a calibrated profile's config to use it instead.
+ */
+export default function computeGesture(frame, prev = {}, config = GESTURE_CONFIG) {
     const state = prev || {};
     const out = {
         rotTarget: { x: state.rotX || 0, y: state.rotY || 0 },
@@ -43,6 +74,9 @@ export default function computeGesture(frame, prev = {}) {
         reset: false,
         glow: 0,
         gestureName: "IDLE",
+        pose: null,
+        action: null,
+        twoHand: null,
         meta: {},
     };
 
@@ -50,6 +84,8 @@ export default function computeGesture(frame, prev = {}) {
     const h0 = hands[0] || null;
     const h1 = hands[1] || null;
 
+    const poses = [detectPose(h0, config), detectPose(h1, config)];
+
     const clamp = (v, a, b) => Math.max(a, Math.min(b, v || 0));
     const map = (v, inA, inB, outA, outB) =>
         outA + ((v - inA) / (inB - inA)) * (outB - outA);
@@ -61,38 +97,59 @@ export default function computeGesture(frame, prev = {}) {
         const dx = h0.wrist.x - 0.5;
         const dy = h0.wrist.y - 0.5;
 
-        out.rotTarget.y = clamp(-dx * GESTURE_CONFIG.ROTATION_SENSITIVITY_Y, GESTURE_CONFIG.ROTATION_MIN_Y, GESTURE_CONFIG.ROTATION_MAX_Y);
-        out.rotTarget.x = clamp(dy * GESTURE_CONFIG.ROTATION_SENSITIVITY_X, GESTURE_CONFIG.ROTATION_MIN_X, GESTURE_CONFIG.ROTATION_MAX_X);
+        out.rotTarget.y = clamp(-dx * config.ROTATION_SENSITIVITY_Y, config.ROTATION_MIN_Y, config.ROTATION_MAX_Y);
+        out.rotTarget.x = clamp(dy * config.ROTATION_SENSITIVITY_X, config.ROTATION_MIN_X, config.ROTATION_MAX_X);
         out.gestureName = "ORBIT";
     }
     else if (h1 && !h0) {
         const dx = h1.wrist.x - 0.5;
         const dy = h1.wrist.y - 0.5;
 
-        out.rotTarget.y = clamp(-dx * GESTURE_CONFIG.ROTATION_SENSITIVITY_Y, GESTURE_CONFIG.ROTATION_MIN_Y, GESTURE_CONFIG.ROTATION_MAX_Y);
-        out.rotTarget.x = clamp(dy * GESTURE_CONFIG.ROTATION_SENSITIVITY_X, GESTURE_CONFIG.ROTATION_MIN_X, GESTURE_CONFIG.ROTATION_MAX_X);
+        out.rotTarget.y = clamp(-dx * config.ROTATION_SENSITIVITY_Y, config.ROTATION_MIN_Y, config.ROTATION_MAX_Y);
+        out.rotTarget.x = clamp(dy * config.ROTATION_SENSITIVITY_X, config.ROTATION_MIN_X, config.ROTATION_MAX_X);
         out.gestureName = "ORBIT";
     }
-    else if (h0 && h1) {
-        const mx = (h0.wrist.x + h1.wrist.x) / 2 - 0.5;
-        const my = (h0.wrist.y + h1.wrist.y) / 2 - 0.5;
 
-        out.rotTarget.y = clamp(-mx * GESTURE_CONFIG.ROTATION_SENSITIVITY_MULTI_Y, -1.6, 1.6);
-        out.rotTarget.x = clamp(my * GESTURE_CONFIG.ROTATION_SENSITIVITY_MULTI_X, -1.0, 1.0);
-        out.gestureName = "DUAL_ROT";
+    // ================================
+    // ✅ 1b) STRETCH & TWIST (TWO HANDS)
+    // ================================
+    const span = h0 && h1 ? handSpan(h0, h1) : null;
+    const lastSpan = state.meta && state.meta.span;
+
+    if (span) {
+        out.gestureName = "STRETCH";
+        out.twoHand = { scale: 1, roll: 0, pan: { x: 0, y: 0 } };
+
+        // Deltas only; the first two-hand frame sets the reference without moving anything
+        if (lastSpan && span.distance > config.TWO_HAND_MIN_DISTANCE && lastSpan.distance > config.TWO_HAND_MIN_DISTANCE) {
+            let roll = span.angle - lastSpan.angle;
+            // The left-to-right line only spans half a turn
+            if (roll > Math.PI / 2) roll -= Math.PI;
+            if (roll < -Math.PI / 2) roll += Math.PI;
+
+            out.twoHand = {
+                scale: span.distance / lastSpan.distance,
+                // Image y points down and the camera is mirrored, so the image angle already matches the view roll
+                roll,
+                pan: {
+                    x: (span.mid.x - lastSpan.mid.x) * config.TWO_HAND_PAN_SENSITIVITY_X,
+                    y: (span.mid.y - lastSpan.mid.y) * config.TWO_HAND_PAN_SENSITIVITY_Y,
+                },
+            };
+        }
     }
 
     // ================================
-    // ✅ 2) ZOOM (NATURAL PINCH)
+    // ✅ 2) ZOOM (NATURAL PINCH, ONE HAND)
     // ================================
     const pinch0 = h0 ? h0.pinch : Infinity;
     const pinch1 = h1 ? h1.pinch : Infinity;
     const pinch = Math.min(pinch0, pinch1);
 
-    if (pinch !== Infinity) {
+    if (pinch !== Infinity && !span) {
         // ✅ Natural zoom: smaller pinch = zoom in
-        const norm = clamp(map(pinch, 0.02, 0.18, 1.0, 0.0), 0, 1);
-        const scaleTarget = clamp(0.6 + norm * GESTURE_CONFIG.ZOOM_SENSITIVITY, GESTURE_CONFIG.ZOOM_MIN, GESTURE_CONFIG.ZOOM_MAX);
+        const norm = clamp(map(pinch, config.PINCH_MIN, config.PINCH_MAX, 1.0, 0.0), 0, 1);
+        const scaleTarget = clamp(0.6 + norm * config.ZOOM_SENSITIVITY, config.ZOOM_MIN, config.ZOOM_MAX);
         out.scaleTarget = scaleTarget;
         out.gestureName = "ZOOM";
     }
@@ -100,54 +157,35 @@ export default function computeGesture(frame, prev = {}) {
     // ================================
     // ✅ 3) MOVE (PALM DRAG)
     // ================================
-    function isPalmOpen(h) {
-        if (!h) return false;
-        return h.pinch > GESTURE_CONFIG.PALM_OPEN_PINCH_THRESHOLD && h.area > GESTURE_CONFIG.PALM_OPEN_AREA_THRESHOLD;
-    }
+    const isPalmOpen = (i) => poses[i] && poses[i].action === "move";
 
-    if (isPalmOpen(h0) && !h1) {
+    if (isPalmOpen(0) && !h1) {
         const mv = frame.hist.h0vel || { vx: 0, vy: 0 };
-        out.posTarget.x = clamp(mv.vx * GESTURE_CONFIG.MOVE_SENSITIVITY_X, GESTURE_CONFIG.MOVE_MIN_X, GESTURE_CONFIG.MOVE_MAX_X);
-        out.posTarget.y = clamp(mv.vy * GESTURE_CONFIG.MOVE_SENSITIVITY_Y, GESTURE_CONFIG.MOVE_MIN_Y, GESTURE_CONFIG.MOVE_MAX_Y);
+        out.posTarget.x = clamp(mv.vx * config.MOVE_SENSITIVITY_X, config.MOVE_MIN_X, config.MOVE_MAX_X);
+        out.posTarget.y = clamp(mv.vy * config.MOVE_SENSITIVITY_Y, config.MOVE_MIN_Y, config.MOVE_MAX_Y);
         out.gestureName = "MOVE";
     }
-    else if (isPalmOpen(h1) && !h0) {
+    else if (isPalmOpen(1) && !h0) {
         const mv = frame.hist.h1vel || { vx: 0, vy: 0 };
-        out.posTarget.x = clamp(mv.vx * GESTURE_CONFIG.MOVE_SENSITIVITY_X, GESTURE_CONFIG.MOVE_MIN_X, GESTURE_CONFIG.MOVE_MAX_X);
-        out.posTarget.y = clamp(mv.vy * GESTURE_CONFIG.MOVE_SENSITIVITY_Y, GESTURE_CONFIG.MOVE_MIN_Y, GESTURE_CONFIG.MOVE_MAX_Y);
-    }
-    else if (h0 && h1 && isPalmOpen(h0) && isPalmOpen(h1)) {
-        const m0 = frame.hist.h0mean;
-        const m1 = frame.hist.h1mean;
-        if (m0 && m1) {
-            const mid = {
-                x: (m0.x + m1.x) / 2 - 0.5,
-                y: (m0.y + m1.y) / 2 - 0.5,
-            };
-            out.posTarget.x = clamp(mid.x * GESTURE_CONFIG.MOVE_SENSITIVITY_MULTI_X, -1.6, 1.6);
-            out.posTarget.y = clamp(mid.y * GESTURE_CONFIG.MOVE_SENSITIVITY_MULTI_Y, -1.2, 1.2);
-        }
+        out.posTarget.x = clamp(mv.vx * config.MOVE_SENSITIVITY_X, config.MOVE_MIN_X, config.MOVE_MAX_X);
+        out.posTarget.y = clamp(mv.vy * config.MOVE_SENSITIVITY_Y, config.MOVE_MIN_Y, config.MOVE_MAX_Y);
     }
 
     // ================================
-    // ✅ 4) RESET (L SHAPE)
+    // ✅ 4) POSES (RESET = L SHAPE, CUSTOM ACTIONS)
     // ================================
-    function isLShape(h) {
-        if (!h) return false;
-        const idxThumb = Math.hypot(
-            h.indexTip.x - h.thumbTip.x,
-            h.indexTip.y - h.thumbTip.y
-        );
-        const midWrist = Math.hypot(
-            h.middleTip.x - h.wrist.x,
-            h.middleTip.y - h.wrist.y
-        );
-        return idxThumb > GESTURE_CONFIG.L_SHAPE_THRESHOLD && midWrist < GESTURE_CONFIG.L_SHAPE_WRIST_THRESHOLD;
-    }
-
-    if (isLShape(h0) || isLShape(h1)) {
-        out.reset = true;
-        out.gestureName = "RESET";
+    const pose = poses.reduce((best, p, i) =>
+        p && (!best || p.priority > best.priority) ? { ...p, hand: i } : best, null);
+
+    if (pose) {
+        out.pose = pose;
+        if (pose.action === "reset") {
+            out.reset = true;
+            out.gestureName = "RESET";
+        } else if (pose.action !== "move") {
+            out.action = pose.action;
+            if (pose.named) out.gestureName = pose.name;
+        }
     }
 
     // ================================
@@ -155,13 +193,15 @@ export default function computeGesture(frame, prev = {}) {
     // ================================
     const areas = hands.map((h) => h.area || 0);
     const maxArea = areas.length ? Math.max(...areas) : 0;
-    out.glow = clamp(map(maxArea, GESTURE_CONFIG.GLOW_AREA_MIN, GESTURE_CONFIG.GLOW_AREA_MAX, 0.0, 1.0), 0.0, 1.0);
+    out.glow = clamp(map(maxArea, config.GLOW_AREA_MIN, config.GLOW_AREA_MAX, 0.0, 1.0), 0.0, 1.0);
 
     out.meta = {
         handsCount: hands.length,
         pinch0,
         pinch1,
         maxArea,
+        poses,
+        span,
     };
 
     return out;
@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import computeGesture from "./GestureEngine";
+import palmDrag from "./__fixtures__/hands/palm-drag.json";
+import pinchZoom from "./__fixtures__/hands/pinch-zoom.json";
+import lShapeReset from "./__fixtures__/hands/l-shape-reset.json";
+import twoHands from "./__fixtures__/hands/two-hands.json";
+import staticPoses from "./__fixtures__/hands/static-poses.json";
+
+// Feeds every recorded frame through computeGesture the way HoloViewer does
+function replay(recording) {
+    let prev = {};
+    return recording.frames.map((frame) => {
+        const gesture = computeGesture(frame, prev);
+        prev = gesture;
+        return gesture;
+    });
+}
+
+// "IDLE*3,ZOOM*2" -> ["IDLE", "IDLE", "IDLE", "ZOOM", "ZOOM"]
+function seq(spec) {
+    return spec.split(",").flatMap((part) => {
+        const [name, n = 1] = part.split("*");
+        return Array(Number(n)).fill(name);
+    });
+}
+
+describe("computeGesture on recorded fixtures", () => {
+    it("drags with an open palm", () => {
+        const out = replay(palmDrag);
+        expect(out.map((g) => g.gestureName)).toEqual(seq("MOVE*16"));
+
+        // Hand moves right across the frame: orbit turns the model left, drag pushes it left
+        for (let i = 1; i < out.length; i++) {
+            expect(out[i].rotTarget.y).toBeLessThan(out[i - 1].rotTarget.y);
+            expect(out[i].posTarget.x).toBeLessThan(0);
+        }
+    });
+
+    it("zooms in as the pinch closes", () => {
+        const out = replay(pinchZoom);
+        expect(out.map((g) => g.gestureName)).toEqual(seq("MOVE*7,ZOOM*9"));
+
+        for (let i = 1; i < out.length; i++) {
+            expect(out[i].scaleTarget).toBeGreaterThanOrEqual(out[i - 1].scaleTarget);
+        }
+        expect(out[out.length - 1].scaleTarget).toBeCloseTo(4.1, 2);
+    });
+
+    it("resets on the L shape", () => {
+        const out = replay(lShapeReset);
+        expect(out.map((g) => g.gestureName)).toEqual(seq("IDLE*3,ZOOM*3,RESET*10"));
+        expect(out.map((g) => g.reset)).toEqual([...Array(6).fill(false), ...Array(10).fill(true)]);
+        expect(out[0]).toMatchObject({ rotTarget: { x: 0, y: 0 }, scaleTarget: 1, glow: 0 });
+    });
+
+    it("names static poses from the registry", () => {
+        const out = replay(staticPoses);
+        expect(out.map((g) => g.pose && g.pose.name)).toEqual(seq("THUMBS_UP*4,PEACE*4,POINTING*4,OPEN_PALM*4"));
+        expect(out.map((g) => g.gestureName)).toEqual(seq("THUMBS_UP*4,PEACE*4,POINTING*4,MOVE*4"));
+    });
+
+    it("follows the midpoint of two hands", () => {
+        const out = replay(twoHands);
+        // Two hands stretch and twist rather than zoom; the fists are still reported as poses
+        expect(out.map((g) => g.gestureName)).toEqual(seq("IDLE*2,STRETCH*14"));
+        expect(out[2].pose.name).toBe("FIST");
+        expect(out[2].meta.handsCount).toBe(2);
+
+        // Both wrists drift down the frame together: the model pans down without stretching or twisting
+        expect(out[2].twoHand).toEqual({ scale: 1, roll: 0, pan: { x: 0, y: 0 } });
+        for (let i = 3; i < out.length; i++) {
+            expect(out[i].twoHand.pan.y).toBeLessThan(0);
+            expect(out[i].twoHand.pan.x).toBeCloseTo(0, 5);
+            expect(out[i].twoHand.scale).toBeCloseTo(1, 5);
+            expect(out[i].twoHand.roll).toBeCloseTo(0, 5);
+        }
+    });
+});
@@ -0,0 +1,112 @@
+// GestureStateMachine.js
+// Stabilizes the per-frame output of computeGesture over time.
+// - a new gesture must be seen for ENTER_DWELL_MS before it becomes active
+// - losing the hands only ends a gesture after EXIT_DWELL_MS
+// - the continuous gestures (ORBIT / STRETCH / ZOOM / MOVE) use looser hold thresholds to
+//   stay active than computeGesture uses to classify them, so they don't flicker
+// - one-shot results (reset, pose actions) are only passed through on the start frame
+//
+// Usage:
+//   const machine = createGestureStateMachine({
+//       onGestureStart: (name, gesture) => {},
+//       onGestureUpdate: (name, gesture, durationMs) => {},
+//       onGestureEnd: (name, durationMs) => {},
+//   });
+//   const gesture = machine.update(computeGesture(frame, prev), frame.time);
+
+export const STATE_MACHINE_CONFIG = {
+    ENTER_DWELL_MS: 150,
+    EXIT_DWELL_MS: 250,
+
+    // ZOOM stays active until the pinch opens past this (an open palm classifies as MOVE
+    // once its pinch passes PALM_OPEN_PINCH_THRESHOLD, 0.08)
+    ZOOM_HOLD_PINCH: 0.12,
+    // MOVE stays active until the pinch closes below this
+    MOVE_HOLD_PINCH: 0.05,
+};
+
+const CONTINUOUS = new Set(["ORBIT", "STRETCH", "ZOOM", "MOVE"]);
+
+function minPinch(g) {
+    const m = g.meta || {};
+    return Math.min(m.pinch0 ?? Infinity, m.pinch1 ?? Infinity);
+}
+
+// Whether the active gesture still holds for this frame (hysteresis band between the two)
+const HOLD_RULES = {
+    ZOOM: (g, c) => minPinch(g) < c.ZOOM_HOLD_PINCH,
+    MOVE: (g, c) => {
+        const p = minPinch(g);
+        return p !== Infinity && p > c.MOVE_HOLD_PINCH;
+    },
+};
+
+export function createGestureStateMachine({
+    config = STATE_MACHINE_CONFIG,
+    onGestureStart = null,
+    onGestureUpdate = null,
+    onGestureEnd = null,
+} = {}) {
+    let active = "IDLE";
+    let activeSince = 0;
+    let candidate = null;
+    let candidateSince = 0;
+
+    function holds(g) {
+        const rule = HOLD_RULES[active];
+        return !!rule && rule(g, config);
+    }
+
+    function switchTo(name, g, time) {
+        if (active !== "IDLE" && onGestureEnd) onGestureEnd(active, time - activeSince);
+        active = name;
+        activeSince = time;
+        candidate = null;
+        if (active !== "IDLE" && onGestureStart) onGestureStart(active, g);
+    }
+
+    return {
+        update(g, time) {
+            const name = g.gestureName;
+            let started = false;
+
+            if (name === active) {
+                candidate = null;
+            } else {
+                if (candidate !== name) {
+                    candidate = name;
+                    candidateSince = time;
+                }
+                const dwell = name === "IDLE" ? config.EXIT_DWELL_MS : config.ENTER_DWELL_MS;
+                // Static poses are deliberate, so only continuous gestures are held against each other
+                const blocked = CONTINUOUS.has(name) && holds(g);
+                if (!blocked && time - candidateSince >= dwell) {
+                    switchTo(name, g, time);
+                    started = active !== "IDLE";
+                }
+            }
+
+            if (active !== "IDLE" && !started && onGestureUpdate) onGestureUpdate(active, g, time - activeSince);
+
+            return {
+                ...g,
+                gestureName: active,
+                rawGestureName: name,
+                started,
+                reset: started && g.reset,
+                action: started ? g.action : null,
+            };
+        },
+
+        get active() {
+            return active;
+        },
+
+        clear() {
+            active = "IDLE";
+            candidate = null;
+        },
+    };
+}
+
+export default createGestureStateMachine;
@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import computeGesture from "./GestureEngine";
+import createGestureStateMachine from "./GestureStateMachine";
+import lShapeReset from "./__fixtures__/hands/l-shape-reset.json";
+
+// Minimal computeGesture-shaped result
+function g(gestureName, { pinch = Infinity, hands = 1, reset = false, action = null } = {}) {
+    return { gestureName, reset, action, meta: { handsCount: hands, pinch0: pinch, pinch1: Infinity } };
+}
+
+function run(machine, gestures, dt = 33) {
+    return gestures.map((gesture, i) => machine.update(gesture, i * dt));
+}
+
+function recorder() {
+    const events = [];
+    return {
+        events,
+        onGestureStart: (name) => events.push(["start", name]),
+        onGestureEnd: (name) => events.push(["end", name]),
+    };
+}
+
+describe("createGestureStateMachine", () => {
+    it("needs the dwell time before entering a gesture", () => {
+        const out = run(createGestureStateMachine(), Array(8).fill(g("ZOOM", { pinch: 0.05 })));
+        // 150ms at 33ms per frame: frame 5 is the first at or past the dwell
+        expect(out.map((o) => o.gestureName)).toEqual(["IDLE", "IDLE", "IDLE", "IDLE", "IDLE", "ZOOM", "ZOOM", "ZOOM"]);
+        expect(out.map((o) => o.started)).toEqual([false, false, false, false, false, true, false, false]);
+    });
+
+    it("ignores single-frame flicker", () => {
+        const zoom = g("ZOOM", { pinch: 0.06 });
+        const frames = [...Array(6).fill(zoom), g("MOVE", { pinch: 0.09 }), zoom, g("ORBIT"), zoom, zoom];
+        const out = run(createGestureStateMachine(), frames);
+        expect(out.slice(5).every((o) => o.gestureName === "ZOOM")).toBe(true);
+    });
+
+    it("holds a continuous gesture inside the hysteresis band", () => {
+        const frames = [
+            ...Array(6).fill(g("ZOOM", { pinch: 0.05 })),
+            // Classified as MOVE, but the pinch hasn't opened past ZOOM_HOLD_PINCH
+            ...Array(10).fill(g("MOVE", { pinch: 0.1 })),
+            ...Array(6).fill(g("MOVE", { pinch: 0.15 })),
+        ];
+        const out = run(createGestureStateMachine(), frames);
+        expect(out[15].gestureName).toBe("ZOOM");
+        expect(out[21].gestureName).toBe("MOVE");
+    });
+
+    it("lets static poses through without hold rules", () => {
+        const frames = [...Array(6).fill(g("ZOOM", { pinch: 0.05 })), ...Array(6).fill(g("FIST", { pinch: 0.02 }))];
+        const out = run(createGestureStateMachine(), frames);
+        expect(out[11].gestureName).toBe("FIST");
+    });
+
+    it("emits start and end events and ends after the exit dwell", () => {
+        const rec = recorder();
+        const frames = [...Array(6).fill(g("ZOOM", { pinch: 0.05 })), ...Array(10).fill(g("IDLE", { hands: 0 }))];
+        const out = run(createGestureStateMachine(rec), frames);
+        expect(rec.events).toEqual([["start", "ZOOM"], ["end", "ZOOM"]]);
+        // 250ms exit dwell from the first IDLE frame at 198ms
+        expect(out.findIndex((o, i) => i > 5 && o.gestureName === "IDLE")).toBe(14);
+    });
+
+    it("reports updates with the active duration", () => {
+        const durations = [];
+        const machine = createGestureStateMachine({ onGestureUpdate: (name, gesture, ms) => durations.push(ms) });
+        run(machine, Array(8).fill(g("ZOOM", { pinch: 0.05 })));
+        expect(durations).toEqual([33, 66]);
+    });
+
+    it("fires reset exactly once per L-shape activation", () => {
+        const rec = recorder();
+        const machine = createGestureStateMachine(rec);
+        let prev = {};
+        const out = lShapeReset.frames.map((frame) => {
+            prev = computeGesture(frame, prev);
+            return machine.update(prev, frame.time);
+        });
+
+        expect(out.filter((o) => o.reset)).toHaveLength(1);
+        expect(rec.events).toEqual([["start", "RESET"]]);
+        // The three FIST frames are shorter than the dwell and never become active
+        expect(out.some((o) => o.gestureName === "FIST")).toBe(false);
+    });
+});
@@ -0,0 +1,192 @@
+// HandPoses.js
+// Static hand-pose registry used by GestureEngine.
+// Poses are defined from per-finger curl computed over all 21 MediaPipe landmarks (3D),
+// so they hold up when the hand is tilted or at a different distance from the camera.
+//
+// Each pose declares:
+//   name      - shown as the gesture name on the HUD
+//   priority  - when several poses match, the highest priority wins
+//   action    - "move" / "reset" are handled by computeGesture; any other string is
+//               a command (see CommandParser.js) that HoloViewer runs once per activation
+//   named     - false to leave the gesture name to pinch / orbit; the pose is still
+//               reported as gesture.pose (optional, default true)
+//   test(f, hand, config) - f = handFeatures(hand.raw)
+//
+// Usage:
+//   import { registerPose } from "./HandPoses";
+//   registerPose({
+//       name: "ROCK_ON", priority: 35, action: "rotate right 90",
+//       test: (f, hand, c) => f.extended.index && f.extended.pinky && f.curled.middle && f.curled.ring,
+//   });
+
+const FINGERS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20],
+};
+
+// Sum of joint bends (radians) of a fully curled finger / thumb
+const MAX_BEND = { thumb: 2.1, finger: 4.2 };
+
+function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+}
+
+function len(v) {
+    return Math.hypot(v.x, v.y, v.z);
+}
+
+function angle(a, b) {
+    const d = len(a) * len(b);
+    if (!d) return 0;
+    const cos = (a.x * b.x + a.y * b.y + a.z * b.z) / d;
+    return Math.acos(Math.max(-1, Math.min(1, cos)));
+}
+
+function dist(a, b) {
+    return len(sub(a, b));
+}
+
+/**
+ * Per-finger curl (0 = straight, 1 = fully curled) and a few palm measures.
+ * Distances are divided by the palm size (wrist -> middle MCP) so they don't
+ * depend on how far the hand is from the camera.
+ */
+export function handFeatures(lm) {
+    const palmSize = dist(lm[0], lm[9]) || 1;
+    const curl = {};
+
+    for (const [name, joints] of Object.entries(FINGERS)) {
+        // The thumb bends at MCP and IP; the fingers at MCP, PIP and DIP
+        const chain = name === "thumb" ? joints : [0, ...joints];
+        let bend = 0;
+        for (let i = 2; i < chain.length; i++) {
+            bend += angle(sub(lm[chain[i - 1]], lm[chain[i - 2]]), sub(lm[chain[i]], lm[chain[i - 1]]));
+        }
+        curl[name] = Math.min(1, bend / (name === "thumb" ? MAX_BEND.thumb : MAX_BEND.finger));
+    }
+
+    const thumbDir = sub(lm[4], lm[2]);
+    const indexDir = sub(lm[8], lm[5]);
+
+    return {
+        curl,
+        palmSize,
+        // Thumb tip away from the side of the palm (it lies against it in a fist)
+        thumbReach: dist(lm[4], lm[5]) / palmSize,
+        thumbIndexAngle: angle(thumbDir, indexDir) * 180 / Math.PI,
+        // Image y grows downwards; positive = thumb points up
+        thumbUp: -thumbDir.y / (len(thumbDir) || 1),
+        tipSpread: dist(lm[8], lm[12]) / palmSize,
+    };
+}
+
+function fingerStates(f, config) {
+    const extended = {}, curled = {};
+    for (const name of Object.keys(FINGERS)) {
+        extended[name] = f.curl[name] < config.FINGER_EXTENDED_MAX_CURL;
+        curled[name] = f.curl[name] > config.FINGER_CURLED_MIN_CURL;
+    }
+    // A straight thumb folded across the palm isn't extended
+    extended.thumb = extended.thumb && f.thumbReach > config.THUMB_EXTENDED_MIN_REACH;
+    curled.thumb = curled.thumb || f.thumbReach < config.THUMB_EXTENDED_MIN_REACH;
+    return { extended, curled };
+}
+
+const fourCurled = (c) => c.index && c.middle && c.ring && c.pinky;
+
+export const DEFAULT_POSES = [
+    {
+        name: "L_SHAPE",
+        priority: 50,
+        action: "reset",
+        // L shape: thumb and index out at a wide angle, other fingers folded
+        test: (f, hand, c) =>
+            f.extended.thumb && f.extended.index && f.curled.middle && f.curled.ring && f.curled.pinky &&
+            f.thumbIndexAngle > c.L_SHAPE_MIN_ANGLE,
+    },
+    {
+        name: "THUMBS_UP",
+        priority: 45,
+        action: null,
+        test: (f, hand, c) => f.extended.thumb && fourCurled(f.curled) && f.thumbUp > c.THUMBS_UP_MIN_UP,
+    },
+    {
+        name: "FIST",
+        priority: 40,
+        action: null,
+        // A fist also closes the pinch, which has always zoomed; the clutch grabs on the pose
+        named: false,
+        test: (f) => f.curled.thumb && fourCurled(f.curled),
+    },
+    {
+        name: "PEACE",
+        priority: 30,
+        action: null,
+        test: (f, hand, c) =>
+            f.extended.index && f.extended.middle && f.curled.ring && f.curled.pinky && f.tipSpread > c.PEACE_MIN_SPREAD,
+    },
+    {
+        name: "POINTING",
+        priority: 25,
+        action: null,
+        test: (f) => f.extended.index && f.curled.middle && f.curled.ring && f.curled.pinky && !f.extended.thumb,
+    },
+    {
+        name: "OPEN_PALM",
+        priority: 10,
+        action: "move",
+        // Open palm: four fingers out and the pinch open. The thumb isn't checked, as it curls
+        // in well before a closing pinch reaches the threshold
+        test: (f, hand, c) =>
+            f.extended.index && f.extended.middle && f.extended.ring && f.extended.pinky &&
+            hand.pinch > c.PALM_OPEN_PINCH_THRESHOLD,
+    },
+];
+
+function byPriority(list) {
+    return list.slice().sort((a, b) => b.priority - a.priority);
+}
+
+let poses = byPriority(DEFAULT_POSES);
+
+/**
+ * Adds a pose, replacing any existing pose with the same name.
+ */
+export function registerPose(pose) {
+    if (!pose || !pose.name || typeof pose.test !== "function") {
+        throw new Error("registerPose: a pose needs a name and a test function");
+    }
+    poses = byPriority([...poses.filter((p) => p.name !== pose.name), { priority: 0, action: null, named: true, ...pose }]);
+}
+
+export function unregisterPose(name) {
+    poses = poses.filter((p) => p.name !== name);
+}
+
+export function listPoses() {
+    return poses.slice();
+}
+
+export function resetPoses() {
+    poses = byPriority(DEFAULT_POSES);
+}
+
+/**
+ * Returns the highest-priority pose matching `hand` as { name, action, priority, named }, or null.
+ */
+export function detectPose(hand, config) {
+    if (!hand || !hand.raw || hand.raw.length < 21) return null;
+
+    const features = handFeatures(hand.raw);
+    const f = { ...features, ...fingerStates(features, config) };
+
+    for (const pose of poses) {
+        if (pose.test(f, hand, config)) {
+            return { name: pose.name, action: pose.action, priority: pose.priority, named: pose.named !== false };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, afterEach } from "vitest";
+import computeGesture from "./GestureEngine";
+import { registerPose, unregisterPose, listPoses, resetPoses, handFeatures } from "./HandPoses";
+import staticPoses from "./__fixtures__/hands/static-poses.json";
+
+const thumbsUp = staticPoses.frames[0];
+const peace = staticPoses.frames[4];
+
+describe("handFeatures", () => {
+    it("measures curl over the full landmark set", () => {
+        const { curl } = handFeatures(peace.hands[0].raw);
+        expect(curl.index).toBeLessThan(0.2);
+        expect(curl.middle).toBeLessThan(0.2);
+        expect(curl.ring).toBeGreaterThan(0.7);
+        expect(curl.pinky).toBeGreaterThan(0.7);
+    });
+});
+
+describe("pose registry", () => {
+    afterEach(() => resetPoses());
+
+    it("lets application code add poses with an action", () => {
+        registerPose({
+            name: "TWO_UP",
+            priority: 60,
+            action: "rotate right 90",
+            test: (f) => f.extended.index && f.extended.middle,
+        });
+
+        const g = computeGesture(peace, {});
+        expect(g.gestureName).toBe("TWO_UP");
+        expect(g.action).toBe("rotate right 90");
+    });
+
+    it("prefers the higher priority pose", () => {
+        registerPose({ name: "ANY_HAND", priority: 1, test: () => true });
+        expect(computeGesture(thumbsUp, {}).pose.name).toBe("THUMBS_UP");
+
+        registerPose({ name: "ANY_HAND", priority: 100, test: () => true });
+        expect(computeGesture(thumbsUp, {}).pose.name).toBe("ANY_HAND");
+    });
+
+    it("replaces and removes poses by name", () => {
+        const count = listPoses().length;
+        registerPose({ name: "FIST", priority: 40, action: "reset", test: () => false });
+        expect(listPoses()).toHaveLength(count);
+
+        unregisterPose("THUMBS_UP");
+        expect(computeGesture(thumbsUp, {}).pose).toBeNull();
+    });
+
+    it("rejects poses without a test", () => {
+        expect(() => registerPose({ name: "BROKEN" })).toThrow(/test function/);
+    });
+});
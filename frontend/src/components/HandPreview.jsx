@@ -0,0 +1,257 @@
+import { useState, useEffect, useRef } from "react";
+// tasks-vision's port of the old @mediapipe/drawing_utils
+import { DrawingUtils, HandLandmarker } from "@mediapipe/tasks-vision";
+import { getHandTracker } from "./HandTracker";
+import { detectPose } from "./HandPoses";
+import { GESTURE_CONFIG } from "./GestureEngine";
+import { PICKER_CONFIG } from "./PartPicker";
+
+const STORAGE_KEY = "janisa.handPreview";
+const DEFAULT_SETTINGS = { visible: true, mirrored: true, width: 240, pos: null };
+const MIN_WIDTH = 140;
+const MAX_WIDTH = 640;
+const MARGIN = 12;
+
+const buttonStyle = {
+    background: "none",
+    border: "none",
+    color: "#ffcc00",
+    cursor: "pointer",
+    fontFamily: "inherit",
+    fontSize: "10px",
+    letterSpacing: "1px",
+    padding: "0 4px"
+};
+
+function readSettings() {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    } catch {
+        return DEFAULT_SETTINGS;
+    }
+}
+
+function writeSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+        // storage unavailable: the layout just isn't remembered
+    }
+}
+
+// Skeleton, pinch line and pose label for each hand, in normalized image coordinates
+function drawHands(ctx, drawing, frame, mirrored, config) {
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+    const flip = (p) => ({ x: mirrored ? 1 - p.x : p.x, y: p.y, z: p.z });
+
+    frame.hands.forEach((hand, i) => {
+        const lm = hand.raw.map(flip);
+        const pose = detectPose(hand, config);
+        const palmOpen = pose && pose.name === "OPEN_PALM";
+        // Closed enough to pick a part or clutch a drag
+        const pinched = hand.pinch < PICKER_CONFIG.PINCH_ON;
+
+        drawing.drawConnectors(lm, HandLandmarker.HAND_CONNECTIONS, { color: palmOpen ? "#ffcc00" : "rgba(255, 204, 0, 0.6)", lineWidth: 3 });
+        drawing.drawLandmarks(lm, { color: "#ffcc00", fillColor: "#000", lineWidth: 2, radius: 4 });
+
+        const thumb = flip(hand.thumbTip);
+        const index = flip(hand.indexTip);
+        ctx.strokeStyle = pinched ? "#ff4136" : "#fff";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(thumb.x * width, thumb.y * height);
+        ctx.lineTo(index.x * width, index.y * height);
+        ctx.stroke();
+
+        const wrist = flip(hand.wrist);
+        const label = `H${i} ${pose ? pose.name : "—"} · ${palmOpen ? "OPEN" : "CLOSED"} · pinch ${hand.pinch.toFixed(3)}`;
+        ctx.font = `${Math.round(width / 28)}px monospace`;
+        ctx.textAlign = "center";
+        ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+        const textWidth = ctx.measureText(label).width;
+        const x = Math.min(Math.max(wrist.x * width, textWidth / 2), width - textWidth / 2);
+        const y = Math.min(wrist.y * height + width / 18, height - 4);
+        ctx.fillRect(x - textWidth / 2 - 3, y - width / 28, textWidth + 6, width / 28 + 4);
+        ctx.fillStyle = pinched ? "#ff4136" : "#ffcc00";
+        ctx.fillText(label, x, y);
+    });
+}
+
+// Webcam preview with the tracker's landmarks drawn over it. Can be mirrored, hidden,
+// dragged by its title bar and resized from the corner; the layout is kept in localStorage.
+// `gestureConfig` is the active gesture profile's config, so the labels match HoloViewer.
+export default function HandPreview({ gestureConfig = GESTURE_CONFIG }) {
+    const tracker = getHandTracker();
+    const [stream, setStream] = useState(tracker.stream);
+    const [settings, setSettings] = useState(readSettings);
+    const [aspect, setAspect] = useState(4 / 3);
+    const [dragging, setDragging] = useState(false);
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+    const drawRef = useRef({ mirrored: true, config: GESTURE_CONFIG });
+
+    const { visible, mirrored, width } = settings;
+    const height = Math.round(width / aspect);
+    const pos = settings.pos || { x: window.innerWidth - width - MARGIN, y: window.innerHeight - height - MARGIN - 24 };
+
+    function update(changes) {
+        setSettings((s) => ({ ...s, ...changes }));
+    }
+
+    useEffect(() => tracker.subscribe(() => setStream(tracker.stream)), [tracker]);
+
+    // Remembered once a move or resize is let go, not on every pointer move
+    useEffect(() => {
+        if (!dragging) writeSettings(settings);
+    }, [settings, dragging]);
+
+    // The latest draw settings, read by the frame listener without resubscribing
+    useEffect(() => {
+        drawRef.current = { mirrored, config: gestureConfig };
+    }, [mirrored, gestureConfig]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const ctx = canvas.getContext("2d");
+        const drawing = new DrawingUtils(ctx);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        return tracker.subscribeFrames((frame) =>
+            drawHands(ctx, drawing, frame, drawRef.current.mirrored, drawRef.current.config)
+        );
+    }, [tracker, stream, visible]);
+
+    useEffect(() => {
+        const video = videoRef.current;
+        if (!video) return;
+        video.srcObject = stream;
+        if (stream) video.play().catch(() => {});
+    }, [stream, visible]);
+
+    function startDrag(e, kind) {
+        e.preventDefault();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { kind, x: e.clientX, y: e.clientY, pos, width };
+        setDragging(true);
+    }
+
+    function drag(e) {
+        const d = dragRef.current;
+        if (!d) return;
+        const dx = e.clientX - d.x;
+        const dy = e.clientY - d.y;
+        if (d.kind === "move") {
+            update({
+                pos: {
+                    x: Math.min(Math.max(d.pos.x + dx, 0), window.innerWidth - width),
+                    y: Math.min(Math.max(d.pos.y + dy, 0), window.innerHeight - height),
+                },
+            });
+        } else {
+            update({ width: Math.min(Math.max(d.width + dx, MIN_WIDTH), MAX_WIDTH), pos: d.pos });
+        }
+    }
+
+    function endDrag() {
+        dragRef.current = null;
+        setDragging(false);
+    }
+
+    if (!stream) return null;
+
+    if (!visible) {
+        return (
+            <button
+                onClick={() => update({ visible: true })}
+                style={{
+                    ...buttonStyle,
+                    position: "fixed",
+                    right: MARGIN,
+                    bottom: MARGIN,
+                    zIndex: 15,
+                    border: "1px solid #ffcc00",
+                    borderRadius: "8px",
+                    background: "rgba(0, 0, 0, 0.5)",
+                    padding: "6px 10px"
+                }}
+            >
+                SHOW CAMERA
+            </button>
+        );
+    }
+
+    return (
+        <div style={{
+            position: "fixed",
+            left: pos.x,
+            top: pos.y,
+            width,
+            zIndex: 15,
+            border: "2px solid #ffcc00",
+            borderRadius: "8px",
+            overflow: "hidden",
+            background: "#000",
+            touchAction: "none"
+        }}>
+            <div
+                onPointerDown={(e) => startDrag(e, "move")}
+                onPointerMove={drag}
+                onPointerUp={endDrag}
+                onPointerCancel={endDrag}
+                style={{
+                    display: "flex",
+                    alignItems: "center",
+                    justifyContent: "space-between",
+                    padding: "3px 6px",
+                    background: "rgba(10, 6, 2, 0.9)",
+                    color: "#ffcc00",
+                    fontSize: "10px",
+                    letterSpacing: "2px",
+                    cursor: "move",
+                    userSelect: "none"
+                }}
+            >
+                <span>CAMERA</span>
+                <span onPointerDown={(e) => e.stopPropagation()}>
+                    <button onClick={() => update({ mirrored: !mirrored })} style={{ ...buttonStyle, opacity: mirrored ? 1 : 0.5 }}>
+                        MIRROR
+                    </button>
+                    <button onClick={() => update({ visible: false })} style={buttonStyle}>HIDE</button>
+                </span>
+            </div>
+            <div style={{ position: "relative", height }}>
+                <video
+                    ref={videoRef}
+                    muted
+                    playsInline
+                    onLoadedMetadata={(e) => e.target.videoWidth && setAspect(e.target.videoWidth / e.target.videoHeight)}
+                    style={{ width: "100%", height: "100%", display: "block", objectFit: "cover", transform: mirrored ? "scaleX(-1)" : "none" }}
+                />
+                <canvas
+                    ref={canvasRef}
+                    width={width * 2}
+                    height={height * 2}
+                    style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "none" }}
+                />
+                <div
+                    onPointerDown={(e) => startDrag(e, "resize")}
+                    onPointerMove={drag}
+                    onPointerUp={endDrag}
+                    onPointerCancel={endDrag}
+                    title="Drag to resize"
+                    style={{
+                        position: "absolute",
+                        right: 0,
+                        bottom: 0,
+                        width: "14px",
+                        height: "14px",
+                        cursor: "nwse-resize",
+                        background: "linear-gradient(135deg, transparent 50%, #ffcc00 50%)"
+                    }}
+                />
+            </div>
+        </div>
+    );
+}
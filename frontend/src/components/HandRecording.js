@@ -0,0 +1,101 @@
+// HandRecording.js
+// Records HandTracker frames to JSON and plays them back in place of the live camera.
+// Recordings are plain objects:
+//   { version: 1, createdAt, frames: [{ time, hands, hist }] }
+// with `time` in ms relative to the first recorded frame.
+//
+// Usage:
+//   const recorder = createFrameRecorder();
+//   startHandTracking(recorder.record);
+//   ...
+//   downloadRecording(recorder.stop());
+//
+//   const stop = startFramePlayback(recording, (frame) => computeGesture(frame, prev));
+
+export const RECORDING_VERSION = 1;
+
+// Landmarks are normalized to [0, 1]; 5 decimals is well below tracker noise
+const PRECISION = 1e5;
+
+function roundNumbers(key, value) {
+    return typeof value === "number" ? Math.round(value * PRECISION) / PRECISION : value;
+}
+
+export function createFrameRecorder() {
+    let frames = [];
+    let start = null;
+    let recording = true;
+
+    return {
+        record(frame) {
+            if (!recording) return;
+            if (start === null) start = frame.time;
+            // Round-trip through JSON so later mutation of the live frame can't leak in
+            frames.push(JSON.parse(JSON.stringify({ ...frame, time: frame.time - start }, roundNumbers)));
+        },
+        get length() {
+            return frames.length;
+        },
+        stop() {
+            recording = false;
+            const out = { version: RECORDING_VERSION, createdAt: new Date().toISOString(), frames };
+            frames = [];
+            return out;
+        },
+    };
+}
+
+/**
+ * Validates a parsed recording and returns it, throwing on unknown formats.
+ */
+export function loadRecording(data) {
+    const rec = typeof data === "string" ? JSON.parse(data) : data;
+    if (!rec || !Array.isArray(rec.frames)) throw new Error("Not a hand recording: missing frames");
+    if (rec.version !== RECORDING_VERSION) throw new Error(`Unsupported hand recording version ${rec.version}`);
+    return rec;
+}
+
+export function downloadRecording(recording, filename = `hands-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(recording)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Replays a recording in real time with the same callback contract as startHandTracking.
+ * Frame times are rebased onto performance.now() so velocity code sees a live-looking clock.
+ * Returns a function that stops playback.
+ */
+export function startFramePlayback(recording, onFrame, { loop = true, speed = 1 } = {}) {
+    const frames = recording.frames;
+    if (!frames.length) return () => {};
+
+    const duration = frames[frames.length - 1].time;
+    let startedAt = performance.now();
+    let next = 0;
+    let rafId = null;
+
+    function tick() {
+        const now = performance.now();
+        const elapsed = (now - startedAt) * speed;
+
+        while (next < frames.length && frames[next].time <= elapsed) {
+            onFrame({ ...frames[next], time: startedAt + frames[next].time / speed });
+            next++;
+        }
+
+        if (next >= frames.length) {
+            if (!loop) return;
+            startedAt = now - (elapsed - duration) / speed;
+            next = 0;
+        }
+        rafId = requestAnimationFrame(tick);
+    }
+
+    rafId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(rafId);
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { createFrameRecorder, loadRecording, RECORDING_VERSION } from "./HandRecording";
+
+const frame = (time, x) => ({
+    time,
+    hands: [{ wrist: { x, y: 0.5, z: 0 }, pinch: 0.1234567, area: 0.2 }],
+    hist: { h0mean: { x, y: 0.5 }, h1mean: null, h0vel: { vx: 0, vy: 0 }, h1vel: { vx: 0, vy: 0 } },
+});
+
+describe("createFrameRecorder", () => {
+    it("rebases time and rounds numbers", () => {
+        const recorder = createFrameRecorder();
+        recorder.record(frame(1000, 0.4));
+        recorder.record(frame(1033, 0.41));
+        const rec = recorder.stop();
+
+        expect(rec.version).toBe(RECORDING_VERSION);
+        expect(rec.frames.map((f) => f.time)).toEqual([0, 33]);
+        expect(rec.frames[0].hands[0].pinch).toBe(0.12346);
+        expect(rec.frames[1].hist.h1mean).toBeNull();
+    });
+
+    it("ignores frames after stop", () => {
+        const recorder = createFrameRecorder();
+        recorder.record(frame(0, 0.5));
+        recorder.stop();
+        recorder.record(frame(10, 0.5));
+        expect(recorder.length).toBe(0);
+    });
+});
+
+describe("loadRecording", () => {
+    it("round-trips through JSON", () => {
+        const recorder = createFrameRecorder();
+        recorder.record(frame(5, 0.5));
+        const rec = recorder.stop();
+        expect(loadRecording(JSON.stringify(rec))).toEqual(rec);
+    });
+
+    it("rejects other files", () => {
+        expect(() => loadRecording({ models: [] })).toThrow(/missing frames/);
+        expect(() => loadRecording({ version: 99, frames: [] })).toThrow(/version 99/);
+    });
+});
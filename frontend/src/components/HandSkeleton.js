@@ -0,0 +1,184 @@
+// HandSkeleton.js
+// Draws the tracked hands inside the 3D scene as holographic joint-and-bone skeletons,
+// so visitors can see where their hands are relative to the model.
+// - landmarks are mapped onto a plane in front of the model, mirrored like the camera preview
+// - joints and bones use the HoloShader look; each hand is tinted by the active gesture
+// - the thumb and index tips light up as they pinch
+// - hands that leave the frame are hidden
+//
+// Usage:
+//   const skeletons = createHandSkeletons(camera);
+//   scene.add(skeletons.group);
+//   skeletons.update(frame, gestureName, gestureConfig); // per tracker frame
+//   skeletons.step(now);                                // per animation frame
+//   skeletons.dispose();
+
+import * as THREE from "three";
+import { HoloShader } from "./HoloShader";
+import { GESTURE_CONFIG } from "./GestureEngine";
+
+export const SKELETON_CONFIG = {
+    // Scene z of the plane the hands are drawn on (the model sits at 0, the camera at 4.5)
+    PLANE_Z: 1.2,
+    // Share of the visible plane the camera image covers
+    COVERAGE: 0.9,
+    JOINT_RADIUS: 0.025,
+    BONE_RADIUS: 0.01,
+    TIP_RADIUS: 0.04,
+};
+
+// Bones between the 21 MediaPipe hand landmarks
+const BONES = [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [5, 9], [9, 10], [10, 11], [11, 12],
+    [9, 13], [13, 14], [14, 15], [15, 16],
+    [13, 17], [0, 17], [17, 18], [18, 19], [19, 20],
+];
+
+const PINCH_TIPS = [4, 8];
+
+// Hand colour per gesture name (see GestureEngine.js, HandPoses.js and HoloViewer's clutch names)
+export const GESTURE_TINTS = {
+    IDLE: 0xffcc00,
+    ORBIT: 0xffcc00,
+    MOVE: 0x66ff99,
+    ZOOM: 0x66ccff,
+    STRETCH: 0xff66cc,
+    GRAB: 0xff8800,
+    DRAG: 0x00e5ff,
+    RESET: 0xff4136,
+    L_SHAPE: 0xff4136,
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+const WHITE = new THREE.Color(0xffffff);
+
+function holoMaterial(color) {
+    const mat = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.clone(HoloShader.uniforms),
+        vertexShader: HoloShader.vertexShader,
+        fragmentShader: HoloShader.fragmentShader,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+    });
+    mat.uniforms.uColor.value.set(color);
+    mat.uniforms.uGlowIntensity.value = 1.2;
+    return mat;
+}
+
+function createHand(geometry) {
+    const group = new THREE.Group();
+    const material = holoMaterial(GESTURE_TINTS.IDLE);
+    const tipMaterial = holoMaterial(GESTURE_TINTS.IDLE);
+
+    const joints = [];
+    for (let i = 0; i < 21; i++) {
+        const tip = PINCH_TIPS.includes(i);
+        const joint = new THREE.Mesh(tip ? geometry.tip : geometry.joint, tip ? tipMaterial : material);
+        joints.push(joint);
+        group.add(joint);
+    }
+    const bones = BONES.map(() => {
+        const bone = new THREE.Mesh(geometry.bone, material);
+        group.add(bone);
+        return bone;
+    });
+
+    group.visible = false;
+    return { group, material, tipMaterial, joints, bones, pinch: 0 };
+}
+
+/**
+ * `camera` is the scene's perspective camera; the hands fill its view at SKELETON_CONFIG.PLANE_Z.
+ */
+export function createHandSkeletons(camera, config = SKELETON_CONFIG) {
+    const geometry = {
+        joint: new THREE.SphereGeometry(config.JOINT_RADIUS, 12, 8),
+        tip: new THREE.SphereGeometry(config.TIP_RADIUS, 16, 12),
+        // Unit height along y, scaled to each bone's length
+        bone: new THREE.CylinderGeometry(config.BONE_RADIUS, config.BONE_RADIUS, 1, 8, 1, true),
+    };
+    const hands = [createHand(geometry), createHand(geometry)];
+    const group = new THREE.Group();
+    hands.forEach((hand) => group.add(hand.group));
+
+    const dir = new THREE.Vector3();
+    const tint = new THREE.Color();
+
+    // Size of the camera's view at the hand plane
+    function planeSize() {
+        const distance = camera.position.z - config.PLANE_Z;
+        const height = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * distance * config.COVERAGE;
+        return { width: height * camera.aspect, height };
+    }
+
+    function toScene(p, size, out) {
+        // Image x is flipped so the hand moves like a mirror image; z < 0 is towards the camera
+        return out.set((0.5 - p.x) * size.width, (0.5 - p.y) * size.height, config.PLANE_Z - (p.z || 0) * size.width);
+    }
+
+    return {
+        group,
+
+        /**
+         * Poses the skeletons from a tracker frame. `gestureName` sets the tint.
+         */
+        update(frame, gestureName = "IDLE", gestureConfig = GESTURE_CONFIG) {
+            const size = planeSize();
+            const frameHands = (frame && frame.hands) || [];
+            tint.set(GESTURE_TINTS[gestureName] ?? GESTURE_TINTS.IDLE);
+
+            hands.forEach((hand, i) => {
+                const tracked = frameHands[i];
+                hand.group.visible = !!(tracked && tracked.raw && tracked.raw.length >= 21);
+                if (!hand.group.visible) return;
+
+                tracked.raw.forEach((p, j) => toScene(p, size, hand.joints[j].position));
+                BONES.forEach(([a, b], j) => {
+                    const from = hand.joints[a].position;
+                    const to = hand.joints[b].position;
+                    const bone = hand.bones[j];
+                    dir.subVectors(to, from);
+                    bone.position.addVectors(from, to).multiplyScalar(0.5);
+                    bone.scale.set(1, dir.length() || 1e-6, 1);
+                    bone.quaternion.setFromUnitVectors(UP, dir.normalize());
+                });
+
+                // 0 until the fingers close past the open-palm threshold, 1 fully pinched
+                const open = gestureConfig.PALM_OPEN_PINCH_THRESHOLD;
+                hand.pinch = THREE.MathUtils.clamp((open - tracked.pinch) / (open - gestureConfig.PINCH_MIN), 0, 1);
+                hand.material.uniforms.uColor.value.copy(tint);
+                hand.tipMaterial.uniforms.uColor.value.copy(tint).lerp(WHITE, hand.pinch);
+                hand.tipMaterial.uniforms.uGlowIntensity.value = 1.2 + hand.pinch * 2.5;
+                hand.tipMaterial.uniforms.uOpacity.value = 0.8 + hand.pinch * 0.2;
+            });
+        },
+
+        /**
+         * Advances the shader time; `now` in ms.
+         */
+        step(now) {
+            hands.forEach((hand) => {
+                hand.material.uniforms.uTime.value = now / 1000;
+                hand.tipMaterial.uniforms.uTime.value = now / 1000;
+            });
+        },
+
+        get hands() {
+            return hands;
+        },
+
+        dispose() {
+            Object.values(geometry).forEach((g) => g.dispose());
+            hands.forEach((hand) => {
+                hand.material.dispose();
+                hand.tipMaterial.dispose();
+            });
+            group.removeFromParent();
+        },
+    };
+}
+
+export default createHandSkeletons;
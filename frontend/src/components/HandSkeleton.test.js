@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import * as THREE from "three";
+import createHandSkeletons, { GESTURE_TINTS, SKELETON_CONFIG } from "./HandSkeleton";
+import pinchZoom from "./__fixtures__/hands/pinch-zoom.json";
+import twoHands from "./__fixtures__/hands/two-hands.json";
+
+function setup() {
+    const camera = new THREE.PerspectiveCamera(50, 16 / 9, 0.1, 1000);
+    camera.position.set(0, 0, 4.5);
+    return createHandSkeletons(camera);
+}
+
+const hexOf = (material) => material.uniforms.uColor.value.getHex();
+
+describe("createHandSkeletons", () => {
+    it("shows one skeleton per tracked hand and hides the rest", () => {
+        const skeletons = setup();
+        skeletons.update(twoHands.frames[10]);
+        expect(skeletons.hands.map((h) => h.group.visible)).toEqual([true, true]);
+
+        skeletons.update(pinchZoom.frames[0]);
+        expect(skeletons.hands.map((h) => h.group.visible)).toEqual([true, false]);
+
+        skeletons.update({ time: 0, hands: [] });
+        expect(skeletons.hands.map((h) => h.group.visible)).toEqual([false, false]);
+    });
+
+    it("mirrors the image onto the hand plane and joins the joints with bones", () => {
+        const skeletons = setup();
+        const frame = pinchZoom.frames[0];
+        skeletons.update(frame);
+        const [hand] = skeletons.hands;
+        const wrist = hand.joints[0].position;
+        const index = hand.joints[8].position;
+
+        // Further right in the image is further left in the scene
+        expect(Math.sign(index.x - wrist.x)).toBe(-Math.sign(frame.hands[0].raw[8].x - frame.hands[0].raw[0].x));
+        expect(wrist.z).toBeCloseTo(SKELETON_CONFIG.PLANE_Z - (frame.hands[0].raw[0].z || 0));
+
+        // Bone 0 runs wrist -> thumb base
+        const bone = hand.bones[0];
+        const thumbBase = hand.joints[1].position;
+        expect(bone.position.distanceTo(wrist.clone().add(thumbBase).multiplyScalar(0.5))).toBeLessThan(1e-9);
+        expect(bone.scale.y).toBeCloseTo(wrist.distanceTo(thumbBase));
+    });
+
+    it("lights the pinching fingertips and tints the hand by gesture", () => {
+        const skeletons = setup();
+        const open = pinchZoom.frames[0];
+        const pinched = pinchZoom.frames[pinchZoom.frames.length - 1];
+        expect(pinched.hands[0].pinch).toBeLessThan(open.hands[0].pinch);
+
+        skeletons.update(open, "ORBIT");
+        const [hand] = skeletons.hands;
+        const openGlow = hand.tipMaterial.uniforms.uGlowIntensity.value;
+        expect(hexOf(hand.material)).toBe(GESTURE_TINTS.ORBIT);
+
+        skeletons.update(pinched, "DRAG");
+        expect(hand.pinch).toBeGreaterThan(0.5);
+        expect(hand.tipMaterial.uniforms.uGlowIntensity.value).toBeGreaterThan(openGlow);
+        expect(hexOf(hand.material)).toBe(GESTURE_TINTS.DRAG);
+
+        // Unknown gestures keep the default colour
+        skeletons.update(pinched, "SOMETHING_NEW");
+        expect(hexOf(hand.material)).toBe(GESTURE_TINTS.IDLE);
+        skeletons.dispose();
+    });
+});
@@ -3,130 +3,529 @@
 // - detects up to 2 hands (numHands = 2)
 // - computes indexTip, thumbTip, wrist, middleTip, pinch, area
 // - supplies a small history (for velocities) and a timestamp
+// - one shared tracker per page (getHandTracker) with start / stop / pause / resume,
+//   camera selection, and a state the HUD can show
+// - the MediaPipe wasm and model are served by this app by default (TRACKER_ASSETS)
+// - detection runs in a Web Worker (HandTrackerWorker.js) at its own rate, independent of
+//   the render loop, falling back to the main thread where the worker can't run it
+// - the camera video isn't shown; HandPreview.jsx renders `stream` and `subscribeFrames`
 //
 // Usage:
-//   import startHandTracking from "./HandTracker";
-//   startHandTracking((frame) => { /* frame.hands -> array of hand states */ });
+//   import { getHandTracker } from "./HandTracker";
+//   const tracker = getHandTracker();
+//   const unsubscribe = tracker.subscribe((state) => {});
+//   tracker.start((frame) => { /* frame.hands -> array of hand states */ });
+//   ...
+//   tracker.stop();
 
 import { HandLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
 
-let handLandmarker = null;
-let videoEl = null;
+const HISTORY_LENGTH = 8;
 
-export default async function startHandTracking(onFrame) {
-    // Ensure version installed: npm install @mediapipe/tasks-vision@0.10.0
-    const vision = await FilesetResolver.forVisionTasks(
-        "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm"
-    );
+// Where the MediaPipe wasm fileset and hand model are loaded from. Both are served by this
+// app by default (the wasm by vite.config.js, the model from public/ after
+// `npm run fetch-hand-model`); set VITE_MEDIAPIPE_WASM_PATH / VITE_HAND_MODEL_PATH to load
+// them from elsewhere, e.g. https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm
+export const TRACKER_ASSETS = {
+    wasmPath: import.meta.env.VITE_MEDIAPIPE_WASM_PATH || `${import.meta.env.BASE_URL}mediapipe/wasm`,
+    modelPath: import.meta.env.VITE_HAND_MODEL_PATH || `${import.meta.env.BASE_URL}mediapipe/hand_landmarker.task`,
+};
 
-    handLandmarker = await HandLandmarker.createFromOptions(vision, {
+function pushHist(buf, v, maxLen) {
+    buf.push(v);
+    if (buf.length > maxLen) buf.shift();
+}
+
+function mean(buf) {
+    if (!buf.length) return null;
+    const s = buf.reduce((a, p) => ({ x: a.x + p.x, y: a.y + p.y }), { x: 0, y: 0 });
+    return { x: s.x / buf.length, y: s.y / buf.length };
+}
+
+function calcVel(buf) {
+    if (buf.length < 2) return { vx: 0, vy: 0 };
+    const a = buf[buf.length - 2], b = buf[buf.length - 1];
+    const dt = Math.max((b.t - a.t) / 1000, 1 / 60);
+    return { vx: (b.x - a.x) / dt, vy: (b.y - a.y) / dt };
+}
+
+export function computeHandState(lm) {
+    // lm: 21 landmarks normalized (x,y,z)
+    const wrist = lm[0];
+    const index = lm[8];
+    const thumb = lm[4];
+    const middle = lm[12];
+
+    const pinch = Math.hypot(index.x - thumb.x, index.y - thumb.y); // small -> pinched
+    const area = Math.hypot(index.x - wrist.x, index.y - wrist.y); // rough size
+
+    return { wrist, indexTip: index, thumbTip: thumb, middleTip: middle, pinch, area, raw: lm };
+}
+
+/**
+ * Returns a function that turns raw landmark sets into frame objects,
+ * keeping the per-hand history (for velocities & smoothing) between calls.
+ * Shared by the live loop and by tools that synthesize frames.
+ */
+export function createFrameBuilder(maxLen = HISTORY_LENGTH) {
+    const history = { h0: [], h1: [] };
+
+    return function buildFrame(landmarks, now) {
+        const hands = landmarks.map(computeHandState);
+
+        if (hands[0]) {
+            pushHist(history.h0, { x: hands[0].indexTip.x, y: hands[0].indexTip.y, t: now }, maxLen);
+        } else {
+            history.h0 = [];
+        }
+        if (hands[1]) {
+            pushHist(history.h1, { x: hands[1].indexTip.x, y: hands[1].indexTip.y, t: now }, maxLen);
+        } else {
+            history.h1 = [];
+        }
+
+        return {
+            time: now,
+            hands, // array of 0..2 hand states
+            hist: {
+                h0mean: mean(history.h0),
+                h1mean: mean(history.h1),
+                h0vel: calcVel(history.h0),
+                h1vel: calcVel(history.h1),
+            },
+        };
+    };
+}
+
+export const TRACKER_OPTIONS = {
+    // Detections per second; the render loop runs at the display rate regardless
+    detectionFps: 30,
+    useWorker: true,
+};
+
+export const TRACKER_STATES = {
+    IDLE: "idle",
+    LOADING_MODEL: "loading-model",
+    ASSETS_UNAVAILABLE: "assets-unavailable",
+    STARTING_CAMERA: "starting-camera",
+    RUNNING: "running",
+    PAUSED: "paused",
+    PERMISSION_DENIED: "permission-denied",
+    NO_CAMERA: "no-camera",
+    ERROR: "error",
+};
+
+const CAMERA_STORAGE_KEY = "janisa.cameraId";
+
+// getUserMedia failures -> tracker state
+function cameraErrorState(err) {
+    if (!err) return TRACKER_STATES.ERROR;
+    if (err.name === "NotAllowedError" || err.name === "SecurityError") return TRACKER_STATES.PERMISSION_DENIED;
+    if (err.name === "NotFoundError" || err.name === "OverconstrainedError") return TRACKER_STATES.NO_CAMERA;
+    return TRACKER_STATES.ERROR;
+}
+
+function readCameraId() {
+    try {
+        return localStorage.getItem(CAMERA_STORAGE_KEY) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Creates the hand landmarker; shared by the main-thread fallback and the worker.
+ * The wasm at `wasmPath` must match the installed @mediapipe/tasks-vision version.
+ */
+export async function createLandmarker(wasmPath, modelPath, loadFileset = (path) => FilesetResolver.forVisionTasks(path)) {
+    const vision = await loadFileset(wasmPath);
+    return HandLandmarker.createFromOptions(vision, {
         baseOptions: {
-            modelAssetPath:
-                "https://storage.googleapis.com/mediapipe-assets/hand_landmarker.task",
+            modelAssetPath: modelPath,
         },
         runningMode: "video",
         numHands: 2,
     });
+}
 
-    // create small webcam preview (optional but useful)
-    videoEl = document.createElement("video");
-    Object.assign(videoEl.style, {
-        position: "absolute",
-        right: "12px",
-        bottom: "12px",
-        width: "200px",
-        height: "150px",
-        border: "2px solid #ffcc00",
-        borderRadius: "8px",
-        zIndex: 9999,
-        transform: "translateZ(0)",
-    });
-    document.body.appendChild(videoEl);
-
-    const stream = await navigator.mediaDevices.getUserMedia({ video: true });
-    videoEl.srcObject = stream;
-    await videoEl.play();
-    await new Promise((r) => {
-        if (videoEl.readyState >= 2) return r();
-        videoEl.onloadeddata = () => r();
+// MediaPipe only reports a missing asset as an opaque wasm / fetch failure, so check first.
+// A dev server answers unknown paths with index.html, hence the content type check.
+export async function checkAsset(url) {
+    let res;
+    try {
+        res = await fetch(url, { method: "HEAD" });
+    } catch {
+        throw new Error(`Couldn't reach ${url}`);
+    }
+    const type = res.headers.get("content-type") || "";
+    if (!res.ok || type.includes("text/html")) throw new Error(`Missing ${url}`);
+}
+
+// Detection source; never added to the page (HandPreview.jsx shows the stream)
+function createVideo() {
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    return video;
+}
+
+// Detection on the render thread: simple, but each detection stalls that frame
+function createMainThreadDetector(landmarker, emit) {
+    let buildFrame = createFrameBuilder();
+    return {
+        kind: "main",
+        detect(video, now) {
+            const results = landmarker.detectForVideo(video, now);
+            emit(buildFrame(results.landmarks || [], now));
+        },
+        reset() {
+            buildFrame = createFrameBuilder();
+        },
+    };
+}
+
+// Detection in HandTrackerWorker.js; frames go over as transferred ImageBitmaps.
+// At most one frame is in flight, so a slow detection drops frames instead of queueing them.
+function createWorkerDetector(worker, emit) {
+    let busy = false;
+    worker.onmessage = (e) => {
+        busy = false;
+        if (e.data.type === "frame") emit(e.data.frame);
+        else if (e.data.type === "frame-error") console.warn("HandTracker worker error:", e.data.message);
+    };
+    return {
+        kind: "worker",
+        detect(video, now) {
+            if (busy) return;
+            busy = true;
+            createImageBitmap(video)
+                .then((bitmap) => worker.postMessage({ type: "frame", bitmap, time: now }, [bitmap]))
+                .catch((err) => {
+                    busy = false;
+                    console.warn("HandTracker could not grab a video frame:", err);
+                });
+        },
+        reset() {
+            worker.postMessage({ type: "reset" });
+        },
+    };
+}
+
+function startWorker(wasmPath, modelPath) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL("./HandTrackerWorker.js", import.meta.url), { type: "module" });
+        const fail = (message) => {
+            worker.terminate();
+            reject(new Error(message));
+        };
+        worker.onmessage = (e) => {
+            if (e.data.type === "ready") resolve(worker);
+            else if (e.data.type === "error") fail(e.data.message);
+        };
+        worker.onerror = (e) => {
+            e.preventDefault();
+            fail(e.message || "Hand tracking worker failed to start");
+        };
+        worker.postMessage({ type: "init", wasmPath, modelPath });
     });
+}
+
+export function createHandTracker(assets = TRACKER_ASSETS, options = TRACKER_OPTIONS) {
+    let detectorPromise = null; // loaded once, kept for the page's lifetime
+    let detector = null;
+    let detectionFps = options.detectionFps;
+    let lastDetection = -Infinity;
+    let video = null;
+    let stream = null;
+    let rafId = null;
+    let onFrame = null;
+    let cameraId = readCameraId();
+    let state = TRACKER_STATES.IDLE;
+    let error = null;
+    // Bumped by stop() so a start() still awaiting the model or camera gives up
+    let session = 0;
+    const listeners = new Set();
+    const frameListeners = new Set();
 
-    // History buffers (for velocity & smoothing)
-    const history = { h0: [], h1: [], maxLen: 8 };
+    function setState(next, err = null) {
+        state = next;
+        error = err;
+        listeners.forEach((listener) => listener(state, error));
+    }
 
-    function pushHist(buf, v) {
-        buf.push(v);
-        if (buf.length > history.maxLen) buf.shift();
+    // Frames from either detector; late results after a pause or stop are dropped
+    function emit(frame) {
+        if (state !== TRACKER_STATES.RUNNING) return;
+        if (onFrame) onFrame(frame);
+        frameListeners.forEach((listener) => listener(frame));
     }
 
-    function mean(buf) {
-        if (!buf.length) return null;
-        const s = buf.reduce((a, p) => ({ x: a.x + p.x, y: a.y + p.y }), { x: 0, y: 0 });
-        return { x: s.x / buf.length, y: s.y / buf.length };
+    function loadDetector() {
+        if (!detectorPromise) {
+            detectorPromise = (async () => {
+                const wasmPath = assets.wasmPath.replace(/\/$/, "");
+                await Promise.all([checkAsset(`${wasmPath}/vision_wasm_internal.wasm`), checkAsset(assets.modelPath)]);
+
+                const workerSupported = typeof Worker !== "undefined" && typeof createImageBitmap !== "undefined";
+                if (options.useWorker && workerSupported) {
+                    try {
+                        detector = createWorkerDetector(await startWorker(wasmPath, assets.modelPath), emit);
+                        return detector;
+                    } catch (err) {
+                        console.warn("Hand tracking worker unavailable, detecting on the main thread:", err);
+                    }
+                }
+                detector = createMainThreadDetector(await createLandmarker(wasmPath, assets.modelPath), emit);
+                return detector;
+            })();
+            // Let a later start() retry after a failed load
+            detectorPromise.catch(() => {
+                detectorPromise = null;
+            });
+        }
+        return detectorPromise;
     }
 
-    function calcVel(buf) {
-        if (buf.length < 2) return { vx: 0, vy: 0 };
-        const a = buf[buf.length - 2], b = buf[buf.length - 1];
-        const dt = Math.max((b.t - a.t) / 1000, 1 / 60);
-        return { vx: (b.x - a.x) / dt, vy: (b.y - a.y) / dt };
+    function loop() {
+        rafId = requestAnimationFrame(loop);
+        const now = performance.now();
+        // 1ms slack so rAF timing jitter doesn't skip a whole extra frame
+        if (now - lastDetection < 1000 / detectionFps - 1) return;
+        lastDetection = now;
+        try {
+            detector.detect(video, now);
+        } catch (e) {
+            // don't crash loop on occasional errors
+            console.warn("HandTracker loop error:", e);
+        }
     }
 
-    function computeHandState(lm) {
-        // lm: 21 landmarks normalized (x,y,z)
-        const wrist = lm[0];
-        const index = lm[8];
-        const thumb = lm[4];
-        const middle = lm[12];
+    function startLoop() {
+        lastDetection = -Infinity;
+        // The history would otherwise see one jump across a pause or camera switch
+        detector.reset();
+        loop();
+    }
 
-        const pinch = Math.hypot(index.x - thumb.x, index.y - thumb.y); // small -> pinched
-        const area = Math.hypot(index.x - wrist.x, index.y - wrist.y); // rough size
+    function stopLoop() {
+        if (rafId !== null) cancelAnimationFrame(rafId);
+        rafId = null;
+    }
 
-        return { wrist, indexTip: index, thumbTip: thumb, middleTip: middle, pinch, area, raw: lm };
+    function releaseCamera() {
+        if (stream) stream.getTracks().forEach((track) => track.stop());
+        stream = null;
+        if (video) video.srcObject = null;
     }
 
-    async function loop() {
+    async function openCamera(id) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw Object.assign(new Error("No camera API in this browser"), { name: "NotFoundError" });
+        }
+        const constraints = { video: id ? { deviceId: { exact: id } } : true };
         try {
-            const results = await handLandmarker.detectForVideo(videoEl, performance.now());
-            const raw = results.landmarks || [];
-            const hands = [];
+            return await navigator.mediaDevices.getUserMedia(constraints);
+        } catch (err) {
+            // A remembered camera that has since been unplugged: fall back to any camera
+            if (id && (err.name === "OverconstrainedError" || err.name === "NotFoundError")) {
+                return navigator.mediaDevices.getUserMedia({ video: true });
+            }
+            throw err;
+        }
+    }
+
+    async function attachCamera(mySession) {
+        setState(TRACKER_STATES.STARTING_CAMERA);
+        const next = await openCamera(cameraId);
+        if (mySession !== session) {
+            next.getTracks().forEach((track) => track.stop());
+            return false;
+        }
+        releaseCamera();
+        stream = next;
 
-            for (let i = 0; i < raw.length; ++i) {
-                hands.push(computeHandState(raw[i]));
+        if (!video) video = createVideo();
+        video.srcObject = stream;
+        await video.play();
+        await new Promise((r) => {
+            if (video.readyState >= 2) return r();
+            video.onloadeddata = () => r();
+        });
+        return mySession === session;
+    }
+
+    const tracker = {
+        /**
+         * Starts the camera and detection loop, or just swaps the frame callback if already started.
+         */
+        async start(callback) {
+            onFrame = callback;
+            if (state === TRACKER_STATES.RUNNING || state === TRACKER_STATES.PAUSED ||
+                state === TRACKER_STATES.LOADING_MODEL || state === TRACKER_STATES.STARTING_CAMERA) return;
+
+            const mySession = ++session;
+            try {
+                setState(TRACKER_STATES.LOADING_MODEL);
+                await loadDetector();
+            } catch (err) {
+                if (mySession !== session) return;
+                console.error("Hand tracking assets failed to load:", err);
+                setState(TRACKER_STATES.ASSETS_UNAVAILABLE, err);
+                return;
             }
+            if (mySession !== session) return;
 
-            // update history for smoothing
-            if (hands[0]) {
-                pushHist(history.h0, { x: hands[0].indexTip.x, y: hands[0].indexTip.y, t: performance.now() });
-            } else {
-                history.h0 = [];
+            try {
+                if (!(await attachCamera(mySession))) return;
+                setState(TRACKER_STATES.RUNNING);
+                startLoop();
+            } catch (err) {
+                if (mySession !== session) return;
+                console.error("Hand tracking failed to start:", err);
+                releaseCamera();
+                setState(cameraErrorState(err), err);
             }
-            if (hands[1]) {
-                pushHist(history.h1, { x: hands[1].indexTip.x, y: hands[1].indexTip.y, t: performance.now() });
-            } else {
-                history.h1 = [];
+        },
+
+        /**
+         * Stops detection and releases the camera. The loaded model is kept for the next start().
+         */
+        stop() {
+            session++;
+            stopLoop();
+            releaseCamera();
+            onFrame = null;
+            if (state !== TRACKER_STATES.IDLE) setState(TRACKER_STATES.IDLE);
+        },
+
+        // Pausing keeps the camera open so resuming is instant
+        pause() {
+            if (state !== TRACKER_STATES.RUNNING) return;
+            stopLoop();
+            if (video) video.pause();
+            setState(TRACKER_STATES.PAUSED);
+        },
+
+        resume() {
+            if (state !== TRACKER_STATES.PAUSED) return;
+            if (video) video.play();
+            setState(TRACKER_STATES.RUNNING);
+            startLoop();
+        },
+
+        /**
+         * Video input devices as [{ deviceId, label }]. Labels are only filled in once
+         * camera permission has been granted.
+         */
+        async listCameras() {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices
+                .filter((d) => d.kind === "videoinput")
+                .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+        },
+
+        get cameraId() {
+            return cameraId;
+        },
+
+        /**
+         * Switches to another camera (remembered for next time); takes effect immediately if running.
+         */
+        async setCamera(deviceId) {
+            cameraId = deviceId || null;
+            try {
+                if (cameraId) localStorage.setItem(CAMERA_STORAGE_KEY, cameraId);
+                else localStorage.removeItem(CAMERA_STORAGE_KEY);
+            } catch {
+                // storage unavailable: the choice just isn't remembered
             }
+            if (state !== TRACKER_STATES.RUNNING && state !== TRACKER_STATES.PAUSED) return;
 
-            const frame = {
-                time: performance.now(),
-                hands, // array of 0..2 hand states
-                hist: {
-                    h0mean: mean(history.h0),
-                    h1mean: mean(history.h1),
-                    h0vel: calcVel(history.h0),
-                    h1vel: calcVel(history.h1),
-                },
-            };
-
-            // callback
-            onFrame(frame);
-        } catch (e) {
-            // don't crash loop on occasional errors
-            console.warn("HandTracker loop error:", e);
-        } finally {
-            requestAnimationFrame(loop);
-        }
-    }
+            const wasPaused = state === TRACKER_STATES.PAUSED;
+            const mySession = ++session;
+            stopLoop();
+            try {
+                if (!(await attachCamera(mySession))) return;
+                setState(TRACKER_STATES.RUNNING);
+                startLoop();
+                if (wasPaused) tracker.pause();
+            } catch (err) {
+                if (mySession !== session) return;
+                console.error("Could not switch camera:", err);
+                releaseCamera();
+                setState(cameraErrorState(err), err);
+            }
+        },
+
+        get detectionFps() {
+            return detectionFps;
+        },
+
+        /**
+         * Changes how often hands are detected, independently of the render rate.
+         */
+        setDetectionFps(fps) {
+            if (fps > 0) detectionFps = fps;
+        },
+
+        // "worker" or "main" once loaded, null before
+        get backend() {
+            return detector ? detector.kind : null;
+        },
+
+        get state() {
+            return state;
+        },
+
+        get error() {
+            return error;
+        },
+
+        get video() {
+            return video;
+        },
+
+        // The open camera stream, null while there's none
+        get stream() {
+            return stream;
+        },
+
+        /**
+         * Calls listener(state, error) on every state change. Returns an unsubscribe function.
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * Calls listener(frame) for every detected frame, alongside the start() callback.
+         * Returns an unsubscribe function.
+         */
+        subscribeFrames(listener) {
+            frameListeners.add(listener);
+            return () => frameListeners.delete(listener);
+        },
+    };
+    return tracker;
+}
+
+let sharedTracker = null;
+
+/**
+ * The page's one hand tracker, so the landmarker and camera are never opened twice.
+ */
+export function getHandTracker() {
+    if (!sharedTracker) sharedTracker = createHandTracker();
+    return sharedTracker;
+}
 
-    loop();
+/**
+ * Starts the shared tracker with `onFrame`. Returns a function that stops it.
+ */
+export default function startHandTracking(onFrame) {
+    const tracker = getHandTracker();
+    tracker.start(onFrame);
+    return () => tracker.stop();
 }
@@ -0,0 +1,275 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { FilesetResolver, HandLandmarker } from "@mediapipe/tasks-vision";
+import { createHandTracker, TRACKER_STATES, TRACKER_ASSETS, TRACKER_OPTIONS } from "./HandTracker";
+
+vi.mock("@mediapipe/tasks-vision", () => ({
+    FilesetResolver: { forVisionTasks: vi.fn(async () => ({})) },
+    HandLandmarker: {
+        createFromOptions: vi.fn(async () => ({ detectForVideo: () => ({ landmarks: [] }) })),
+    },
+}));
+
+// Detect on every animation frame so the tests don't depend on the clock
+const EVERY_FRAME = { ...TRACKER_OPTIONS, detectionFps: Infinity };
+
+// Just enough of the browser for the tracker: the assets, a camera, a <video>, rAF and storage
+function fakeBrowser({ cameraError = null, missingAsset = null } = {}) {
+    const streams = [];
+    const frames = new Map();
+    let nextFrame = 1;
+
+    const browser = {
+        streams,
+        frames,
+        mediaDevices: {
+            getUserMedia: vi.fn(async () => {
+                if (cameraError) throw Object.assign(new Error(cameraError), { name: cameraError });
+                const track = { stop: vi.fn() };
+                const stream = { getTracks: () => [track], track };
+                streams.push(stream);
+                return stream;
+            }),
+            enumerateDevices: vi.fn(async () => [
+                { kind: "audioinput", deviceId: "mic", label: "Mic" },
+                { kind: "videoinput", deviceId: "cam-a", label: "Front" },
+                { kind: "videoinput", deviceId: "cam-b", label: "" },
+            ]),
+        },
+        video: { readyState: 4, play: vi.fn(async () => {}), pause: vi.fn() },
+        // Runs the pending animation frames once
+        tick() {
+            const pending = [...frames.values()];
+            frames.clear();
+            pending.forEach((cb) => cb());
+        },
+    };
+
+    browser.fetch = vi.fn(async (url) => ({
+        ok: true,
+        // Like a dev server's SPA fallback for a file that isn't there
+        headers: { get: () => (url === missingAsset ? "text/html" : "application/octet-stream") },
+    }));
+
+    vi.stubGlobal("fetch", browser.fetch);
+    vi.stubGlobal("navigator", { mediaDevices: browser.mediaDevices });
+    vi.stubGlobal("document", { createElement: () => browser.video, body: { appendChild: vi.fn() } });
+    vi.stubGlobal("localStorage", { getItem: () => null, setItem: vi.fn(), removeItem: vi.fn() });
+    vi.stubGlobal("requestAnimationFrame", (cb) => {
+        frames.set(nextFrame, cb);
+        return nextFrame++;
+    });
+    vi.stubGlobal("cancelAnimationFrame", (id) => frames.delete(id));
+    return browser;
+}
+
+describe("createHandTracker", () => {
+    let consoleError;
+    beforeEach(() => {
+        consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+    });
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        consoleError.mockRestore();
+    });
+
+    it("goes through loading to running and delivers frames", async () => {
+        const browser = fakeBrowser();
+        const tracker = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        const states = [];
+        tracker.subscribe((state) => states.push(state));
+        const onFrame = vi.fn();
+
+        await tracker.start(onFrame);
+        expect(states).toEqual([TRACKER_STATES.LOADING_MODEL, TRACKER_STATES.STARTING_CAMERA, TRACKER_STATES.RUNNING]);
+        expect(onFrame).toHaveBeenCalledTimes(1);
+        browser.tick();
+        expect(onFrame).toHaveBeenCalledTimes(2);
+    });
+
+    it("releases the camera, video and loop on stop", async () => {
+        const browser = fakeBrowser();
+        const tracker = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        const onFrame = vi.fn();
+        await tracker.start(onFrame);
+        expect(tracker.stream).toBe(browser.streams[0]);
+
+        tracker.stop();
+        expect(tracker.state).toBe(TRACKER_STATES.IDLE);
+        expect(browser.streams[0].track.stop).toHaveBeenCalled();
+        expect(browser.video.srcObject).toBe(null);
+        expect(tracker.stream).toBe(null);
+        expect(browser.frames.size).toBe(0);
+    });
+
+    it("shares frames with subscribers and keeps the video off the page", async () => {
+        const browser = fakeBrowser();
+        const tracker = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        const onFrame = vi.fn();
+        const preview = vi.fn();
+        const unsubscribe = tracker.subscribeFrames(preview);
+        await tracker.start(onFrame);
+        browser.tick();
+        expect(preview.mock.calls).toEqual(onFrame.mock.calls);
+
+        unsubscribe();
+        browser.tick();
+        expect(preview).toHaveBeenCalledTimes(2);
+        expect(document.body.appendChild).not.toHaveBeenCalled();
+    });
+
+    it("opens one camera however many times it is started", async () => {
+        const browser = fakeBrowser();
+        const tracker = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        await tracker.start(vi.fn());
+        const second = vi.fn();
+        await tracker.start(second);
+
+        expect(browser.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+        browser.tick();
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    it("doesn't open the camera when stopped while loading", async () => {
+        const browser = fakeBrowser();
+        const tracker = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        const starting = tracker.start(vi.fn());
+        tracker.stop();
+        await starting;
+
+        expect(browser.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+        expect(tracker.state).toBe(TRACKER_STATES.IDLE);
+    });
+
+    it("pauses and resumes the detection loop", async () => {
+        const browser = fakeBrowser();
+        const tracker = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        const onFrame = vi.fn();
+        await tracker.start(onFrame);
+
+        tracker.pause();
+        browser.tick();
+        expect(tracker.state).toBe(TRACKER_STATES.PAUSED);
+        expect(onFrame).toHaveBeenCalledTimes(1);
+
+        tracker.resume();
+        expect(tracker.state).toBe(TRACKER_STATES.RUNNING);
+        expect(onFrame).toHaveBeenCalledTimes(2);
+    });
+
+    it("reports a denied camera and a missing camera", async () => {
+        fakeBrowser({ cameraError: "NotAllowedError" });
+        const denied = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        await denied.start(vi.fn());
+        expect(denied.state).toBe(TRACKER_STATES.PERMISSION_DENIED);
+        vi.unstubAllGlobals();
+
+        fakeBrowser({ cameraError: "NotFoundError" });
+        const missing = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        await missing.start(vi.fn());
+        expect(missing.state).toBe(TRACKER_STATES.NO_CAMERA);
+    });
+
+    it("loads the assets from this app by default, or from the given paths", async () => {
+        fakeBrowser();
+        await createHandTracker(TRACKER_ASSETS, EVERY_FRAME).start(vi.fn());
+        expect(TRACKER_ASSETS).toEqual({ wasmPath: "/mediapipe/wasm", modelPath: "/mediapipe/hand_landmarker.task" });
+        expect(FilesetResolver.forVisionTasks).toHaveBeenLastCalledWith("/mediapipe/wasm");
+
+        const browser = fakeBrowser();
+        const assets = { wasmPath: "http://kiosk.local/wasm/", modelPath: "http://kiosk.local/hand.task" };
+        await createHandTracker(assets, EVERY_FRAME).start(vi.fn());
+        expect(browser.fetch).toHaveBeenCalledWith("http://kiosk.local/wasm/vision_wasm_internal.wasm", { method: "HEAD" });
+        expect(FilesetResolver.forVisionTasks).toHaveBeenLastCalledWith("http://kiosk.local/wasm");
+        expect(HandLandmarker.createFromOptions.mock.lastCall[1].baseOptions.modelAssetPath).toBe("http://kiosk.local/hand.task");
+    });
+
+    it("reports missing assets without opening the camera", async () => {
+        const browser = fakeBrowser({ missingAsset: TRACKER_ASSETS.modelPath });
+        const tracker = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        await tracker.start(vi.fn());
+
+        expect(tracker.state).toBe(TRACKER_STATES.ASSETS_UNAVAILABLE);
+        expect(tracker.error.message).toBe(`Missing ${TRACKER_ASSETS.modelPath}`);
+        expect(browser.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+    });
+
+    it("lists video inputs and switches camera while running", async () => {
+        const browser = fakeBrowser();
+        const tracker = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        expect(await tracker.listCameras()).toEqual([
+            { deviceId: "cam-a", label: "Front" },
+            { deviceId: "cam-b", label: "Camera 2" },
+        ]);
+
+        await tracker.start(vi.fn());
+        await tracker.setCamera("cam-b");
+        expect(browser.mediaDevices.getUserMedia).toHaveBeenLastCalledWith({ video: { deviceId: { exact: "cam-b" } } });
+        expect(browser.streams[0].track.stop).toHaveBeenCalled();
+        expect(tracker.state).toBe(TRACKER_STATES.RUNNING);
+    });
+    it("detects at its own rate, not the render rate", async () => {
+        const browser = fakeBrowser();
+        let now = 0;
+        vi.spyOn(performance, "now").mockImplementation(() => now);
+        const tracker = createHandTracker(TRACKER_ASSETS, { ...TRACKER_OPTIONS, detectionFps: 10 });
+        const onFrame = vi.fn();
+        await tracker.start(onFrame);
+
+        // 60 animation frames a second for one second, after the detection at start
+        for (let i = 1; i <= 60; i++) {
+            now = i * (1000 / 60);
+            browser.tick();
+        }
+        expect(onFrame).toHaveBeenCalledTimes(1 + 10);
+
+        tracker.setDetectionFps(30);
+        for (let i = 61; i <= 120; i++) {
+            now = i * (1000 / 60);
+            browser.tick();
+        }
+        expect(onFrame).toHaveBeenCalledTimes(1 + 10 + 30);
+        vi.restoreAllMocks();
+    });
+
+    it("detects in a worker and falls back to the main thread when it can't start", async () => {
+        const browser = fakeBrowser();
+        const workers = [];
+        class FakeWorker {
+            constructor() {
+                this.posted = [];
+                this.terminate = vi.fn();
+                workers.push(this);
+            }
+            postMessage(msg) {
+                this.posted.push(msg);
+                const reply = (data) => queueMicrotask(() => this.onmessage({ data }));
+                if (msg.type === "init") reply(FakeWorker.fail ? { type: "error", message: "no wasm" } : { type: "ready" });
+                if (msg.type === "frame") reply({ type: "frame", frame: { time: msg.time, hands: [], hist: {} } });
+            }
+        }
+        vi.stubGlobal("Worker", FakeWorker);
+        vi.stubGlobal("createImageBitmap", vi.fn(async () => ({ close: vi.fn() })));
+        vi.spyOn(console, "warn").mockImplementation(() => {});
+
+        const tracker = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        const onFrame = vi.fn();
+        await tracker.start(onFrame);
+        expect(tracker.backend).toBe("worker");
+        await new Promise((r) => setTimeout(r, 0));
+        expect(onFrame).toHaveBeenCalledWith({ time: expect.any(Number), hands: [], hist: {} });
+        expect(workers[0].posted.map((m) => m.type)).toEqual(["init", "reset", "frame"]);
+
+        // Only one frame in flight: the second tick finds the worker still busy
+        browser.tick();
+        browser.tick();
+        expect(createImageBitmap).toHaveBeenCalledTimes(2);
+
+        FakeWorker.fail = true;
+        const fallback = createHandTracker(TRACKER_ASSETS, EVERY_FRAME);
+        await fallback.start(vi.fn());
+        expect(workers[1].terminate).toHaveBeenCalled();
+        expect(fallback.backend).toBe("main");
+        expect(fallback.state).toBe(TRACKER_STATES.RUNNING);
+        vi.restoreAllMocks();
+    });
+});
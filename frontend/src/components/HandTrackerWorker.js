@@ -0,0 +1,63 @@
+// HandTrackerWorker.js
+// Runs the MediaPipe hand landmarker off the render thread for HandTracker.js and posts back
+// the same frame objects the main-thread path produces (see createFrameBuilder).
+//
+// Messages in:
+//   { type: "init", wasmPath, modelPath }
+//   { type: "frame", bitmap, time }  - bitmap is a transferred ImageBitmap, closed here
+//   { type: "reset" }                - forget the velocity history (after a pause)
+// Messages out:
+//   { type: "ready" } / { type: "error", message }
+//   { type: "frame", frame } / { type: "frame-error", message }
+//
+// This is a module worker (Vite only runs those in dev, and builds it the same way, see
+// vite.config.js). tasks-vision loads its wasm glue script with importScripts, which module
+// workers don't have, so that script is loaded here instead and tasks-vision given nothing to load.
+
+import { FilesetResolver } from "@mediapipe/tasks-vision";
+import { createLandmarker, createFrameBuilder } from "./HandTracker";
+
+/**
+ * The vision fileset for `wasmPath`, with its loader script already run: the classic script
+ * declares ModuleFactory, which tasks-vision picks up from the worker's global scope.
+ */
+async function loadVisionFileset(wasmPath) {
+    const fileset = await FilesetResolver.forVisionTasks(wasmPath);
+    const res = await fetch(fileset.wasmLoaderPath);
+    if (!res.ok) throw new Error(`Couldn't load ${fileset.wasmLoaderPath}`);
+    self.ModuleFactory = new Function(`${await res.text()}\nreturn ModuleFactory;`)();
+    return { ...fileset, wasmLoaderPath: "" };
+}
+
+let landmarker = null;
+let buildFrame = createFrameBuilder();
+
+self.onmessage = async (e) => {
+    const msg = e.data;
+
+    switch (msg.type) {
+        case "init":
+            try {
+                landmarker = await createLandmarker(msg.wasmPath, msg.modelPath, loadVisionFileset);
+                self.postMessage({ type: "ready" });
+            } catch (err) {
+                self.postMessage({ type: "error", message: err.message || String(err) });
+            }
+            break;
+
+        case "frame":
+            try {
+                const results = landmarker.detectForVideo(msg.bitmap, msg.time);
+                self.postMessage({ type: "frame", frame: buildFrame(results.landmarks || [], msg.time) });
+            } catch (err) {
+                self.postMessage({ type: "frame-error", message: err.message || String(err) });
+            } finally {
+                msg.bitmap.close();
+            }
+            break;
+
+        case "reset":
+            buildFrame = createFrameBuilder();
+            break;
+    }
+};
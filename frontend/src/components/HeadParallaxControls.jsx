@@ -0,0 +1,112 @@
+import { useState, useEffect } from "react";
+import { getHeadTracker, calibrate, saveHeadParallaxSettings, HEAD_STATES, HEAD_PARALLAX_DEFAULTS } from "./HeadTracker";
+
+const controlStyle = {
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    padding: "6px 10px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    outline: "none",
+    fontFamily: "inherit",
+    fontSize: "0.8em",
+    letterSpacing: "1px"
+};
+
+const labelStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    color: "#ffcc00",
+    fontSize: "0.7em",
+    letterSpacing: "1px"
+};
+
+const STATE_LABELS = {
+    [HEAD_STATES.IDLE]: "",
+    [HEAD_STATES.LOADING_MODEL]: "LOADING FACE MODEL",
+    [HEAD_STATES.ASSETS_UNAVAILABLE]: "NO FACE MODEL",
+    [HEAD_STATES.WAITING_FOR_CAMERA]: "NEEDS THE HAND CAMERA",
+    [HEAD_STATES.RUNNING]: "TRACKING",
+};
+
+function Centimetres({ label, value, onChange }) {
+    return (
+        <label style={labelStyle}>
+            {label}
+            <input
+                type="number"
+                min={1}
+                step={0.1}
+                value={value}
+                onChange={(e) => Number(e.target.value) > 0 && onChange(Number(e.target.value))}
+                style={{ ...controlStyle, width: "60px", cursor: "text" }}
+            />
+            CM
+        </label>
+    );
+}
+
+// Head-coupled parallax on / off (see HeadTracker.js and OffAxisProjection.js), and while on,
+// the screen size and viewing distance plus a calibration at that distance. Saved per browser.
+export default function HeadParallaxControls({ enabled, setEnabled, settings, setSettings }) {
+    const tracker = getHeadTracker();
+    const [state, setState] = useState(tracker.state);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => tracker.subscribe((next) => setState(next)), [tracker]);
+
+    useEffect(() => {
+        if (!message) return;
+        const t = setTimeout(() => setMessage(null), 3000);
+        return () => clearTimeout(t);
+    }, [message]);
+
+    function update(next) {
+        setSettings(next);
+        saveHeadParallaxSettings(next);
+    }
+
+    function calibrateHere() {
+        const eyes = tracker.eyes;
+        if (!eyes) {
+            setMessage("NO FACE IN VIEW");
+            return;
+        }
+        update(calibrate(settings, eyes));
+        setMessage("CALIBRATED");
+    }
+
+    return (
+        <div style={{ marginTop: "10px", display: "flex", flexDirection: "column", alignItems: "center", gap: "8px" }}>
+            <button
+                onClick={() => setEnabled(!enabled)}
+                title="Move the view with your head, as if the screen were a window"
+                style={controlStyle}
+            >
+                {`◈ PARALLAX: ${enabled ? "ON" : "OFF"}`}
+            </button>
+
+            {enabled && (
+                <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: "10px", flexWrap: "wrap" }}>
+                    <Centimetres label="SCREEN W" value={settings.screenWidth} onChange={(screenWidth) => update({ ...settings, screenWidth })} />
+                    <Centimetres label="H" value={settings.screenHeight} onChange={(screenHeight) => update({ ...settings, screenHeight })} />
+                    <Centimetres label="DISTANCE" value={settings.distance} onChange={(distance) => update({ ...settings, distance })} />
+                    <button
+                        onClick={calibrateHere}
+                        title="Sit at the distance above, face the screen, then press"
+                        style={controlStyle}
+                    >
+                        CALIBRATE
+                    </button>
+                    <button onClick={() => update(HEAD_PARALLAX_DEFAULTS)} style={controlStyle}>RESET</button>
+                    <span style={labelStyle}>
+                        {message || STATE_LABELS[state]}
+                        {settings.focal ? "" : " · UNCALIBRATED"}
+                    </span>
+                </div>
+            )}
+        </div>
+    );
+}
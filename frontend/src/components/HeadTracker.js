@@ -0,0 +1,240 @@
+// HeadTracker.js
+// Where the viewer's eyes are, for head-coupled parallax (see OffAxisProjection.js).
+// - runs the MediaPipe face landmarker on the hand tracker's video, so no second camera is
+//   opened; it only detects while hand tracking has the camera running
+// - measures the midpoint between the eyes and their span in the image (measureEyes), and
+//   turns that into centimetres from the screen centre (eyePosition)
+// - distance comes from the eye span: calibrate() records the span at a known viewing
+//   distance; until then a typical 60° webcam is assumed
+// - detection runs on the main thread at a low rate; HoloViewer smooths the result
+// - the screen size, viewing distance and calibration are kept in localStorage
+//
+// Usage:
+//   const head = getHeadTracker();
+//   head.start();
+//   const eyes = head.eyes; // { x, y, ipd, aspect, time } or null while no face is seen
+//   const eye = eyePosition(eyes, settings); // { x, y, z } in cm
+//   head.stop();
+
+import { FaceLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
+import { getHandTracker, checkAsset, TRACKER_ASSETS, TRACKER_STATES } from "./HandTracker";
+import { createSettingsStore } from "./SettingsStore";
+
+// The wasm fileset is the hand tracker's; the face model goes next to the hand model
+// (`npm run fetch-face-model`), or set VITE_FACE_MODEL_PATH
+export const HEAD_ASSETS = {
+    wasmPath: TRACKER_ASSETS.wasmPath,
+    modelPath: import.meta.env.VITE_FACE_MODEL_PATH || `${import.meta.env.BASE_URL}mediapipe/face_landmarker.task`,
+};
+
+export const HEAD_OPTIONS = {
+    // Detections per second; the hands get the worker, this shares the render thread
+    detectionFps: 15,
+};
+
+export const HEAD_STATES = {
+    IDLE: "idle",
+    LOADING_MODEL: "loading-model",
+    ASSETS_UNAVAILABLE: "assets-unavailable",
+    WAITING_FOR_CAMERA: "waiting-for-camera",
+    RUNNING: "running",
+};
+
+// Average adult distance between the pupils (cm)
+export const IPD_CM = 6.3;
+
+// Eye span × distance for a webcam with a 60° horizontal field of view, used until calibrated
+const DEFAULT_FOCAL = IPD_CM / (2 * Math.tan(Math.PI / 6));
+
+export const HEAD_PARALLAX_DEFAULTS = {
+    // Visible screen area in cm (a 15.6" 16:9 laptop) and the usual viewing distance
+    screenWidth: 34.5,
+    screenHeight: 19.4,
+    distance: 60,
+    // Eye span × distance from calibrate(), null while uncalibrated
+    focal: null,
+};
+
+const settingsStore = createSettingsStore("janisa.headParallax", HEAD_PARALLAX_DEFAULTS);
+
+// Face mesh indices: the iris centres (models with iris refinement) and the eye corners
+const IRIS = [468, 473];
+const EYE_CORNERS = [[33, 133], [362, 263]];
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * The eyes in one face's landmarks: their midpoint (normalized image coordinates) and `ipd`,
+ * the distance between them as a share of the image width. `aspect` is the video's width / height.
+ */
+export function measureEyes(landmarks, aspect) {
+    const [right, left] = landmarks.length > IRIS[1]
+        ? IRIS.map((i) => landmarks[i])
+        : EYE_CORNERS.map(([a, b]) => midpoint(landmarks[a], landmarks[b]));
+    const centre = midpoint(right, left);
+    // y is a share of the height; in width units so a tilted head measures the same
+    const ipd = Math.hypot(left.x - right.x, (left.y - right.y) / aspect);
+    return { x: centre.x, y: centre.y, ipd, aspect };
+}
+
+/**
+ * The eyes' position in cm from the centre of the screen: x to the viewer's right, y up,
+ * z out of the screen. The webcam is taken to sit at the middle of the screen's top edge.
+ */
+export function eyePosition(eyes, settings = HEAD_PARALLAX_DEFAULTS) {
+    const z = (settings.focal || DEFAULT_FOCAL) / eyes.ipd;
+    // The image's width in cm at the eyes' depth; the camera faces the viewer, hence 0.5 - x
+    const span = IPD_CM / eyes.ipd;
+    return {
+        x: (0.5 - eyes.x) * span,
+        y: (0.5 - eyes.y) * span / eyes.aspect + settings.screenHeight / 2,
+        z,
+    };
+}
+
+/**
+ * `settings` calibrated so that `eyes`, measured while sitting at settings.distance, come out at that distance.
+ */
+export function calibrate(settings, eyes) {
+    return { ...settings, focal: eyes.ipd * settings.distance };
+}
+
+export function createHeadTracker(handTracker = getHandTracker(), assets = HEAD_ASSETS, options = HEAD_OPTIONS) {
+    let landmarkerPromise = null; // loaded once, kept for the page's lifetime
+    let landmarker = null;
+    let state = HEAD_STATES.IDLE;
+    let error = null;
+    let eyes = null;
+    let rafId = null;
+    let lastDetection = -Infinity;
+    let session = 0;
+    const listeners = new Set();
+
+    function setState(next, err = null) {
+        if (next === state && err === error) return;
+        state = next;
+        error = err;
+        listeners.forEach((listener) => listener(state, error));
+    }
+
+    function loadLandmarker() {
+        if (!landmarkerPromise) {
+            landmarkerPromise = (async () => {
+                const wasmPath = assets.wasmPath.replace(/\/$/, "");
+                await Promise.all([checkAsset(`${wasmPath}/vision_wasm_internal.wasm`), checkAsset(assets.modelPath)]);
+                const vision = await FilesetResolver.forVisionTasks(wasmPath);
+                landmarker = await FaceLandmarker.createFromOptions(vision, {
+                    baseOptions: { modelAssetPath: assets.modelPath },
+                    runningMode: "video",
+                    numFaces: 1,
+                });
+                return landmarker;
+            })();
+            // Let a later start() retry after a failed load
+            landmarkerPromise.catch(() => {
+                landmarkerPromise = null;
+            });
+        }
+        return landmarkerPromise;
+    }
+
+    function loop() {
+        rafId = requestAnimationFrame(loop);
+        const video = handTracker.video;
+        // Only while hand tracking has the camera; paused video would repeat one frame
+        if (handTracker.state !== TRACKER_STATES.RUNNING || !video || video.readyState < 2) {
+            eyes = null;
+            setState(HEAD_STATES.WAITING_FOR_CAMERA);
+            return;
+        }
+        setState(HEAD_STATES.RUNNING);
+
+        const now = performance.now();
+        if (now - lastDetection < 1000 / options.detectionFps - 1) return;
+        lastDetection = now;
+        try {
+            const faces = landmarker.detectForVideo(video, now).faceLandmarks || [];
+            eyes = faces.length ? { ...measureEyes(faces[0], video.videoWidth / video.videoHeight), time: now } : null;
+        } catch (e) {
+            console.warn("HeadTracker loop error:", e);
+        }
+    }
+
+    return {
+        /**
+         * Loads the face model and starts following the hand tracker's video. Does nothing if started.
+         */
+        async start() {
+            if (state !== HEAD_STATES.IDLE && state !== HEAD_STATES.ASSETS_UNAVAILABLE) return;
+            const mySession = ++session;
+            try {
+                setState(HEAD_STATES.LOADING_MODEL);
+                await loadLandmarker();
+            } catch (err) {
+                if (mySession !== session) return;
+                console.error("Face tracking assets failed to load:", err);
+                setState(HEAD_STATES.ASSETS_UNAVAILABLE, err);
+                return;
+            }
+            if (mySession !== session) return;
+            lastDetection = -Infinity;
+            loop();
+        },
+
+        stop() {
+            session++;
+            if (rafId !== null) cancelAnimationFrame(rafId);
+            rafId = null;
+            eyes = null;
+            setState(HEAD_STATES.IDLE);
+        },
+
+        // The last measurement (see measureEyes) plus its `time`, or null while no face is seen
+        get eyes() {
+            return eyes;
+        },
+
+        get state() {
+            return state;
+        },
+
+        get error() {
+            return error;
+        },
+
+        /**
+         * Calls listener(state, error) on every state change. Returns an unsubscribe function.
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+}
+
+let sharedTracker = null;
+
+/**
+ * The page's one head tracker, shared by the viewer and its calibration controls.
+ */
+export function getHeadTracker() {
+    if (!sharedTracker) sharedTracker = createHeadTracker();
+    return sharedTracker;
+}
+
+// ================================
+// Settings (localStorage)
+// ================================
+
+/**
+ * The saved screen size, distance and calibration merged over HEAD_PARALLAX_DEFAULTS.
+ */
+export function loadHeadParallaxSettings(storage = globalThis.localStorage) {
+    return settingsStore.load(storage);
+}
+
+export function saveHeadParallaxSettings(settings, storage = globalThis.localStorage) {
+    settingsStore.save(settings, storage);
+}
+
+export default createHeadTracker;
@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+    createHeadTracker, measureEyes, eyePosition, calibrate, loadHeadParallaxSettings, saveHeadParallaxSettings,
+    HEAD_ASSETS, HEAD_STATES, HEAD_PARALLAX_DEFAULTS, IPD_CM,
+} from "./HeadTracker";
+import { TRACKER_STATES } from "./HandTracker";
+import memoryStorage from "./__fixtures__/memoryStorage";
+
+const detected = { faceLandmarks: [] };
+
+vi.mock("@mediapipe/tasks-vision", () => ({
+    FilesetResolver: { forVisionTasks: vi.fn(async () => ({})) },
+    HandLandmarker: { createFromOptions: vi.fn() },
+    FaceLandmarker: {
+        createFromOptions: vi.fn(async () => ({ detectForVideo: () => detected })),
+    },
+}));
+
+// A face mesh (with irises) looking straight at the camera, eyes at `left` / `right` in the image
+function face(right, left, count = 478) {
+    const landmarks = Array.from({ length: count }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+    if (count > 473) {
+        landmarks[468] = right;
+        landmarks[473] = left;
+    } else {
+        [33, 133].forEach((i) => { landmarks[i] = right; });
+        [362, 263].forEach((i) => { landmarks[i] = left; });
+    }
+    return landmarks;
+}
+
+describe("eye measurement", () => {
+    it("takes the iris centres, or the eye corners without them", () => {
+        const eyes = measureEyes(face({ x: 0.45, y: 0.4 }, { x: 0.55, y: 0.4 }), 4 / 3);
+        expect(eyes.x).toBeCloseTo(0.5);
+        expect(eyes.y).toBeCloseTo(0.4);
+        expect(eyes.ipd).toBeCloseTo(0.1);
+
+        const corners = measureEyes(face({ x: 0.3, y: 0.5 }, { x: 0.4, y: 0.5 }, 468), 4 / 3);
+        expect(corners.x).toBeCloseTo(0.35);
+        expect(corners.ipd).toBeCloseTo(0.1);
+    });
+
+    it("measures the same span for a tilted head", () => {
+        // 0.06 of the height is 0.045 of the width at 4:3
+        const eyes = measureEyes(face({ x: 0.46, y: 0.47 }, { x: 0.54, y: 0.53 }), 4 / 3);
+        expect(eyes.ipd).toBeCloseTo(Math.hypot(0.08, 0.045));
+    });
+});
+
+describe("eyePosition", () => {
+    const settings = calibrate(HEAD_PARALLAX_DEFAULTS, { x: 0.5, y: 0.5, ipd: 0.1, aspect: 4 / 3 });
+
+    it("puts the calibration pose at the calibrated distance, below the webcam", () => {
+        const eye = eyePosition({ x: 0.5, y: 0.5, ipd: 0.1, aspect: 4 / 3 }, settings);
+        expect(eye.z).toBeCloseTo(HEAD_PARALLAX_DEFAULTS.distance);
+        expect(eye.x).toBeCloseTo(0);
+        expect(eye.y).toBeCloseTo(HEAD_PARALLAX_DEFAULTS.screenHeight / 2);
+
+        // Eyes half as far apart in the image: twice as far away
+        expect(eyePosition({ x: 0.5, y: 0.5, ipd: 0.05, aspect: 4 / 3 }, settings).z).toBeCloseTo(120);
+    });
+
+    it("mirrors the camera image, so moving to your right moves the eye right", () => {
+        const eye = eyePosition({ x: 0.4, y: 0.6, ipd: 0.1, aspect: 4 / 3 }, settings);
+        expect(eye.x).toBeCloseTo(0.1 * IPD_CM / 0.1);
+        expect(eye.y).toBeLessThan(HEAD_PARALLAX_DEFAULTS.screenHeight / 2);
+    });
+
+    it("assumes a typical webcam until calibrated", () => {
+        const eye = eyePosition({ x: 0.5, y: 0.5, ipd: 0.09, aspect: 16 / 9 });
+        expect(eye.z).toBeGreaterThan(55);
+        expect(eye.z).toBeLessThan(65);
+    });
+});
+
+describe("head parallax settings", () => {
+    it("are saved and merged over the defaults", () => {
+        const storage = memoryStorage();
+        expect(loadHeadParallaxSettings(storage)).toEqual(HEAD_PARALLAX_DEFAULTS);
+        saveHeadParallaxSettings({ screenWidth: 52, focal: 6 }, storage);
+        expect(loadHeadParallaxSettings(storage)).toEqual({ ...HEAD_PARALLAX_DEFAULTS, screenWidth: 52, focal: 6 });
+        storage.setItem("janisa.headParallax", "{nope");
+        expect(loadHeadParallaxSettings(storage)).toEqual(HEAD_PARALLAX_DEFAULTS);
+    });
+});
+
+describe("createHeadTracker", () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    // The hand tracker's camera, a fake asset server and rAF
+    function fakeBrowser() {
+        const frames = new Map();
+        let nextFrame = 1;
+        vi.stubGlobal("fetch", vi.fn(async () => ({ ok: true, headers: { get: () => "application/octet-stream" } })));
+        vi.stubGlobal("requestAnimationFrame", (cb) => {
+            frames.set(nextFrame, cb);
+            return nextFrame++;
+        });
+        vi.stubGlobal("cancelAnimationFrame", (id) => frames.delete(id));
+        return {
+            frames,
+            hands: { state: TRACKER_STATES.IDLE, video: { readyState: 4, videoWidth: 640, videoHeight: 480 } },
+            tick() {
+                const pending = [...frames.values()];
+                frames.clear();
+                pending.forEach((cb) => cb());
+            },
+        };
+    }
+
+    it("follows the hand tracker's video instead of opening a camera", async () => {
+        const browser = fakeBrowser();
+        const head = createHeadTracker(browser.hands, HEAD_ASSETS, { detectionFps: Infinity });
+        await head.start();
+        expect(head.state).toBe(HEAD_STATES.WAITING_FOR_CAMERA);
+
+        browser.hands.state = TRACKER_STATES.RUNNING;
+        detected.faceLandmarks = [face({ x: 0.45, y: 0.5 }, { x: 0.55, y: 0.5 })];
+        browser.tick();
+        expect(head.state).toBe(HEAD_STATES.RUNNING);
+        expect(head.eyes.ipd).toBeCloseTo(0.1);
+        expect(head.eyes.aspect).toBeCloseTo(4 / 3);
+
+        detected.faceLandmarks = [];
+        browser.tick();
+        expect(head.eyes).toBe(null);
+
+        head.stop();
+        expect(head.state).toBe(HEAD_STATES.IDLE);
+        expect(browser.frames.size).toBe(0);
+    });
+});
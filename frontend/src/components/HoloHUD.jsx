@@ -1,15 +1,47 @@
 import React from "react";
 import "./HoloHUD.css";
 
-const HoloHUD = ({ modelName, activeGesture, coords, trackerActive }) => {
+// Tracker states (see HandTracker.js) -> SYSTEM readout; errors are shown in red
+const TRACKER_LABELS = {
+    "idle": { text: "ACTIVE" },
+    "loading-model": { text: "LOADING MODEL", pulse: true },
+    "assets-unavailable": {
+        text: "NO TRACKER",
+        error: true,
+        hint: "Hand tracking is off: its model files couldn't be loaded. Run npm run fetch-hand-model, or set VITE_HAND_MODEL_PATH / VITE_MEDIAPIPE_WASM_PATH.",
+    },
+    "starting-camera": { text: "CAMERA...", pulse: true },
+    "running": { text: "ACTIVE" },
+    "paused": { text: "PAUSED" },
+    "playback": { text: "REPLAY" },
+    "permission-denied": { text: "CAMERA DENIED", error: true, hint: "Allow camera access in the browser to use hand gestures." },
+    "no-camera": { text: "NO CAMERA", error: true, hint: "No camera found. Connect one, or use voice and text commands." },
+    "error": { text: "TRACKER ERROR", error: true, hint: "Hand tracking stopped unexpectedly." },
+};
+
+// Input source in control (see InputManager.js) -> INPUT readout
+const CONTROLLER_LABELS = {
+    hand: "HAND",
+    voice: "VOICE",
+    pointer: "POINTER",
+    gamepad: "GAMEPAD",
+    auto: "AUTO SPIN",
+};
+
+const HoloHUD = ({ modelName, selectedPart = null, controller = null, activeGesture, coords, trackerActive, trackerState = "idle", trackerError = null, voiceMessage }) => {
+    const system = trackerActive ? { text: "TRACKING", pulse: true } : TRACKER_LABELS[trackerState] || TRACKER_LABELS.idle;
+
     return (
         <div className="holo-hud-container">
             {/* Top Corners: System Status */}
             <div className="hud-corner top-left">
                 <div className="hud-stat">
                     <span className="stat-label">SYSTEM:</span>
-                    <span className={`stat-value ${trackerActive ? "pulse-text" : ""}`} style={{ color: trackerActive ? "#00ff00" : "#ffcc00" }}>
-                        {trackerActive ? "TRACKING" : "ACTIVE"}
+                    <span
+                        className={`stat-value ${system.pulse ? "pulse-text" : ""} ${system.error ? "stat-error" : ""}`}
+                        style={system.error ? undefined : { color: trackerActive ? "#00ff00" : "#ffcc00" }}
+                    >
+                        {system.text}
                     </span>
                 </div>
                 <div className="hud-stat">
@@ -23,12 +55,27 @@ const HoloHUD = ({ modelName, activeGesture, coords, trackerActive }) => {
                     <span className="stat-label">MODEL:</span>
                     <span className="stat-value">{modelName || "NONE"}</span>
                 </div>
-                <div className="hud-stat">
-                    <span className="stat-label">ENCODING:</span>
-                    <span className="stat-value">GLTF/PBR</span>
-                </div>
+                {selectedPart ? (
+                    <div className="hud-stat" title={selectedPart.path}>
+                        <span className="stat-label">PART:</span>
+                        <span className="stat-value">{selectedPart.name}</span>
+                        <div className="stat-detail">{selectedPart.path}</div>
+                    </div>
+                ) : (
+                    <div className="hud-stat">
+                        <span className="stat-label">ENCODING:</span>
+                        <span className="stat-value">GLTF/PBR</span>
+                    </div>
+                )}
             </div>
 
+            {system.hint && (
+                <div className="hud-alert">
+                    <div>{system.hint}</div>
+                    {trackerError && <div className="hud-alert-detail">{trackerError.message}</div>}
+                </div>
+            )}
+
             {/* Middle: Scanning Ring */}
             <div className="hud-center-decor">
                 <div className="ring ring-1"></div>
@@ -42,6 +89,16 @@ const HoloHUD = ({ modelName, activeGesture, coords, trackerActive }) => {
                     <span className="stat-label">GESTURE:</span>
                     <span className="stat-value">{activeGesture || "IDLE"}</span>
                 </div>
+                <div className="hud-stat">
+                    <span className="stat-label">INPUT:</span>
+                    <span className="stat-value">{CONTROLLER_LABELS[controller] || "NONE"}</span>
+                </div>
+                {voiceMessage && (
+                    <div className="hud-stat">
+                        <span className="stat-label">VOICE:</span>
+                        <span className={`stat-value ${voiceMessage.kind === "error" ? "stat-error" : ""}`}>{voiceMessage.text}</span>
+                    </div>
+                )}
                 <div className="hud-mini-graph">
                     {Array.from({ length: 12 }).map((_, i) => (
                         <div key={i} className="graph-bar" style={{ height: `${20 + Math.random() * 60}%` }}></div>
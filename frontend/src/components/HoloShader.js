@@ -6,7 +6,11 @@ import * as THREE from "three";
  * - Scanlines (animated)
  * - Fresnel (rim light)
  * - Glitch/Flicker (signal noise)
+ * - Glitch bands: horizontal slices of the mesh torn sideways at random moments (vertex)
+ * - Interference: drifting noise bands eating into the opacity
  * - Opacity modulation
+ * All of it works in world space, so every view of the scene (stereo eyes, pyramid faces)
+ * shows the same hologram. Screen-space effects are in ScreenEffects.js.
  */
 export const HoloShader = {
     uniforms: {
@@ -17,22 +21,44 @@ export const HoloShader = {
         uScanSpeed: { value: 1.2 },
         uScanDensity: { value: 30.0 },
         uFlickerStrength: { value: 0.05 },
+        uGlitch: { value: 0.0 },
+        uGlitchRate: { value: 3.0 },
+        uNoise: { value: 0.0 },
+        uNoiseScale: { value: 8.0 },
         uMap: { value: null },
         uUseTexture: { value: 0.0 },
     },
     vertexShader: `
+        uniform float uTime;
+        uniform float uGlitch;
+        uniform float uGlitchRate;
+
         varying vec3 vNormal;
         varying vec3 vPosition;
         varying vec2 vUv;
         varying vec3 vViewPosition;
 
+        float hash(float n) {
+            return fract(sin(n) * 43758.5453123);
+        }
+
         void main() {
             vNormal = normalize(normalMatrix * normal);
             vUv = uv;
             vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+
+            // Glitch bands: time is cut into slots, and in some slots a few horizontal
+            // bands of the model jump sideways
+            if (uGlitch > 0.0) {
+                float slot = floor(uTime * uGlitchRate);
+                float active = step(0.55, hash(slot));
+                float band = floor(worldPosition.y * 12.0 + hash(slot + 0.5) * 12.0);
+                float torn = step(0.75, hash(band + slot * 17.0));
+                worldPosition.x += active * torn * (hash(band * 3.1 + slot) - 0.5) * uGlitch;
+            }
             vPosition = worldPosition.xyz;
             
-            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            vec4 mvPosition = viewMatrix * worldPosition;
             vViewPosition = -mvPosition.xyz;
             
             gl_Position = projectionMatrix * mvPosition;
@@ -46,6 +72,8 @@ export const HoloShader = {
         uniform float uScanSpeed;
         uniform float uScanDensity;
         uniform float uFlickerStrength;
+        uniform float uNoise;
+        uniform float uNoiseScale;
         uniform sampler2D uMap;
         uniform float uUseTexture;
 
@@ -58,6 +86,15 @@ export const HoloShader = {
             return fract(sin(dot(st.xy, vec2(12.9898,78.233))) * 43758.5453123);
         }
 
+        // Smooth value noise, one octave
+        float noise(vec2 st) {
+            vec2 i = floor(st);
+            vec2 f = fract(st);
+            vec2 u = f * f * (3.0 - 2.0 * f);
+            return mix(mix(random(i), random(i + vec2(1.0, 0.0)), u.x),
+                       mix(random(i + vec2(0.0, 1.0)), random(i + vec2(1.0, 1.0)), u.x), u.y);
+        }
+
         void main() {
             // 1. Texture Sampling
             vec3 texColor = uColor;
@@ -80,6 +117,13 @@ export const HoloShader = {
             // 5. Combine
             float alpha = uOpacity * (fresnel * uGlowIntensity + scanline * 0.6 + 0.1);
             alpha *= flicker;
+
+            // 6. Interference: wide bands drifting up the model, with fine grain in them
+            if (uNoise > 0.0) {
+                float bands = noise(vec2(vPosition.y * uNoiseScale - uTime * 1.5, uTime * 0.3));
+                float grain = noise(vPosition.xy * uNoiseScale * 6.0 + uTime * 20.0);
+                alpha *= 1.0 - uNoise * smoothstep(0.4, 0.9, bands) * (0.5 + 0.5 * grain);
+            }
             
             // Subtle color modulation - mix original texture with hologram glow
             vec3 finalColor = mix(texColor, uColor, 0.15) + fresnel * 0.4;
@@ -91,4 +135,32 @@ export const HoloShader = {
     `,
 };
 
+// The user-adjustable look, applied over the uniforms above by HoloViewer (presets in
+// ShaderPresets.js). `proximity` is how much a nearby hand brightens it, 0 to 1.
+// Each effect has an on / off flag and its own settings; aberration and outline are
+// drawn by ScreenEffects.js.
+export const SHADER_DEFAULTS = {
+    color: "#ffcc00",
+    opacity: 0.6,
+    glow: 0.4,
+    scanSpeed: 1.2,
+    scanDensity: 30.0,
+    flicker: 0.05,
+    proximity: 1,
+    glitch: false,
+    glitchAmount: 0.15, // how far a band tears, in scene units
+    glitchRate: 3, // chances to glitch per second
+    noise: false,
+    noiseAmount: 0.5,
+    noiseScale: 8,
+    aberration: false,
+    aberrationAmount: 3, // RGB split at the screen's edge, in pixels
+    outline: false,
+    outlineAmount: 1,
+    outlineWidth: 1, // pixels
+};
+
+// The on / off effect flags in SHADER_DEFAULTS
+export const SHADER_EFFECTS = ["glitch", "noise", "aberration", "outline"];
+
 export default HoloShader;
@@ -1,5 +1,5 @@
 // HoloViewer.jsx
-import { useEffect, useRef } from "react";
+import { useEffect, useRef, useState } from "react";
 import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader";
 import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader";
@@ -8,71 +8,195 @@ import { STLLoader } from "three/examples/jsm/loaders/STLLoader";
 import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader";
 import { TDSLoader } from "three/examples/jsm/loaders/TDSLoader";
 import startHandTracking from "./HandTracker";
-import computeGesture from "./GestureEngine";
-import { HoloShader } from "./HoloShader";
+import computeGesture, { GESTURE_CONFIG } from "./GestureEngine";
+import createGestureStateMachine from "./GestureStateMachine";
+import createTrajectoryRecognizer, { DEFAULT_TRAJECTORY_BINDINGS } from "./TrajectoryGestures";
+import createClutchController from "./ClutchController";
+import createHandSkeletons from "./HandSkeleton";
+import createPartPicker from "./PartPicker";
+import createPointerControls from "./PointerControls";
+import createGamepadControls from "./GamepadControls";
+import createInputManager, { createAbsoluteMapping } from "./InputManager";
+import createViewHistory, { HISTORY_CONFIG, capturePose, modelKey, loadViewpoint, saveViewpoint, deleteViewpoint } from "./ViewHistory";
+import { startFramePlayback } from "./HandRecording";
+import parseCommand from "./CommandParser";
+import { HoloShader, SHADER_DEFAULTS } from "./HoloShader";
+import createPyramidDisplay, { PYRAMID_DEFAULTS } from "./PyramidDisplay";
+import createStereoDisplay, { STEREO_DEFAULTS, STEREO_MODES } from "./StereoDisplay";
+import createScreenEffects, { screenEffectsOn } from "./ScreenEffects";
+import { getHeadTracker, eyePosition, HEAD_PARALLAX_DEFAULTS } from "./HeadTracker";
+import { applyOffAxis, screenWindow } from "./OffAxisProjection";
 
-export default function HoloViewer({ modelURL = null, command = null, onGesture = null }) {
+// How fast the shown model eases to the input target (1/s)
+const EASE_ROTATE = 10;
+const EASE_MOVE = 7;
+const EASE_SCALE = 6;
+// How fast the parallax camera follows the tracked eyes (1/s); detection is only ~15/s
+const EASE_HEAD = 8;
+
+const CAMERA_Z = 4.5;
+
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+// Submits a whole pose and has the model animate to it (over TRANSITION_MS) rather than ease
+function jumpTo(input, pose, source, view) {
+    if (!input.submit(source, pose)) return false;
+    if (view) view.transition = { start: null };
+    return true;
+}
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Submits one parsed command (see CommandParser.js) to the input manager as `source`.
+// `view` is HoloViewer's { model, transition } (undo / redo and viewpoints, see ViewHistory.js).
+// Besides the parser's commands, { type: "pose", pose } jumps to a pose (e.g. from a shared link).
+// "model" commands are handled by ModelBrowser, not here.
+function applyCommand(input, cmd, source = "voice", { clutch = null, history = null, view = null } = {}) {
+    switch (cmd.type) {
+        case "rotate": {
+            const next = cmd.mode === "absolute" ? cmd.value : input.rotation[cmd.axis] + cmd.value;
+            const step = Math.abs(cmd.value);
+            input.submit(source, { rotation: { [cmd.axis]: cmd.snap && step ? Math.round(next / step) * step : next } });
+            break;
+        }
+        case "scale":
+            input.submit(source, cmd.mode === "absolute" ? { scale: cmd.value } : { zoom: cmd.value });
+            break;
+        case "move":
+            input.submit(source, cmd.mode === "absolute" ? { position: { [cmd.axis]: cmd.value } } : { move: { [cmd.axis]: cmd.value } });
+            break;
+        case "reset":
+            // The clutch only hands out deltas from here on, so its pose restarts with the view
+            if (input.submit(source, { reset: true }) && clutch) clutch.reset();
+            break;
+        case "autospin":
+            input.autoSpin = cmd.mode === "toggle" ? !input.autoSpin : cmd.mode === "on";
+            break;
+        case "pose":
+            jumpTo(input, cmd.pose, source, view);
+            break;
+        case "undo":
+        case "redo":
+            if (history) history[cmd.type]((pose) => jumpTo(input, pose, source, view));
+            break;
+        case "viewpoint": {
+            const model = view && view.model;
+            if (!model) break;
+            if (cmd.action === "save") {
+                saveViewpoint(model, cmd.name, capturePose(input));
+            } else if (cmd.action === "delete") {
+                deleteViewpoint(model, cmd.name);
+            } else {
+                const pose = loadViewpoint(model, cmd.name);
+                // A missing one is reported by App.handleCommand, like an unknown style
+                if (pose) jumpTo(input, pose, source, view);
+            }
+            break;
+        }
+    }
+}
+
+export default function HoloViewer({
+    modelURL = null,
+    command = null,
+    onGesture = null,
+    onFrame = null,
+    onModelStep = null,
+    playback = null,
+    manipulation = "clutch", // "clutch" (grab to turn / drag) or "absolute" (wrist position)
+    gestureConfig = GESTURE_CONFIG, // a calibrated profile's config (see GestureCalibration.js)
+    trajectoryBindings = DEFAULT_TRAJECTORY_BINDINGS,
+    showHands = false, // draw the tracked hands in the scene (see HandSkeleton.js)
+    onSelect = null, // called with { name, path } of the picked mesh, or null (see PartPicker.js)
+    onController = null, // called with the input source in control ("hand", "voice", ...) or null
+    onPose = null, // called with each pose the model settles in (see ViewHistory.js)
+    shader = SHADER_DEFAULTS, // { color, opacity, glow, scanSpeed, scanDensity, flicker, proximity }
+    renderMode = "hologram", // see RENDER_MODES in SceneState.js
+    displayMode = "single", // see DISPLAY_MODES in SceneState.js
+    pyramid = PYRAMID_DEFAULTS, // four-view layout (see PyramidDisplay.js)
+    stereo = STEREO_DEFAULTS, // eye separation, convergence and quilt (see StereoDisplay.js)
+    headParallax = false, // move the camera with the viewer's head (single view only)
+    parallax = HEAD_PARALLAX_DEFAULTS, // screen size, distance and calibration (see HeadTracker.js)
+}) {
     const mountRef = useRef(null);
-    const smoothRef = useRef({ 
-        rotX: 0, rotY: 0, targetRotX: 0, targetRotY: 0, 
-        scale: 1, targetScale: 1, 
-        pos: new THREE.Vector3(0, 0, 0), targetPos: new THREE.Vector3(0, 0, 0),
-        // Add separate voice offsets to avoid being overwritten by hand tracker
-        vRotX: 0, vRotY: 0, vScale: 1, vPos: new THREE.Vector3(0, 0, 0)
-    });
-
-    // 1. Handle Voice Commands (Updates vOffsets)
+    const onFrameRef = useRef(onFrame);
+    const onModelStepRef = useRef(onModelStep);
+    const onSelectRef = useRef(onSelect);
+    const onControllerRef = useRef(onController);
+    const onPoseRef = useRef(onPose);
+    const shaderRef = useRef(shader);
+    const renderModeRef = useRef(renderMode);
+    const displayModeRef = useRef(displayMode);
+    const pyramidRef = useRef(pyramid);
+    const stereoRef = useRef(stereo);
+    const headParallaxRef = useRef(headParallax);
+    const parallaxRef = useRef(parallax);
+    const bindingsRef = useRef(trajectoryBindings);
+    const manipulationRef = useRef(manipulation);
+    const gestureConfigRef = useRef(gestureConfig);
+    const showHandsRef = useRef(showHands);
+    const frameHandlerRef = useRef(null);
+    const [clutch] = useState(createClutchController);
+    // Every input source moves the model through this (see InputManager.js)
+    const [input] = useState(createInputManager);
+    const [history] = useState(createViewHistory);
+    // The model viewpoints are saved for, and a running jump to a pose
+    const viewRef = useRef({ model: null, transition: null });
+
+    // 1. Handle Commands (voice and text)
     useEffect(() => {
-        if (!command) return;
-        const smooth = smoothRef.current;
-        const parts = command.text.toLowerCase().split(" ");
-        const action = parts[0];
-        const value = parseFloat(parts[parts.length - 1]) || 0;
-
-        switch (action) {
-            case "rotate":
-                const direction = parts[1];
-                const angle = THREE.MathUtils.degToRad(value || 90);
-                if (direction === "left") smooth.vRotY -= angle;
-                if (direction === "right") smooth.vRotY += angle;
-                if (direction === "up") smooth.vRotX -= angle;
-                if (direction === "down") smooth.vRotX += angle;
-                break;
-            case "scale":
-                smooth.vScale = value || 1;
-                break;
-            case "move":
-            case "position":
-                const axis = parts[1];
-                const offset = value || 0.5;
-                if (axis === "x" || parts.includes("left")) smooth.vPos.x -= offset;
-                if (axis === "x" || parts.includes("right")) smooth.vPos.x += offset;
-                if (axis === "y") smooth.vPos.y += offset;
-                break;
-            case "reset":
-                smooth.vRotX = smooth.vRotY = 0;
-                smooth.vScale = 1;
-                smooth.vPos.set(0, 0, 0);
-                break;
-        }
-    }, [command]);
+        if (!command || !command.commands) return;
+        const context = { clutch, history, view: viewRef.current };
+        command.commands.forEach((cmd) => applyCommand(input, cmd, "voice", context));
+    }, [command, input, clutch, history]);
+
+    useEffect(() => {
+        onFrameRef.current = onFrame;
+        onModelStepRef.current = onModelStep;
+        onSelectRef.current = onSelect;
+        onControllerRef.current = onController;
+        onPoseRef.current = onPose;
+        shaderRef.current = shader;
+        renderModeRef.current = renderMode;
+        displayModeRef.current = displayMode;
+        pyramidRef.current = pyramid;
+        stereoRef.current = stereo;
+        headParallaxRef.current = headParallax;
+        parallaxRef.current = parallax;
+        bindingsRef.current = trajectoryBindings;
+        manipulationRef.current = manipulation;
+        gestureConfigRef.current = gestureConfig;
+        showHandsRef.current = showHands;
+    }, [onFrame, onModelStep, onSelect, onController, onPose, shader, renderMode, displayMode, pyramid, stereo, headParallax, parallax, trajectoryBindings, manipulation, gestureConfig, showHands]);
 
     // 2. Main Three.js Scene
     useEffect(() => {
         const mount = mountRef.current;
         if (!mount || !modelURL) return;
 
-        const smooth = smoothRef.current;
+        // Undo doesn't cross models; viewpoints are looked up by this one's file name
+        const view = viewRef.current;
+        view.model = modelKey(modelURL);
+        view.transition = null;
+        history.clear();
+        const context = { clutch, history, view };
+
         const scene = new THREE.Scene();
         scene.background = new THREE.Color(0x000000);
 
         const camera = new THREE.PerspectiveCamera(50, mount.clientWidth / mount.clientHeight, 0.1, 1000);
-        camera.position.set(0, 0, 4.5);
+        camera.position.set(0, 0, CAMERA_Z);
+        // Height of the view at the model, which head parallax keeps the canvas showing
+        const viewHeight = 2 * CAMERA_Z * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+        const head = getHeadTracker();
 
         const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
         renderer.setSize(mount.clientWidth, mount.clientHeight);
         renderer.setPixelRatio(window.devicePixelRatio);
         mount.appendChild(renderer.domElement);
+        const pyramidDisplay = createPyramidDisplay(renderer);
+        const stereoDisplay = createStereoDisplay(renderer);
+        const screenEffects = createScreenEffects(renderer);
 
         const hemi = new THREE.HemisphereLight(0xffcc00, 0x0a0a12, 1.6);
         scene.add(hemi);
@@ -83,6 +207,49 @@ export default function HoloViewer({ modelURL = null, command = null, onGesture
         const group = new THREE.Group();
         scene.add(group);
 
+        // Outside `group`, so the hands don't move with the model
+        const skeletons = createHandSkeletons(camera);
+        scene.add(skeletons.group);
+
+        const picker = createPartPicker(camera);
+        scene.add(picker.cursor);
+
+        function selectPart(mesh) {
+            const selection = picker.select(mesh);
+            if (onSelectRef.current) onSelectRef.current(selection);
+        }
+
+        // Mouse hover / click pick parts like the fingertip and pinch
+        const canvas = renderer.domElement;
+        function toNdc(e) {
+            const r = canvas.getBoundingClientRect();
+            return [((e.clientX - r.left) / r.width) * 2 - 1, -((e.clientY - r.top) / r.height) * 2 + 1];
+        }
+        // The pointer only maps onto the scene in the single view
+        const pickable = () => displayModeRef.current === "single";
+        const onPointerMove = (e) => picker.pointMouse(...(pickable() ? toNdc(e) : [null]));
+        const onPointerLeave = () => picker.pointMouse(null);
+        const onClick = (e) => {
+            if (controls.dragged || !pickable()) return;
+            picker.pointMouse(...toNdc(e));
+            selectPart(picker.update());
+        };
+        canvas.addEventListener("pointermove", onPointerMove);
+        canvas.addEventListener("pointerleave", onPointerLeave);
+        canvas.addEventListener("click", onClick);
+
+        // Mouse / touch / keyboard orbit, pan and zoom, and a gamepad
+        const controls = createPointerControls(canvas, input, {
+            getConfig: () => gestureConfigRef.current,
+            onReset: () => applyCommand(input, { type: "reset" }, "pointer", context),
+            onUndo: () => applyCommand(input, { type: "undo" }, "pointer", context),
+            onRedo: () => applyCommand(input, { type: "redo" }, "pointer", context),
+        });
+        const gamepad = createGamepadControls(input, {
+            getConfig: () => gestureConfigRef.current,
+            onReset: () => applyCommand(input, { type: "reset" }, "gamepad", context),
+        });
+
         let obj = null;
         let scanPlane = null;
         let shaderMaterial = null;
@@ -154,80 +321,248 @@ export default function HoloViewer({ modelURL = null, command = null, onGesture
                     }
                 });
                 group.add(obj);
+                picker.setModel(obj);
             }, undefined, (e) => console.error("Load error:", e));
         }
 
         // Damping
         function damp(c, t, l, d) { return c + (t - c) * (1 - Math.exp(-l * d)); }
 
-        // Start Gestures
+        // Gestures (frames arrive from the source effect below)
+        // Pose actions and trajectory bindings are command strings
+        function runCommandText(text) {
+            const result = parseCommand(text);
+            if (result.errors.length) return;
+            result.commands.forEach((cmd) => {
+                if (cmd.type === "model") {
+                    if (onModelStepRef.current) onModelStepRef.current(cmd.step);
+                } else {
+                    applyCommand(input, cmd, "hand", context);
+                }
+            });
+        }
+
         let prev = {};
-        startHandTracking((frame) => {
-            const gesture = computeGesture(frame, prev);
-            prev = gesture;
-            smooth.targetRotX = gesture.rotTarget.x;
-            smooth.targetRotY = gesture.rotTarget.y;
-            smooth.targetScale = gesture.scaleTarget;
-            smooth.targetPos.set(gesture.posTarget.x, gesture.posTarget.y, 0);
-
-            if (gesture.reset) {
-                smooth.targetRotX = smooth.targetRotY = 0;
-                smooth.targetScale = 1;
-                smooth.targetPos.set(0,0,0);
+        const twist = new THREE.Quaternion();
+        // The one-hand pose in absolute mode
+        const absoluteHand = createAbsoluteMapping(input, "hand");
+        // How close a hand is, 0 to 1; brightens the look by its `proximity` setting
+        let nearness = 0;
+        const gestures = createGestureStateMachine({
+            // One-shot results fire once per activation, not on every frame the pose is held
+            onGestureStart: (name, gesture) => {
+                if (gesture.reset) applyCommand(input, { type: "reset" }, "hand", context);
+                if (gesture.action) runCommandText(gesture.action);
+            },
+        });
+        const trajectories = createTrajectoryRecognizer();
+
+        function handleFrame(frame) {
+            if (onFrameRef.current) onFrameRef.current(frame);
+            prev = computeGesture(frame, prev, gestureConfigRef.current);
+            const gesture = gestures.update(prev, frame.time);
+
+            const clutching = manipulationRef.current === "clutch";
+            // Grab to turn / drag; the pinch drags here, so it doesn't also zoom
+            const held = clutching ? clutch.update(frame, prev) : null;
+
+            // The hand's path while it grabs or drags, or while two hands stretch, is the
+            // manipulation, not a swipe or circle
+            if (held || gesture.twoHand || (frame.hands || []).length > 1) trajectories.clear();
+            else {
+                const trajectory = trajectories.update(frame);
+                if (trajectory && bindingsRef.current[trajectory]) runCommandText(bindingsRef.current[trajectory]);
             }
 
-            const g = Math.min(Math.max(gesture.glow || 0, 0), 1);
-            holoMaterials.forEach(m => {
-                m.uniforms.uGlowIntensity.value = 0.4 + g * 0.8;
-                m.uniforms.uOpacity.value = 0.6 + g * 0.4;
-            });
+            let gestureName = gesture.gestureName;
+            if (clutching) {
+                if (held) gestureName = { rotate: "GRAB", move: "DRAG", stretch: "STRETCH" }[held];
+            } else if (gesture.twoHand) {
+                // Two hands: stretch, twist and pan on top of where one hand left the model
+                const { scale, roll, pan } = gesture.twoHand;
+                input.submit("hand", { zoom: scale, turn: twist.setFromAxisAngle(Z_AXIS, roll), move: { x: pan.x, y: pan.y } });
+            } else if ((frame.hands || []).length) {
+                // Only while a hand is in view, so it doesn't hold on to the model when gone;
+                // after voice, pointer or a stretch moved it, the hand carries on from there
+                absoluteHand.submit({
+                    rotation: { x: gesture.rotTarget.x, y: gesture.rotTarget.y },
+                    scale: gesture.scaleTarget,
+                    position: { x: gesture.posTarget.x, y: gesture.posTarget.y },
+                });
+            }
+
+            if (showHandsRef.current) skeletons.update(frame, gestureName, gestureConfigRef.current);
+            if (picker.handFrame(frame) && picker.hovered) selectPart(picker.hovered);
+
+            nearness = Math.min(Math.max(gesture.glow || 0, 0), 1);
 
             if (onGesture) {
                 const hands = frame.hands || [];
                 const firstHand = hands[0] || { wrist: { x: 0.5, y: 0.5 } };
-                onGesture(gesture.gestureName, firstHand.wrist, hands.length > 0);
+                onGesture(gestureName, firstHand.wrist, hands.length > 0);
             }
-        });
+        }
+
+        frameHandlerRef.current = handleFrame;
+
+        const shownQuat = new THREE.Quaternion();
+        const shownPos = new THREE.Vector3();
+        let shownScale = 1;
+        let shownController = null;
+        let reportedPose = null;
+        const shaderColor = new THREE.Color();
+        // Where the parallax camera is (cm from the screen centre), null while it's off
+        let shownEye = null;
 
         // Animation loop
         let last = performance.now();
+        let rafId = null;
         function animate() {
-            requestAnimationFrame(animate);
+            rafId = requestAnimationFrame(animate);
             const now = performance.now();
             const dt = Math.min((now - last) / 1000, 0.05);
             last = now;
 
-            smooth.rotX = damp(smooth.rotX || 0, smooth.targetRotX || 0, 5, dt);
-            smooth.rotY = damp(smooth.rotY || 0, smooth.targetRotY || 0, 5, dt);
-            smooth.scale = damp(smooth.scale || 1, smooth.targetScale || 1, 4, dt);
-            smooth.pos.x = damp(smooth.pos.x, smooth.targetPos.x, 4, dt);
-            smooth.pos.y = damp(smooth.pos.y, smooth.targetPos.y, 4, dt);
+            input.step(dt, now);
+            clutch.step(dt);
+            // Grabs only move the model in clutch mode; the deltas are taken regardless to stay in step
+            const grabbed = clutch.takeDelta();
+            if (grabbed && manipulationRef.current === "clutch") input.submit("hand", grabbed, now);
+            gamepad.poll(dt, now);
+            skeletons.group.visible = showHandsRef.current;
+            skeletons.step(now);
+
+            const controller = input.controller(now);
+            if (controller !== shownController) {
+                shownController = controller;
+                if (onControllerRef.current) onControllerRef.current(controller);
+            }
+
+            history.record(capturePose(input), now);
+            if (history.current !== reportedPose) {
+                reportedPose = history.current;
+                if (onPoseRef.current && reportedPose) onPoseRef.current(reportedPose);
+            }
 
             if (obj) {
-                // COMBINE: Hand tracking rotation + Voice command rotation
-                obj.rotation.x = smooth.rotX + smooth.vRotX;
-                obj.rotation.y = smooth.rotY + smooth.vRotY;
-                obj.scale.setScalar(smooth.scale * smooth.vScale);
-                obj.position.x = smooth.pos.x + smooth.vPos.x;
-                obj.position.y = (smooth.pos.y + smooth.vPos.y) - 0.2;
+                const transition = view.transition;
+                if (transition) {
+                    // Undo / redo / viewpoint: a timed move from where the model was shown
+                    if (transition.start === null) {
+                        Object.assign(transition, { start: now, quat: shownQuat.clone(), pos: shownPos.clone(), scale: shownScale });
+                    }
+                    const t = Math.min(1, (now - transition.start) / HISTORY_CONFIG.TRANSITION_MS);
+                    const k = smoothstep(t);
+                    shownQuat.slerpQuaternions(transition.quat, input.quaternion, k);
+                    shownPos.lerpVectors(transition.pos, input.position, k);
+                    shownScale = THREE.MathUtils.lerp(transition.scale, input.scale, k);
+                    if (t >= 1) view.transition = null;
+                } else {
+                    // Ease to the one target every input source feeds
+                    shownQuat.slerp(input.quaternion, 1 - Math.exp(-EASE_ROTATE * dt));
+                    shownPos.lerp(input.position, 1 - Math.exp(-EASE_MOVE * dt));
+                    shownScale = damp(shownScale, input.scale, EASE_SCALE, dt);
+                }
+                obj.quaternion.copy(shownQuat);
+                obj.scale.setScalar(shownScale);
+                obj.position.set(shownPos.x, shownPos.y - 0.2, shownPos.z);
 
+                const hovered = picker.update();
+                canvas.style.cursor = hovered ? "pointer" : "";
+                const look = shaderRef.current;
+                const wireframe = renderModeRef.current === "wireframe";
+                shaderColor.set(look.color);
+                // Proximity adds to the style's glow and opacity rather than replacing them
+                const lift = look.proximity * nearness;
+                const glow = look.glow + lift * 0.8;
+                const opacity = Math.min(1, look.opacity + lift * 0.4);
                 holoMaterials.forEach(m => {
                     m.uniforms.uTime.value = now / 1000;
+                    m.uniforms.uColor.value.copy(shaderColor);
+                    m.uniforms.uScanSpeed.value = look.scanSpeed;
+                    m.uniforms.uScanDensity.value = look.scanDensity;
+                    m.uniforms.uFlickerStrength.value = look.flicker;
+                    m.uniforms.uGlitch.value = look.glitch ? look.glitchAmount : 0;
+                    m.uniforms.uGlitchRate.value = look.glitchRate;
+                    m.uniforms.uNoise.value = look.noise ? look.noiseAmount : 0;
+                    m.uniforms.uNoiseScale.value = look.noiseScale;
+                    m.wireframe = wireframe;
+                    m.uniforms.uGlowIntensity.value = glow + picker.glowFor(m);
+                    m.uniforms.uOpacity.value = opacity;
                 });
                 if (scanPlane) {
                     scanPlane.position.y = Math.sin(now / 800) * 0.8;
                     scanPlane.material.opacity = 0.1 + Math.cos(now / 800) * 0.1;
                 }
             }
-            renderer.render(scene, camera);
+            if (headParallaxRef.current && displayModeRef.current === "single") {
+                const settings = parallaxRef.current;
+                const frame = screenWindow(canvas.getBoundingClientRect(), settings);
+                // No face in view: drift back to straight in front of the canvas
+                const target = head.eyes ? eyePosition(head.eyes, settings) : { x: frame.x, y: frame.y, z: settings.distance };
+                if (!shownEye) shownEye = new THREE.Vector3(frame.x, frame.y, settings.distance);
+                shownEye.lerp(target, 1 - Math.exp(-EASE_HEAD * dt));
+                applyOffAxis(camera, shownEye, frame, viewHeight);
+            } else if (shownEye) {
+                shownEye = null;
+                camera.position.set(0, 0, CAMERA_Z);
+                camera.quaternion.identity();
+                camera.updateProjectionMatrix();
+            }
+
+            const output = displayModeRef.current;
+            if (output === "pyramid" || STEREO_MODES.includes(output)) {
+                // Render targets always keep colours linear; the views drawn straight to the canvas
+                // (side by side, top / bottom) go out the same way so every view matches
+                const outputColorSpace = renderer.outputColorSpace;
+                renderer.outputColorSpace = THREE.LinearSRGBColorSpace;
+                if (output === "pyramid") pyramidDisplay.render(scene, camera, pyramidRef.current);
+                else stereoDisplay.render(scene, camera, output, stereoRef.current);
+                renderer.outputColorSpace = outputColorSpace;
+            } else if (screenEffectsOn(shaderRef.current)) screenEffects.render(scene, camera, shaderRef.current);
+            else renderer.render(scene, camera);
         }
         animate();
 
         return () => {
+            frameHandlerRef.current = null;
+            cancelAnimationFrame(rafId);
+            holoMaterials.forEach((m) => m.dispose());
+            planeGeom.dispose();
+            planeMat.dispose();
+            skeletons.dispose();
+            picker.dispose();
+            pyramidDisplay.dispose();
+            stereoDisplay.dispose();
+            screenEffects.dispose();
+            canvas.removeEventListener("pointermove", onPointerMove);
+            canvas.removeEventListener("pointerleave", onPointerLeave);
+            canvas.removeEventListener("click", onClick);
+            controls.dispose();
+            if (onSelectRef.current) onSelectRef.current(null);
+            if (onControllerRef.current) onControllerRef.current(null);
             if (mount && renderer.domElement) mount.removeChild(renderer.domElement);
             renderer.dispose();
         };
-    }, [modelURL]);
+    }, [modelURL, clutch, input, history]);
+
+    // Face tracking for head parallax rides on the hand tracker's camera (see HeadTracker.js)
+    useEffect(() => {
+        if (!headParallax) return;
+        const head = getHeadTracker();
+        head.start();
+        return () => head.stop();
+    }, [headParallax]);
+
+    // 3. Frame source: a recording, or the shared camera tracker. Kept apart from the scene
+    // so switching models doesn't reopen the camera.
+    useEffect(() => {
+        const dispatch = (frame) => {
+            if (frameHandlerRef.current) frameHandlerRef.current(frame);
+        };
+        if (playback) return startFramePlayback(playback, dispatch);
+        return startHandTracking(dispatch);
+    }, [playback]);
 
     return <div ref={mountRef} style={{ width: "100%", height: "80vh", background: "#000" }} />;
 }
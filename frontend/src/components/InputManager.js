@@ -0,0 +1,198 @@
+// InputManager.js
+// One target transform for the model, fed by every input source instead of per-source
+// offsets added together in HoloViewer.
+// - each source (hand, voice / text, pointer, gamepad, auto spin) submits intents
+// - the source that last moved the model holds control for its hold time; a source with a
+//   lower priority is ignored meanwhile, so e.g. a visible hand can't undo a spoken "reset"
+// - the resolved target is a quaternion, position and scale; HoloViewer eases the model to it
+// - `controller()` names the source in control, for the HUD
+// - createAbsoluteMapping() feeds a source's absolute targets (the hand in absolute mode)
+//   as offsets from where something else last left the model, so it carries on from there
+//
+// An intent is an object with any of:
+//   reset: true                   back to the initial pose (applied first)
+//   rotation: { x?, y?, z? }      absolute Euler angles (XYZ, radians)
+//   orbit: { x?, y? }             Euler increments; clamped to `limits` if given
+//   turn: THREE.Quaternion        rotation about the world axes
+//   scale: n / zoom: factor       absolute / relative scale
+//   position: { x?, y?, z? }      absolute position
+//   move: { x?, y?, z? }          relative position; x / y clamped to `limits` if given
+//   limits: gesture config        ROTATION_*, ZOOM_* and MOVE_* bounds (see GestureEngine.js)
+//
+// Usage:
+//   const input = createInputManager();
+//   input.submit("pointer", { orbit: { y: 0.1 }, limits: GESTURE_CONFIG });
+//   input.step(dt);                         // per animation frame (auto spin)
+//   obj.quaternion.slerp(input.quaternion, k);
+//   hud.show(input.controller());
+
+import * as THREE from "three";
+
+// Higher priority wins while it holds control
+export const INPUT_SOURCES = {
+    voice: { priority: 3, holdMs: 2500 }, // voice and text commands
+    pointer: { priority: 2, holdMs: 800 }, // mouse, touch and keys (see PointerControls.js)
+    gamepad: { priority: 2, holdMs: 800 }, // see GamepadControls.js
+    hand: { priority: 1, holdMs: 400 },
+    auto: { priority: 0, holdMs: 100 }, // auto spin
+};
+
+export const INPUT_CONFIG = {
+    SOURCES: INPUT_SOURCES,
+    // Scale bounds when an intent has no limits of its own
+    SCALE_MIN: 0.2,
+    SCALE_MAX: 5.0,
+    AUTO_SPIN_SPEED: 0.6, // rad/s
+};
+
+const AXES = ["x", "y", "z"];
+const clamp = THREE.MathUtils.clamp;
+
+// Clamps `next` to [min, max] without pulling back a value some other source put outside it
+function limit(next, prev, min, max) {
+    return clamp(next, Math.min(min, prev), Math.max(max, prev));
+}
+
+export function createInputManager(config = INPUT_CONFIG) {
+    const quaternion = new THREE.Quaternion();
+    // Kept alongside the quaternion so Euler-based input doesn't flip at +-90 degrees
+    const euler = new THREE.Euler();
+    const position = new THREE.Vector3();
+    let scale = 1;
+    let owner = null; // { source, until }
+
+    function apply(intent) {
+        const limits = intent.limits;
+
+        if (intent.reset) {
+            euler.set(0, 0, 0);
+            quaternion.identity();
+            position.set(0, 0, 0);
+            scale = 1;
+        }
+
+        if (intent.rotation || intent.orbit) {
+            AXES.forEach((axis) => {
+                if (intent.rotation && intent.rotation[axis] !== undefined) euler[axis] = intent.rotation[axis];
+            });
+            if (intent.orbit) {
+                const x = euler.x + (intent.orbit.x || 0);
+                const y = euler.y + (intent.orbit.y || 0);
+                euler.x = limits ? limit(x, euler.x, limits.ROTATION_MIN_X, limits.ROTATION_MAX_X) : x;
+                euler.y = limits ? limit(y, euler.y, limits.ROTATION_MIN_Y, limits.ROTATION_MAX_Y) : y;
+            }
+            quaternion.setFromEuler(euler);
+        }
+
+        if (intent.turn) {
+            quaternion.premultiply(intent.turn).normalize();
+            euler.setFromQuaternion(quaternion);
+        }
+
+        if (intent.scale !== undefined) scale = clamp(intent.scale, config.SCALE_MIN, config.SCALE_MAX);
+        if (intent.zoom !== undefined) {
+            const next = clamp(scale * intent.zoom, config.SCALE_MIN, config.SCALE_MAX);
+            scale = limits ? limit(next, scale, limits.ZOOM_MIN, limits.ZOOM_MAX) : next;
+        }
+
+        AXES.forEach((axis) => {
+            if (intent.position && intent.position[axis] !== undefined) position[axis] = intent.position[axis];
+        });
+        if (intent.move) {
+            const x = position.x + (intent.move.x || 0);
+            const y = position.y + (intent.move.y || 0);
+            position.x = limits ? limit(x, position.x, limits.MOVE_MIN_X, limits.MOVE_MAX_X) : x;
+            position.y = limits ? limit(y, position.y, limits.MOVE_MIN_Y, limits.MOVE_MAX_Y) : y;
+            position.z += intent.move.z || 0;
+        }
+    }
+
+    return {
+        quaternion,
+        position,
+        autoSpin: false,
+
+        /**
+         * Applies `intent` from `source` unless a higher-priority source holds control.
+         * Returns whether it was applied.
+         */
+        submit(source, intent, now = performance.now()) {
+            const src = config.SOURCES[source];
+            if (!src) throw new Error(`Unknown input source "${source}"`);
+
+            const holder = owner && now < owner.until ? config.SOURCES[owner.source] : null;
+            if (holder && owner.source !== source && holder.priority > src.priority) return false;
+
+            owner = { source, until: now + src.holdMs };
+            apply(intent);
+            return true;
+        },
+
+        /**
+         * The source holding control at `now`, or null.
+         */
+        controller(now = performance.now()) {
+            return owner && now < owner.until ? owner.source : null;
+        },
+
+        /**
+         * Spins the model while autoSpin is on and nothing else holds control; `dt` in seconds.
+         */
+        step(dt, now = performance.now()) {
+            if (this.autoSpin) this.submit("auto", { orbit: { y: config.AUTO_SPIN_SPEED * dt } }, now);
+        },
+
+        // The target as Euler angles (XYZ)
+        get rotation() {
+            return euler.clone();
+        },
+
+        get scale() {
+            return scale;
+        },
+    };
+}
+
+/**
+ * Submits absolute targets { rotation: { x, y }, scale, position: { x, y } } from `source`
+ * to `input`. While nothing else moves the model they pass straight through; once something
+ * does (a spoken "reset", the mouse, a two-hand stretch), they're re-based so the targets
+ * of that moment map to the pose it left, and only later changes of the targets move it.
+ */
+export function createAbsoluteMapping(input, source) {
+    let base = null; // { pose, targets } at the last re-base
+    let left = null; // the pose the last submission left
+
+    const poseOf = () => ({ rotation: input.rotation, scale: input.scale, position: input.position.clone() });
+    const samePose = (a, b) =>
+        a.rotation.equals(b.rotation) && a.scale === b.scale && a.position.equals(b.position);
+
+    return {
+        /**
+         * Returns whether `targets` were applied (see submit()).
+         */
+        submit(targets, now = performance.now()) {
+            const pose = poseOf();
+            if (left && !samePose(left, pose)) base = { pose, targets };
+
+            const intent = base
+                ? {
+                    rotation: {
+                        x: base.pose.rotation.x + targets.rotation.x - base.targets.rotation.x,
+                        y: base.pose.rotation.y + targets.rotation.y - base.targets.rotation.y,
+                    },
+                    scale: base.pose.scale * (targets.scale / base.targets.scale),
+                    position: {
+                        x: base.pose.position.x + targets.position.x - base.targets.position.x,
+                        y: base.pose.position.y + targets.position.y - base.targets.position.y,
+                    },
+                }
+                : targets;
+            if (!input.submit(source, intent, now)) return false;
+            left = poseOf();
+            return true;
+        },
+    };
+}
+
+export default createInputManager;
@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import * as THREE from "three";
+import createInputManager, { createAbsoluteMapping, INPUT_CONFIG, INPUT_SOURCES } from "./InputManager";
+import { GESTURE_CONFIG } from "./GestureEngine";
+
+describe("createInputManager", () => {
+    it("lets a higher-priority source hold control for its hold time", () => {
+        const input = createInputManager();
+        expect(input.submit("hand", { position: { x: 0.5 } }, 0)).toBe(true);
+        expect(input.controller(0)).toBe("hand");
+
+        // A spoken reset isn't undone by the hand that is still in view
+        expect(input.submit("voice", { reset: true }, 100)).toBe(true);
+        expect(input.submit("hand", { position: { x: 0.5 } }, 200)).toBe(false);
+        expect(input.position.x).toBe(0);
+        expect(input.controller(200)).toBe("voice");
+
+        const released = 100 + INPUT_SOURCES.voice.holdMs;
+        expect(input.submit("hand", { position: { x: 0.5 } }, released)).toBe(true);
+        expect(input.position.x).toBe(0.5);
+        expect(input.controller(released + INPUT_SOURCES.hand.holdMs)).toBe(null);
+    });
+
+    it("hands over between sources of the same priority", () => {
+        const input = createInputManager();
+        input.submit("pointer", { zoom: 2 }, 0);
+        expect(input.submit("gamepad", { zoom: 2 }, 10)).toBe(true);
+        expect(input.scale).toBe(4);
+        expect(input.controller(10)).toBe("gamepad");
+    });
+
+    it("clamps relative intents to the given limits", () => {
+        const input = createInputManager();
+        input.submit("pointer", { orbit: { x: 10, y: -10 }, move: { x: 5, y: -5, z: 1 }, zoom: 100, limits: GESTURE_CONFIG });
+        expect(input.rotation.x).toBe(GESTURE_CONFIG.ROTATION_MAX_X);
+        expect(input.rotation.y).toBe(GESTURE_CONFIG.ROTATION_MIN_Y);
+        expect(input.position.toArray()).toEqual([GESTURE_CONFIG.MOVE_MAX_X, GESTURE_CONFIG.MOVE_MIN_Y, 1]);
+        expect(input.scale).toBe(GESTURE_CONFIG.ZOOM_MAX);
+
+        // Without limits only the overall scale bounds apply
+        input.submit("voice", { reset: true, orbit: { y: 4 }, zoom: 0.01 });
+        expect(input.rotation.y).toBe(4);
+        expect(input.scale).toBe(INPUT_CONFIG.SCALE_MIN);
+    });
+
+    it("doesn't pull back a value another source put outside the limits", () => {
+        const input = createInputManager();
+        input.submit("voice", { rotation: { y: 4 } }, 0);
+        input.submit("pointer", { orbit: { y: -0.5 }, limits: GESTURE_CONFIG }, 5000);
+        expect(input.rotation.y).toBeCloseTo(3.5);
+    });
+
+    it("composes turns with the Euler rotation", () => {
+        const input = createInputManager();
+        input.submit("hand", { rotation: { y: 0.5 } });
+        input.submit("hand", { turn: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), 0.25) });
+        expect(input.rotation.y).toBeCloseTo(0.75);
+        expect(input.quaternion.angleTo(new THREE.Quaternion().setFromEuler(input.rotation))).toBeLessThan(1e-6);
+    });
+
+    it("spins only while nothing else holds control", () => {
+        const input = createInputManager();
+        input.autoSpin = true;
+        input.step(1, 0);
+        expect(input.rotation.y).toBeCloseTo(INPUT_CONFIG.AUTO_SPIN_SPEED);
+        expect(input.controller(0)).toBe("auto");
+
+        input.submit("pointer", { orbit: { y: 0 } }, 10);
+        input.step(1, 20);
+        expect(input.rotation.y).toBeCloseTo(INPUT_CONFIG.AUTO_SPIN_SPEED);
+        input.step(1, 10 + INPUT_SOURCES.pointer.holdMs);
+        expect(input.rotation.y).toBeCloseTo(2 * INPUT_CONFIG.AUTO_SPIN_SPEED);
+    });
+
+    it("rejects unknown sources", () => {
+        expect(() => createInputManager().submit("mind", {})).toThrow(/Unknown input source/);
+    });
+});
+
+describe("createAbsoluteMapping", () => {
+    const targets = (y, scale = 1) => ({ rotation: { x: 0, y }, scale, position: { x: 0.2, y: 0 } });
+
+    it("passes targets through while nothing else moves the model", () => {
+        const input = createInputManager();
+        const hand = createAbsoluteMapping(input, "hand");
+        hand.submit(targets(0.5, 2), 0);
+        hand.submit(targets(0.7, 2), 33);
+        expect(input.rotation.y).toBeCloseTo(0.7);
+        expect(input.scale).toBe(2);
+        expect(input.position.x).toBeCloseTo(0.2);
+    });
+
+    it("carries on from a spoken command instead of snapping back once voice lets go", () => {
+        const input = createInputManager();
+        const hand = createAbsoluteMapping(input, "hand");
+        hand.submit(targets(0.5, 2), 0);
+
+        input.submit("voice", { reset: true }, 100);
+        input.submit("voice", { orbit: { y: -0.8 } }, 100);
+        // The hand is still in view, held still, while voice holds control and after
+        const released = 100 + INPUT_SOURCES.voice.holdMs;
+        expect(hand.submit(targets(0.5, 2), 200)).toBe(false);
+        expect(hand.submit(targets(0.5, 2), released)).toBe(true);
+        expect(input.rotation.y).toBeCloseTo(-0.8);
+        expect(input.scale).toBe(1);
+        expect(input.position.x).toBe(0);
+
+        // Moving the hand moves the model from there
+        hand.submit(targets(0.6, 4), released + 33);
+        expect(input.rotation.y).toBeCloseTo(-0.7);
+        expect(input.scale).toBe(2);
+        expect(input.position.x).toBe(0);
+    });
+});
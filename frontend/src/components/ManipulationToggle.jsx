@@ -0,0 +1,31 @@
+const MODES = {
+    clutch: "✊ GRAB TO MOVE",
+    absolute: "✋ FOLLOW HAND",
+};
+
+const buttonStyle = {
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    padding: "6px 14px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    fontFamily: "inherit",
+    fontSize: "0.8em",
+    letterSpacing: "1px"
+};
+
+// Switches hand control between grab-to-manipulate and the absolute wrist mapping.
+export default function ManipulationToggle({ mode, setMode }) {
+    return (
+        <div style={{ marginTop: "10px", display: "flex", justifyContent: "center" }}>
+            <button
+                onClick={() => setMode(mode === "clutch" ? "absolute" : "clutch")}
+                title="Grab: a fist turns the model, a pinch drags it, both hands stretch and twist it. Follow: the model follows the wrist."
+                style={buttonStyle}
+            >
+                {MODES[mode]}
+            </button>
+        </div>
+    );
+}
@@ -1,34 +1,63 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 
 const API_URL = "http://127.0.0.1:8000";
 
-export default function ModelBrowser({ setModelURL }) {
+// `modelRequest` ({ name, id }) asks for a model by name, e.g. from a shared link or back /
+// forward; it is selected as soon as the list has it.
+export default function ModelBrowser({ setModelURL, modelStep = null, modelRequest = null }) {
     const [models, setModels] = useState([]);
     const [selectedModel, setSelectedModel] = useState(null);
+    // A model asked for by name, selected when the list comes back
+    const pendingRequestRef = useRef(null);
+    // The list and selection as of the last render, read by the fetch callback and the step
+    // effect so they don't re-run whenever these change
+    const listRef = useRef({ models, selectedModel });
+    useEffect(() => {
+        listRef.current = { models, selectedModel };
+    }, [models, selectedModel]);
 
     const fetchModels = useCallback(() => {
         fetch(`${API_URL}/models`)
             .then((res) => res.json())
             .then((data) => {
                 setModels(data.models);
-                if (data.models.length > 0 && !selectedModel) {
+                // A requested model that isn't on the server falls back to the usual first pick
+                const pending = pendingRequestRef.current;
+                pendingRequestRef.current = null;
+                if (pending && data.models.includes(pending.name)) {
+                    setSelectedModel(pending.name);
+                    setModelURL(`${API_URL}/model-files/${pending.name}`);
+                } else if (data.models.length > 0 && !listRef.current.selectedModel) {
                     const firstModel = data.models[0];
                     setSelectedModel(firstModel);
                     setModelURL(`${API_URL}/model-files/${firstModel}`);
                 }
             })
             .catch(err => console.error("Failed to fetch models:", err));
-    }, [setModelURL, selectedModel]);
+    }, [setModelURL]);
 
+    // Load the list, and again for each model asked for by name so uploads since are included
     useEffect(() => {
+        if (modelRequest) pendingRequestRef.current = modelRequest;
         fetchModels();
-    }, [fetchModels]);
+    }, [modelRequest, fetchModels]);
 
     function handleModelSelect(modelName) {
         setSelectedModel(modelName);
         setModelURL(`${API_URL}/model-files/${modelName}`);
     }
 
+    // Step through the list from voice / gesture commands, wrapping at either end
+    useEffect(() => {
+        const { models, selectedModel } = listRef.current;
+        if (!modelStep || models.length === 0) return;
+        const index = models.indexOf(selectedModel);
+        const next = models[(((index + modelStep.step) % models.length) + models.length) % models.length];
+        setSelectedModel(next);
+        setModelURL(`${API_URL}/model-files/${next}`);
+    }, [modelStep, setModelURL]);
+
+
     function handleDelete(e, modelName) {
         e.stopPropagation();
         if (!window.confirm(`Delete ${modelName}?`)) return;
@@ -0,0 +1,61 @@
+// OffAxisProjection.js
+// Head-coupled parallax: the canvas is treated as a window onto the scene, and the camera as
+// the viewer's eye looking through it (see HeadTracker.js for where the eye is).
+// - the camera sits at the eye, facing straight into the screen, with an asymmetric frustum
+//   whose edges pass through the canvas edges, so the model stays anchored to the screen
+//   and its sides come into view as the head moves
+// - the canvas's size and place on the screen are worked out from the screen size in cm,
+//   taking the page to fill the screen (full screen, as on a display stand)
+// - the scene's z = 0 plane lies in the screen, at the size the normal view shows it
+//
+// Usage:
+//   const frame = screenWindow(canvas.getBoundingClientRect(), settings);
+//   applyOffAxis(camera, eyePosition(eyes, settings), frame, viewHeight);
+
+/**
+ * The canvas's centre (from the screen centre, y up) and size on the screen, in cm.
+ * `display` is the screen's size in CSS pixels.
+ */
+export function screenWindow(rect, settings, display = globalThis.screen) {
+    const cmX = settings.screenWidth / display.width;
+    const cmY = settings.screenHeight / display.height;
+    return {
+        x: (rect.left + rect.width / 2 - display.width / 2) * cmX,
+        y: (display.height / 2 - (rect.top + rect.height / 2)) * cmY,
+        width: rect.width * cmX,
+        height: rect.height * cmY,
+    };
+}
+
+/**
+ * Points `camera` (a PerspectiveCamera) from `eye` through `frame` (both in cm, see
+ * screenWindow). The frame's height becomes `viewHeight` scene units at z = 0.
+ * The projection is set directly, so don't call camera.updateProjectionMatrix() after this.
+ */
+export function applyOffAxis(camera, eye, frame, viewHeight) {
+    const k = viewHeight / frame.height;
+    const ex = (eye.x - frame.x) * k;
+    const ey = (eye.y - frame.y) * k;
+    // Never at or behind the screen, where the frustum would flip
+    const ez = Math.max(eye.z * k, camera.near * 2);
+    const halfWidth = (frame.width * k) / 2;
+    const halfHeight = viewHeight / 2;
+
+    camera.position.set(ex, ey, ez);
+    camera.quaternion.identity();
+    camera.updateMatrixWorld();
+
+    // The window's edges at the near plane, relative to the eye
+    const n = camera.near / ez;
+    camera.projectionMatrix.makePerspective(
+        (-halfWidth - ex) * n,
+        (halfWidth - ex) * n,
+        (halfHeight - ey) * n,
+        (-halfHeight - ey) * n,
+        camera.near,
+        camera.far,
+    );
+    camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+}
+
+export default applyOffAxis;
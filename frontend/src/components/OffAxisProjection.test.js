@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import * as THREE from "three";
+import { applyOffAxis, screenWindow } from "./OffAxisProjection";
+
+const SETTINGS = { screenWidth: 40, screenHeight: 25 };
+const DISPLAY = { width: 1600, height: 1000 };
+
+// Where a scene point lands on the canvas (normalized device coordinates)
+const project = (camera, x, y, z) => new THREE.Vector3(x, y, z).project(camera);
+
+describe("screenWindow", () => {
+    it("measures the canvas on the screen in cm", () => {
+        expect(screenWindow({ left: 0, top: 0, width: 1600, height: 1000 }, SETTINGS, DISPLAY)).toEqual({ x: 0, y: 0, width: 40, height: 25 });
+        // The lower-right quarter
+        expect(screenWindow({ left: 800, top: 500, width: 800, height: 500 }, SETTINGS, DISPLAY)).toEqual({ x: 10, y: -6.25, width: 20, height: 12.5 });
+    });
+});
+
+describe("applyOffAxis", () => {
+    const frame = { x: 0, y: 0, width: 40, height: 25 };
+    const viewHeight = 3;
+
+    it("keeps the canvas edges on the window's edges wherever the eye is", () => {
+        const camera = new THREE.PerspectiveCamera(50, 1.6, 0.1, 1000);
+        const halfWidth = (40 / 25) * viewHeight / 2;
+        [{ x: 0, y: 0, z: 60 }, { x: 15, y: -8, z: 45 }, { x: -30, y: 20, z: 90 }].forEach((eye) => {
+            applyOffAxis(camera, eye, frame, viewHeight);
+            const corner = project(camera, halfWidth, viewHeight / 2, 0);
+            expect(corner.x).toBeCloseTo(1);
+            expect(corner.y).toBeCloseTo(1);
+            const opposite = project(camera, -halfWidth, -viewHeight / 2, 0);
+            expect(opposite.x).toBeCloseTo(-1);
+            expect(opposite.y).toBeCloseTo(-1);
+        });
+    });
+
+    it("shifts points behind the screen with the head and points in front against it", () => {
+        const camera = new THREE.PerspectiveCamera(50, 1.6, 0.1, 1000);
+        applyOffAxis(camera, { x: 0, y: 0, z: 60 }, frame, viewHeight);
+        expect(project(camera, 0, 0, -1).x).toBeCloseTo(0);
+        expect(camera.position.z).toBeCloseTo(60 * viewHeight / 25);
+
+        // Head to the right: what's behind the screen slides right in the window, what's in front slides left
+        applyOffAxis(camera, { x: 10, y: 0, z: 60 }, frame, viewHeight);
+        expect(project(camera, 0, 0, -1).x).toBeGreaterThan(0);
+        expect(project(camera, 0, 0, 1).x).toBeLessThan(0);
+    });
+
+    it("is measured from the canvas, not the screen centre", () => {
+        const camera = new THREE.PerspectiveCamera(50, 1.6, 0.1, 1000);
+        applyOffAxis(camera, { x: 10, y: -6.25, z: 60 }, { x: 10, y: -6.25, width: 20, height: 12.5 }, viewHeight);
+        expect(camera.position.x).toBeCloseTo(0);
+        expect(camera.position.y).toBeCloseTo(0);
+    });
+});
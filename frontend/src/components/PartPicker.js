@@ -0,0 +1,175 @@
+// PartPicker.js
+// Points at individual meshes of the loaded model, with the index fingertip or the mouse.
+// - the fingertip (hand 0) is projected into the scene as a 3D cursor and raycast against
+//   the model's meshes; the mouse raycasts from the pointer the same way
+// - the hovered and selected meshes get extra glow (added to their uGlowIntensity)
+// - a quick pinch that lets go where it began (a tap), or a click, selects the hovered mesh;
+//   a pinch that drags or lingers is left to the gestures, and a click on empty space clears
+//   the selection
+// - a selection is reported as { name, path }, path being the node names from the model root
+//
+// Usage:
+//   const picker = createPartPicker(camera);
+//   scene.add(picker.cursor);
+//   picker.setModel(obj);
+//   if (picker.handFrame(frame) && picker.hovered) picker.select(picker.hovered); // per tracker frame
+//   picker.pointMouse(ndcX, ndcY);                                             // on pointermove
+//   picker.update();                                                           // per animation frame
+//   material.uniforms.uGlowIntensity.value = base + picker.glowFor(material);
+
+import * as THREE from "three";
+
+export const PICKER_CONFIG = {
+    // Pinch (thumb tip -> index tip) engages below ON and releases above OFF
+    PINCH_ON: 0.05,
+    PINCH_OFF: 0.08,
+    // A pinch only taps if it lets go within this long and the fingertip moves less than
+    // this far (normalized image units) while held
+    TAP_MAX_MS: 350,
+    TAP_MAX_MOVE: 0.04,
+    // Extra uGlowIntensity on the hovered / selected mesh
+    HOVER_GLOW: 0.8,
+    SELECTED_GLOW: 1.4,
+    // Distance along the ray the cursor floats at when it isn't over the model
+    CURSOR_DISTANCE: 3.5,
+    // The fingertip stops pointing this long after its hand leaves the frame
+    HAND_TIMEOUT_MS: 250,
+};
+
+/**
+ * "/"-separated names from `root` (exclusive) down to `node`. Unnamed nodes are shown
+ * as their type and index among their siblings, e.g. "engine/Mesh[2]".
+ */
+export function nodePath(node, root) {
+    const names = [];
+    for (let n = node; n && n !== root; n = n.parent) {
+        const index = n.parent ? n.parent.children.indexOf(n) : 0;
+        names.unshift(n.name || `${n.type}[${index}]`);
+    }
+    return names.join("/");
+}
+
+export function createPartPicker(camera, config = PICKER_CONFIG) {
+    const raycaster = new THREE.Raycaster();
+    const ndc = new THREE.Vector2();
+    let model = null;
+    let source = null; // "hand" / "mouse" / null while nothing points
+    let handSeenAt = -Infinity;
+    let pinched = false;
+    let pinchStart = null; // { time, x, y } while a pinch can still be a tap
+    let hovered = null;
+    let selected = null;
+
+    const cursor = new THREE.Mesh(
+        new THREE.SphereGeometry(0.035, 16, 12),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.9, depthTest: false })
+    );
+    cursor.renderOrder = 999;
+    cursor.visible = false;
+
+    function pick() {
+        if (!model || !source) return null;
+        raycaster.setFromCamera(ndc, camera);
+        const hit = raycaster.intersectObject(model, true).find((h) => h.object.isMesh && h.object.visible);
+        if (source === "hand") {
+            if (hit) cursor.position.copy(hit.point);
+            else raycaster.ray.at(config.CURSOR_DISTANCE, cursor.position);
+        }
+        return hit ? hit.object : null;
+    }
+
+    return {
+        cursor,
+
+        setModel(next) {
+            model = next;
+            hovered = selected = null;
+        },
+
+        /**
+         * Points with hand 0's index tip (image x is mirrored). Returns true on the frame a
+         * pinch tap lets go.
+         */
+        handFrame(frame) {
+            const hand = frame.hands && frame.hands[0];
+            if (!hand) {
+                pinched = false;
+                pinchStart = null;
+                return false;
+            }
+            const tip = hand.indexTip;
+            ndc.set((0.5 - tip.x) * 2, (0.5 - tip.y) * 2);
+            source = "hand";
+            handSeenAt = performance.now();
+
+            const wasPinched = pinched;
+            pinched = pinched ? hand.pinch < config.PINCH_OFF : hand.pinch < config.PINCH_ON;
+            if (pinched && !wasPinched) pinchStart = { time: frame.time, x: tip.x, y: tip.y };
+            if (pinchStart) {
+                const held = frame.time - pinchStart.time;
+                const moved = Math.hypot(tip.x - pinchStart.x, tip.y - pinchStart.y);
+                // A drag or a hold, not a tap
+                if (held > config.TAP_MAX_MS || moved > config.TAP_MAX_MOVE) pinchStart = null;
+            }
+            const tapped = !pinched && wasPinched && pinchStart !== null;
+            if (!pinched) pinchStart = null;
+            return tapped;
+        },
+
+        /**
+         * Points with the mouse, in normalized device coordinates (-1..1, y up); null when it leaves.
+         */
+        pointMouse(x, y) {
+            if (x === null) {
+                if (source === "mouse") source = null;
+                return;
+            }
+            ndc.set(x, y);
+            source = "mouse";
+        },
+
+        /**
+         * Raycasts from the current pointer and updates the hover. Returns the hovered mesh or null.
+         */
+        update() {
+            if (source === "hand" && performance.now() - handSeenAt > config.HAND_TIMEOUT_MS) {
+                source = null;
+                pinched = false;
+            }
+            hovered = pick();
+            cursor.visible = source === "hand";
+            return hovered;
+        },
+
+        /**
+         * Selects `mesh`, or clears the selection with null. Returns the new selection.
+         */
+        select(mesh) {
+            selected = mesh || null;
+            return this.selection;
+        },
+
+        // Extra glow for the mesh using `material`
+        glowFor(material) {
+            if (selected && selected.material === material) return config.SELECTED_GLOW;
+            if (hovered && hovered.material === material) return config.HOVER_GLOW;
+            return 0;
+        },
+
+        get hovered() {
+            return hovered;
+        },
+
+        get selection() {
+            return selected ? { name: selected.name || nodePath(selected, selected.parent), path: nodePath(selected, model) } : null;
+        },
+
+        dispose() {
+            cursor.geometry.dispose();
+            cursor.material.dispose();
+            cursor.removeFromParent();
+        },
+    };
+}
+
+export default createPartPicker;
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi } from "vitest";
+import * as THREE from "three";
+import createPartPicker, { nodePath, PICKER_CONFIG } from "./PartPicker";
+
+// An "engine" group with a named part in the middle and an unnamed one to the right
+function setup() {
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+    camera.position.set(0, 0, 4.5);
+    camera.updateMatrixWorld();
+
+    const box = () => new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.5, 0.5), new THREE.MeshBasicMaterial());
+    const model = new THREE.Group();
+    const engine = new THREE.Group();
+    engine.name = "engine";
+    const piston = box();
+    piston.name = "piston";
+    const bracket = box();
+    bracket.position.x = 1.2;
+    engine.add(piston, bracket);
+    model.add(engine);
+    model.updateMatrixWorld(true);
+
+    const picker = createPartPicker(camera);
+    picker.setModel(model);
+    return { picker, model, piston, bracket };
+}
+
+// One hand with its index tip at (x, y) in the image, `time` ms into the stream
+const hand = (x, y, pinch = 0.15, time = 0) => ({ time, hands: [{ indexTip: { x, y }, pinch }] });
+
+describe("nodePath", () => {
+    it("names nodes from the root down, using type and index for unnamed ones", () => {
+        const { model, piston, bracket } = setup();
+        expect(nodePath(piston, model)).toBe("engine/piston");
+        expect(nodePath(bracket, model)).toBe("engine/Mesh[1]");
+    });
+});
+
+describe("createPartPicker", () => {
+    it("hovers and selects with the mouse, and clears on empty space", () => {
+        const { picker, piston, bracket } = setup();
+        picker.pointMouse(0, 0);
+        expect(picker.update()).toBe(piston);
+        expect(picker.glowFor(piston.material)).toBe(PICKER_CONFIG.HOVER_GLOW);
+
+        expect(picker.select(picker.hovered)).toEqual({ name: "piston", path: "engine/piston" });
+        expect(picker.glowFor(piston.material)).toBe(PICKER_CONFIG.SELECTED_GLOW);
+
+        // Over the unnamed part, then off the model
+        picker.pointMouse(0.6, 0);
+        expect(picker.update()).toBe(bracket);
+        picker.pointMouse(0.9, 0.9);
+        expect(picker.update()).toBe(null);
+        expect(picker.select(picker.hovered)).toBe(null);
+        expect(picker.cursor.visible).toBe(false);
+    });
+
+    it("points with the mirrored index tip", () => {
+        const { picker, piston, bracket } = setup();
+        expect(picker.handFrame(hand(0.5, 0.5))).toBe(false);
+        expect(picker.update()).toBe(piston);
+        expect(picker.cursor.visible).toBe(true);
+        expect(picker.cursor.position.z).toBeCloseTo(0.25);
+
+        // Image left is scene right
+        picker.handFrame(hand(0.2, 0.5));
+        expect(picker.update()).toBe(bracket);
+    });
+
+    it("selects on a pinch tap, not on a drag or a hold", () => {
+        const { picker } = setup();
+        // Pinch, hold within the release hysteresis, let go: a tap
+        expect(picker.handFrame(hand(0.2, 0.5, 0.03, 0))).toBe(false);
+        expect(picker.handFrame(hand(0.21, 0.5, 0.06, 100))).toBe(false);
+        expect(picker.handFrame(hand(0.21, 0.5, 0.1, 200))).toBe(true);
+
+        // A pinch that drags the model
+        picker.handFrame(hand(0.2, 0.5, 0.03, 1000));
+        picker.handFrame(hand(0.3, 0.5, 0.03, 1100));
+        expect(picker.handFrame(hand(0.3, 0.5, 0.1, 1200))).toBe(false);
+
+        // One held too long
+        picker.handFrame(hand(0.2, 0.5, 0.03, 2000));
+        expect(picker.handFrame(hand(0.2, 0.5, 0.1, 2000 + PICKER_CONFIG.TAP_MAX_MS + 50))).toBe(false);
+    });
+
+    it("stops pointing when the hand leaves", () => {
+        const { picker } = setup();
+        picker.handFrame(hand(0.5, 0.5));
+        expect(picker.update()).not.toBe(null);
+        expect(picker.handFrame({ hands: [] })).toBe(false);
+
+        const later = performance.now() + PICKER_CONFIG.HAND_TIMEOUT_MS + 1;
+        vi.spyOn(performance, "now").mockImplementation(() => later);
+        expect(picker.update()).toBe(null);
+        expect(picker.cursor.visible).toBe(false);
+        vi.restoreAllMocks();
+    });
+});
@@ -0,0 +1,185 @@
+// PointerControls.js
+// Mouse, trackpad, touch and keyboard control for HoloViewer, for use without a webcam.
+// Everything is submitted to the input manager as the "pointer" source (see InputManager.js),
+// so the motion gets the same easing as the hands and the limits of the active gesture config.
+// - mouse / one finger: drag to orbit; right drag, middle drag or shift + drag to pan
+// - wheel / trackpad pinch: zoom
+// - two fingers: pinch to zoom, twist to roll, move together to pan
+// - keys: arrows orbit, shift + arrows pan, + / - zoom, R resets, ctrl + Z / ctrl + Y undo and redo
+//
+// Usage:
+//   const controls = createPointerControls(renderer.domElement, input, {
+//       getConfig: () => gestureConfig,
+//       onReset: () => input.submit("pointer", { reset: true }),
+//       onUndo, onRedo,
+//   });
+//   if (controls.dragged) return; // in a click handler: the click ended a drag
+//   controls.dispose();
+
+import * as THREE from "three";
+import { GESTURE_CONFIG } from "./GestureEngine";
+
+export const POINTER_CONFIG = {
+    ROTATE_PER_PIXEL: 0.01, // radians
+    PAN_PER_PIXEL: 0.005, // scene units
+    ZOOM_PER_WHEEL_PIXEL: 0.0015, // scale factor exponent per wheel deltaY pixel
+    KEY_ROTATE_STEP: 0.15,
+    KEY_PAN_STEP: 0.1,
+    KEY_ZOOM_FACTOR: 1.1,
+    // A press that moves further than this is a drag, not a click
+    CLICK_SLOP_PX: 4,
+};
+
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+function isTyping(target) {
+    const tag = target && target.tagName;
+    return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || (target && target.isContentEditable);
+}
+
+/**
+ * Attaches the controls to `element` (pointer and wheel) and `keyTarget` (keys, window by default).
+ * `getConfig` returns the gesture config whose limits apply; `onReset` runs on R,
+ * `onUndo` / `onRedo` on ctrl (or cmd) + Z / Y.
+ */
+export function createPointerControls(element, input, {
+    getConfig = () => GESTURE_CONFIG,
+    onReset = null,
+    onUndo = null,
+    onRedo = null,
+    keyTarget = globalThis.window,
+    config = POINTER_CONFIG,
+} = {}) {
+    const pointers = new Map(); // pointerId -> { x, y }
+    let pressed = null; // where the current press started
+    let dragged = false;
+    let twoFinger = null; // last { distance, angle, mid } of a two-finger gesture
+
+    const submit = (intent) => input.submit("pointer", { ...intent, limits: getConfig() });
+    const rotate = (dx, dy) => submit({ orbit: { x: dy, y: dx } });
+    const pan = (dx, dy) => submit({ move: { x: dx, y: dy } });
+    const zoom = (factor) => submit({ zoom: factor });
+
+    function span() {
+        const [a, b] = [...pointers.values()];
+        return {
+            distance: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x),
+            mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+        };
+    }
+
+    function onPointerDown(e) {
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, button: e.button, shift: e.shiftKey });
+        if (element.setPointerCapture) element.setPointerCapture(e.pointerId);
+        if (pointers.size === 1) {
+            pressed = { x: e.clientX, y: e.clientY };
+            dragged = false;
+        }
+        twoFinger = pointers.size === 2 ? span() : null;
+    }
+
+    function onPointerMove(e) {
+        const p = pointers.get(e.pointerId);
+        if (!p) return;
+        const dx = e.clientX - p.x;
+        const dy = e.clientY - p.y;
+        p.x = e.clientX;
+        p.y = e.clientY;
+        if (pressed && Math.hypot(e.clientX - pressed.x, e.clientY - pressed.y) > config.CLICK_SLOP_PX) dragged = true;
+
+        if (pointers.size === 1) {
+            if (p.button === 1 || p.button === 2 || p.shift) pan(dx * config.PAN_PER_PIXEL, -dy * config.PAN_PER_PIXEL);
+            else rotate(dx * config.ROTATE_PER_PIXEL, dy * config.ROTATE_PER_PIXEL);
+        } else if (pointers.size === 2 && twoFinger) {
+            const next = span();
+            // Screen y points down, so a clockwise twist is a positive angle; roll the model with it
+            let roll = next.angle - twoFinger.angle;
+            if (roll > Math.PI) roll -= 2 * Math.PI;
+            if (roll < -Math.PI) roll += 2 * Math.PI;
+            submit({
+                zoom: twoFinger.distance > 0 ? next.distance / twoFinger.distance : 1,
+                turn: new THREE.Quaternion().setFromAxisAngle(Z_AXIS, -roll),
+                move: {
+                    x: (next.mid.x - twoFinger.mid.x) * config.PAN_PER_PIXEL,
+                    y: -(next.mid.y - twoFinger.mid.y) * config.PAN_PER_PIXEL,
+                },
+            });
+            twoFinger = next;
+        }
+    }
+
+    function onPointerUp(e) {
+        pointers.delete(e.pointerId);
+        twoFinger = pointers.size === 2 ? span() : null;
+        if (!pointers.size) pressed = null;
+    }
+
+    function onWheel(e) {
+        e.preventDefault();
+        // Trackpad pinches arrive as wheel events with ctrlKey and small deltas
+        const scale = e.ctrlKey ? 10 : 1;
+        zoom(Math.exp(-e.deltaY * config.ZOOM_PER_WHEEL_PIXEL * scale));
+    }
+
+    function onKeyDown(e) {
+        if (e.defaultPrevented || e.altKey || isTyping(e.target)) return;
+        if (e.ctrlKey || e.metaKey) {
+            const k = e.key.toLowerCase();
+            const handler = k === "y" || (k === "z" && e.shiftKey) ? onRedo : k === "z" ? onUndo : null;
+            if (!handler) return;
+            handler();
+            e.preventDefault();
+            return;
+        }
+        const r = config.KEY_ROTATE_STEP;
+        const m = config.KEY_PAN_STEP;
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+        if (arrows[e.key]) {
+            const [x, y] = arrows[e.key];
+            if (e.shiftKey) pan(x * m, -y * m);
+            else rotate(x * r, y * r);
+        } else if (e.key === "+" || e.key === "=") {
+            zoom(config.KEY_ZOOM_FACTOR);
+        } else if (e.key === "-" || e.key === "_") {
+            zoom(1 / config.KEY_ZOOM_FACTOR);
+        } else if (e.key === "r" || e.key === "R") {
+            if (onReset) onReset();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    const preventMenu = (e) => e.preventDefault();
+
+    element.addEventListener("pointerdown", onPointerDown);
+    element.addEventListener("pointermove", onPointerMove);
+    element.addEventListener("pointerup", onPointerUp);
+    element.addEventListener("pointercancel", onPointerUp);
+    element.addEventListener("wheel", onWheel, { passive: false });
+    element.addEventListener("contextmenu", preventMenu);
+    if (keyTarget) keyTarget.addEventListener("keydown", onKeyDown);
+    // Touch gestures would otherwise scroll or zoom the page
+    if (element.style) element.style.touchAction = "none";
+
+    return {
+        // True after a press that moved: its click shouldn't pick
+        get dragged() {
+            return dragged;
+        },
+
+        dispose() {
+            element.removeEventListener("pointerdown", onPointerDown);
+            element.removeEventListener("pointermove", onPointerMove);
+            element.removeEventListener("pointerup", onPointerUp);
+            element.removeEventListener("pointercancel", onPointerUp);
+            element.removeEventListener("wheel", onWheel);
+            element.removeEventListener("contextmenu", preventMenu);
+            if (keyTarget) keyTarget.removeEventListener("keydown", onKeyDown);
+        },
+    };
+}
+
+export default createPointerControls;
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi } from "vitest";
+import createPointerControls, { POINTER_CONFIG } from "./PointerControls";
+import { GESTURE_CONFIG } from "./GestureEngine";
+import createInputManager from "./InputManager";
+
+function setup() {
+    const input = createInputManager();
+    const element = Object.assign(new EventTarget(), { style: {} });
+    const keys = new EventTarget();
+    const onReset = vi.fn();
+    const onUndo = vi.fn();
+    const onRedo = vi.fn();
+    const controls = createPointerControls(element, input, { keyTarget: keys, onReset, onUndo, onRedo });
+
+    const fire = (target, type, props = {}) => {
+        const e = Object.assign(new Event(type, { cancelable: true }), props);
+        target.dispatchEvent(e);
+        return e;
+    };
+    const pointer = (type, id, x, y, extra = {}) => fire(element, `pointer${type}`, { pointerId: id, clientX: x, clientY: y, button: 0, ...extra });
+    const key = (k, extra = {}) => fire(keys, "keydown", { key: k, ...extra });
+    return { input, element, keys, controls, onReset, onUndo, onRedo, fire, pointer, key };
+}
+
+describe("createPointerControls", () => {
+    it("orbits on drag and pans on right drag, within the gesture limits", () => {
+        const { input, controls, pointer } = setup();
+        pointer("down", 1, 100, 100);
+        pointer("move", 1, 150, 120);
+        expect(input.rotation.y).toBeCloseTo(50 * POINTER_CONFIG.ROTATE_PER_PIXEL);
+        expect(input.rotation.x).toBeCloseTo(20 * POINTER_CONFIG.ROTATE_PER_PIXEL);
+        expect(controls.dragged).toBe(true);
+
+        pointer("move", 1, 5000, 120);
+        expect(input.rotation.y).toBe(GESTURE_CONFIG.ROTATION_MAX_Y);
+        pointer("up", 1, 5000, 120);
+
+        pointer("down", 2, 0, 0, { button: 2 });
+        pointer("move", 2, 40, -20);
+        pointer("up", 2, 40, -20);
+        expect(input.position.x).toBeCloseTo(40 * POINTER_CONFIG.PAN_PER_PIXEL);
+        expect(input.position.y).toBeCloseTo(20 * POINTER_CONFIG.PAN_PER_PIXEL);
+    });
+
+    it("treats a press that doesn't move as a click", () => {
+        const { controls, pointer } = setup();
+        pointer("down", 1, 100, 100);
+        pointer("move", 1, 102, 101);
+        pointer("up", 1, 102, 101);
+        expect(controls.dragged).toBe(false);
+    });
+
+    it("pinches, twists and pans with two fingers", () => {
+        const { input, pointer } = setup();
+        pointer("down", 1, 100, 100);
+        pointer("down", 2, 200, 100);
+        // Spread to twice the distance, turning a quarter clockwise about the first finger
+        pointer("move", 2, 100, 300);
+        expect(input.scale).toBeCloseTo(2);
+        expect(input.rotation.z).toBeCloseTo(-Math.PI / 2);
+        expect(input.position.x).toBeCloseTo(-50 * POINTER_CONFIG.PAN_PER_PIXEL);
+        expect(input.position.y).toBeCloseTo(-100 * POINTER_CONFIG.PAN_PER_PIXEL);
+    });
+
+    it("zooms with the wheel up to the zoom limit", () => {
+        const { input, fire, element } = setup();
+        const e = fire(element, "wheel", { deltaY: -100 });
+        expect(e.defaultPrevented).toBe(true);
+        expect(input.scale).toBeCloseTo(Math.exp(100 * POINTER_CONFIG.ZOOM_PER_WHEEL_PIXEL));
+        fire(element, "wheel", { deltaY: -100000 });
+        expect(input.scale).toBe(GESTURE_CONFIG.ZOOM_MAX);
+    });
+
+    it("orbits, pans, zooms and resets from the keyboard, but not while typing", () => {
+        const { input, onReset, key, keys } = setup();
+        key("ArrowRight");
+        expect(input.rotation.y).toBeCloseTo(POINTER_CONFIG.KEY_ROTATE_STEP);
+        key("ArrowUp", { shiftKey: true });
+        expect(input.position.y).toBeCloseTo(POINTER_CONFIG.KEY_PAN_STEP);
+        key("+");
+        expect(input.scale).toBeCloseTo(POINTER_CONFIG.KEY_ZOOM_FACTOR);
+        key("r");
+        expect(onReset).toHaveBeenCalledTimes(1);
+
+        expect(key("x").defaultPrevented).toBe(false);
+
+        // Typing in a text field (the event's target): the keys are left alone
+        keys.tagName = "INPUT";
+        key("r");
+        expect(onReset).toHaveBeenCalledTimes(1);
+    });
+
+    it("undoes and redoes with ctrl / cmd + Z and Y", () => {
+        const { input, onUndo, onRedo, key } = setup();
+        expect(key("z", { ctrlKey: true }).defaultPrevented).toBe(true);
+        key("Z", { metaKey: true, shiftKey: true });
+        key("y", { ctrlKey: true });
+        expect(onUndo).toHaveBeenCalledTimes(1);
+        expect(onRedo).toHaveBeenCalledTimes(2);
+
+        // Other shortcuts are left to the browser, and don't move the model
+        expect(key("ArrowLeft", { ctrlKey: true }).defaultPrevented).toBe(false);
+        expect(input.rotation.y).toBe(0);
+    });
+
+    it("detaches its listeners on dispose", () => {
+        const { input, controls, pointer, key } = setup();
+        controls.dispose();
+        pointer("down", 1, 0, 0);
+        pointer("move", 1, 100, 0);
+        key("ArrowLeft");
+        expect(input.rotation.y).toBe(0);
+    });
+});
@@ -0,0 +1,58 @@
+import { useState } from "react";
+import CalibrationWizard from "./CalibrationWizard";
+import { listProfiles, saveProfile, deleteProfile, loadProfile, setActiveProfile } from "./GestureCalibration";
+
+const controlStyle = {
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    padding: "6px 10px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    outline: "none",
+    fontFamily: "inherit",
+    fontSize: "0.8em",
+    letterSpacing: "1px"
+};
+
+// Picks the gesture profile in use, and runs the calibration wizard to create one.
+// `profile` is { name, config } or null for the built-in defaults.
+export default function ProfileControls({ profile, onProfileChange, samplerRef }) {
+    const [profiles, setProfiles] = useState(listProfiles);
+    const [calibrating, setCalibrating] = useState(false);
+
+    function select(name) {
+        setActiveProfile(name || null);
+        onProfileChange(name ? { name, config: loadProfile(name) } : null);
+    }
+
+    function handleSave(name, config) {
+        const saved = saveProfile(name, config);
+        setProfiles(listProfiles());
+        setCalibrating(false);
+        onProfileChange({ name: saved, config: loadProfile(saved) });
+    }
+
+    function handleDelete() {
+        if (!profile || !window.confirm(`Delete gesture profile ${profile.name}?`)) return;
+        deleteProfile(profile.name);
+        setProfiles(listProfiles());
+        onProfileChange(null);
+    }
+
+    return (
+        <div style={{ marginTop: "10px", display: "flex", justifyContent: "center", gap: "10px", flexWrap: "wrap" }}>
+            <select value={profile ? profile.name : ""} onChange={(e) => select(e.target.value)} style={controlStyle}>
+                <option value="">Default gestures</option>
+                {profiles.map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                ))}
+            </select>
+            <button onClick={() => setCalibrating(true)} style={controlStyle}>CALIBRATE</button>
+            {profile && <button onClick={handleDelete} style={{ ...controlStyle, color: "#ff4136", borderColor: "#ff4136" }}>DELETE</button>}
+            {calibrating && (
+                <CalibrationWizard samplerRef={samplerRef} onSave={handleSave} onClose={() => setCalibrating(false)} />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,147 @@
+// PyramidDisplay.js
+// Output for Pepper's-ghost pyramids: the scene from four cameras 90° apart, laid out as a
+// cross on black so each pyramid face reflects the side of the model that faces its viewer.
+// - each face is rendered to its own texture, then drawn around the centre with its top
+//   pointing outwards and mirrored, which is what the 45° acrylic turns back upright
+// - gap (centre to the inner edge of each view), view size and per-face offsets are
+//   fractions of the shorter canvas side, so a layout fits any screen it was tuned on
+// - the faces are copied to the screen unchanged, so they match the single view (ScreenCopy.js)
+// - the settings are kept in localStorage
+//
+// Usage:
+//   const pyramid = createPyramidDisplay(renderer);
+//   pyramid.render(scene, camera, settings); // instead of renderer.render(scene, camera)
+//   pyramid.dispose();
+
+import * as THREE from "three";
+import { createCopyMaterial } from "./ScreenCopy";
+import { createSettingsStore } from "./SettingsStore";
+
+export const PYRAMID_FACES = ["front", "right", "back", "left"];
+
+export const PYRAMID_DEFAULTS = {
+    gap: 0.05,
+    viewSize: 0.3,
+    // Screen-space nudge per face, to line the views up with a particular pyramid
+    offsets: {
+        front: { x: 0, y: 0 },
+        right: { x: 0, y: 0 },
+        back: { x: 0, y: 0 },
+        left: { x: 0, y: 0 },
+    },
+};
+
+// Where each face's camera sits around the model (angle about y, 0 = the usual front camera)
+// and where its view goes on screen (direction from the centre, which is also its "up")
+const FACES = {
+    front: { orbit: 0, out: [0, -1] },
+    right: { orbit: Math.PI / 2, out: [1, 0] },
+    back: { orbit: Math.PI, out: [0, 1] },
+    left: { orbit: -Math.PI / 2, out: [-1, 0] },
+};
+
+const settingsStore = createSettingsStore("janisa.pyramid", PYRAMID_DEFAULTS);
+
+/**
+ * Screen rectangle and rotation of each face for a `width` x `height` canvas (pixels,
+ * origin at the centre, y up). Returns { [face]: { x, y, size, rotation } }.
+ */
+export function pyramidLayout(width, height, settings = PYRAMID_DEFAULTS) {
+    const side = Math.min(width, height);
+    const size = side * settings.viewSize;
+    const distance = side * settings.gap + size / 2;
+    const layout = {};
+    for (const face of PYRAMID_FACES) {
+        const [ox, oy] = FACES[face].out;
+        const offset = (settings.offsets && settings.offsets[face]) || { x: 0, y: 0 };
+        layout[face] = {
+            x: ox * distance + offset.x * side,
+            y: oy * distance + offset.y * side,
+            size,
+            // Turns the view's up (+y) to point along `out`
+            rotation: Math.atan2(oy, ox) - Math.PI / 2,
+        };
+    }
+    return layout;
+}
+
+export function createPyramidDisplay(renderer) {
+    const faces = PYRAMID_FACES.map((name) => {
+        const target = new THREE.WebGLRenderTarget(1, 1);
+        const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+        const quad = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), createCopyMaterial(target.texture));
+        return { name, target, camera, quad };
+    });
+
+    const screen = new THREE.Scene();
+    screen.background = new THREE.Color(0x000000);
+    faces.forEach((f) => screen.add(f.quad));
+    const screenCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, -1, 1);
+    const size = new THREE.Vector2();
+    const offset = new THREE.Vector3();
+
+    return {
+        /**
+         * Draws `scene` as the four-view cross. `camera` is the single-view camera: each face
+         * orbits it about the model (the origin) and keeps its distance and field of view.
+         */
+        render(scene, camera, settings = PYRAMID_DEFAULTS) {
+            renderer.getSize(size);
+            const layout = pyramidLayout(size.x, size.y, settings);
+            const pixels = Math.max(1, Math.round(layout.front.size * renderer.getPixelRatio()));
+
+            faces.forEach((f) => {
+                const place = layout[f.name];
+                if (f.target.width !== pixels) f.target.setSize(pixels, pixels);
+
+                offset.copy(camera.position).applyAxisAngle(THREE.Object3D.DEFAULT_UP, FACES[f.name].orbit);
+                f.camera.position.copy(offset);
+                f.camera.fov = camera.fov;
+                f.camera.near = camera.near;
+                f.camera.far = camera.far;
+                f.camera.updateProjectionMatrix();
+                f.camera.lookAt(0, 0, 0);
+                renderer.setRenderTarget(f.target);
+                renderer.render(scene, f.camera);
+
+                f.quad.position.set(place.x, place.y, 0);
+                f.quad.rotation.z = place.rotation;
+                // Mirrored: the acrylic reflects it back the right way round
+                f.quad.scale.set(-place.size, place.size, 1);
+            });
+
+            renderer.setRenderTarget(null);
+            screenCamera.left = -size.x / 2;
+            screenCamera.right = size.x / 2;
+            screenCamera.top = size.y / 2;
+            screenCamera.bottom = -size.y / 2;
+            screenCamera.updateProjectionMatrix();
+            renderer.render(screen, screenCamera);
+        },
+
+        dispose() {
+            faces.forEach((f) => {
+                f.target.dispose();
+                f.quad.geometry.dispose();
+                f.quad.material.dispose();
+            });
+        },
+    };
+}
+
+// ================================
+// Settings (localStorage)
+// ================================
+
+/**
+ * The saved layout merged over PYRAMID_DEFAULTS.
+ */
+export function loadPyramidSettings(storage = globalThis.localStorage) {
+    return settingsStore.load(storage);
+}
+
+export function savePyramidSettings(settings, storage = globalThis.localStorage) {
+    settingsStore.save(settings, storage);
+}
+
+export default createPyramidDisplay;
@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { pyramidLayout, loadPyramidSettings, savePyramidSettings, PYRAMID_DEFAULTS } from "./PyramidDisplay";
+import memoryStorage from "./__fixtures__/memoryStorage";
+
+// Where the view's up (+y) ends up after the face's rotation
+const up = ({ rotation }) => [-Math.sin(rotation), Math.cos(rotation)];
+
+describe("pyramidLayout", () => {
+    it("puts the four views in a cross, each pointing away from the centre", () => {
+        const layout = pyramidLayout(1000, 800);
+        // Shorter side 800: views of 240 px, inner edges 40 px from the centre
+        expect(layout.front.size).toBe(240);
+        expect([layout.front.x, layout.front.y]).toEqual([0, -160]);
+        expect([layout.right.x, layout.right.y]).toEqual([160, 0]);
+        expect([layout.back.x, layout.back.y]).toEqual([0, 160]);
+        expect([layout.left.x, layout.left.y]).toEqual([-160, 0]);
+
+        const directions = [[layout.front, [0, -1]], [layout.right, [1, 0]], [layout.back, [0, 1]], [layout.left, [-1, 0]]];
+        directions.forEach(([face, out]) => {
+            expect(up(face)[0]).toBeCloseTo(out[0]);
+            expect(up(face)[1]).toBeCloseTo(out[1]);
+        });
+    });
+
+    it("applies the gap, view size and per-face offsets", () => {
+        const settings = { ...PYRAMID_DEFAULTS, gap: 0, viewSize: 0.5, offsets: { ...PYRAMID_DEFAULTS.offsets, left: { x: 0.1, y: -0.05 } } };
+        const layout = pyramidLayout(400, 400, settings);
+        expect(layout.back.y).toBe(100);
+        expect([layout.left.x, layout.left.y]).toEqual([-60, -20]);
+        expect(layout.right.x).toBe(100);
+    });
+});
+
+describe("pyramid settings", () => {
+    it("are saved and merged over the defaults", () => {
+        const storage = memoryStorage();
+        expect(loadPyramidSettings(storage)).toEqual(PYRAMID_DEFAULTS);
+
+        savePyramidSettings({ gap: 0.1, offsets: { front: { x: 0.02, y: 0 } } }, storage);
+        const loaded = loadPyramidSettings(storage);
+        expect(loaded.gap).toBe(0.1);
+        expect(loaded.viewSize).toBe(PYRAMID_DEFAULTS.viewSize);
+        expect(loaded.offsets.front.x).toBe(0.02);
+        expect(loaded.offsets.back).toEqual({ x: 0, y: 0 });
+
+        storage.setItem("janisa.pyramid", "{nope");
+        expect(loadPyramidSettings(storage)).toEqual(PYRAMID_DEFAULTS);
+    });
+});
@@ -0,0 +1,79 @@
+import { useState, useRef } from "react";
+import { createFrameRecorder, downloadRecording, loadRecording } from "./HandRecording";
+
+const buttonStyle = {
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    padding: "6px 14px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    fontFamily: "inherit",
+    fontSize: "0.8em",
+    letterSpacing: "1px"
+};
+
+// Record live hand frames to a JSON file, or replay one in place of the camera.
+export default function RecordingControls({ recorderRef, playback, setPlayback }) {
+    const [recording, setRecording] = useState(false);
+    const [error, setError] = useState(null);
+    const fileRef = useRef(null);
+
+    function toggleRecording() {
+        if (recording) {
+            const rec = recorderRef.current.stop();
+            recorderRef.current = null;
+            setRecording(false);
+            if (rec.frames.length) downloadRecording(rec);
+        } else {
+            recorderRef.current = createFrameRecorder();
+            setRecording(true);
+        }
+    }
+
+    function handleFile(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                setPlayback(loadRecording(reader.result));
+                setError(null);
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    return (
+        <div style={{ marginTop: "10px", display: "flex", justifyContent: "center", gap: "10px", flexWrap: "wrap" }}>
+            <button
+                onClick={toggleRecording}
+                disabled={!!playback}
+                style={{ ...buttonStyle, color: recording ? "#ff4136" : "#ffcc00", opacity: playback ? 0.5 : 1 }}
+            >
+                {recording ? "■ STOP & SAVE" : "● RECORD HANDS"}
+            </button>
+            {playback ? (
+                <button onClick={() => setPlayback(null)} style={buttonStyle}>
+                    LIVE CAMERA
+                </button>
+            ) : (
+                <button onClick={() => fileRef.current.click()} disabled={recording} style={buttonStyle}>
+                    REPLAY RECORDING
+                </button>
+            )}
+            <input
+                ref={fileRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={(e) => {
+                    handleFile(e.target.files[0]);
+                    e.target.value = "";
+                }}
+                style={{ display: "none" }}
+            />
+            {error && <div style={{ width: "100%", color: "#ff4136", fontSize: "0.8em" }}>{error}</div>}
+        </div>
+    );
+}
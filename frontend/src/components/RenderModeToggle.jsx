@@ -0,0 +1,34 @@
+import { RENDER_MODES } from "./SceneState";
+
+const buttonStyle = {
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    padding: "6px 14px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    fontFamily: "inherit",
+    fontSize: "0.8em",
+    letterSpacing: "1px"
+};
+
+const LABELS = {
+    hologram: "HOLOGRAM",
+    wireframe: "WIREFRAME",
+};
+
+// Cycles HoloViewer's render mode (see RENDER_MODES in SceneState.js).
+export default function RenderModeToggle({ mode, setMode }) {
+    const next = RENDER_MODES[(RENDER_MODES.indexOf(mode) + 1) % RENDER_MODES.length];
+    return (
+        <div style={{ marginTop: "10px", display: "flex", justifyContent: "center" }}>
+            <button
+                onClick={() => setMode(next)}
+                title={`Switch to ${LABELS[next] || next}`}
+                style={buttonStyle}
+            >
+                {`◈ RENDER: ${LABELS[mode] || mode}`}
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,128 @@
+// SceneState.js
+// Keeps what's on screen in the URL hash, so a view can be shared as a link and browser
+// back / forward step through it.
+// - the model file, its settled pose, the shader parameters, render and display mode, e.g.
+//   #model=engine.glb&rot=0,1.571,0&pos=0.2,0,0&scale=1.5&color=66ccff&fx=glitch,outline&render=wireframe
+// - shader, render and display settings at their defaults are left out to keep links short
+// - decoding skips missing or malformed fields, so hand-edited and older links still open
+//
+// Usage:
+//   const scene = decodeSceneState(window.location.hash);
+//   writeSceneHash(encodeSceneState({ model, pose, shader, renderMode, displayMode, showHands }));
+//   window.addEventListener("popstate", () => restore(decodeSceneState(window.location.hash)));
+
+import { SHADER_DEFAULTS, SHADER_EFFECTS } from "./HoloShader";
+
+// Render modes HoloViewer supports, in the order RenderModeToggle cycles through them
+export const RENDER_MODES = ["hologram", "wireframe"];
+
+// How the scene is laid out on screen (see DisplayControls.jsx); the first is the default
+export const DISPLAY_MODES = ["single", "pyramid", "anaglyph", "side-by-side", "top-bottom", "quilt"];
+
+const DIGITS = 3;
+
+// Shader settings written as plain numbers, under their own names
+const AMOUNTS = [
+    "flicker", "opacity", "glow", "proximity",
+    "glitchAmount", "glitchRate", "noiseAmount", "noiseScale", "aberrationAmount", "outlineAmount", "outlineWidth",
+];
+
+const round = (v) => +v.toFixed(DIGITS);
+const vector = (v) => [v.x, v.y, v.z].map(round).join(",");
+
+function readNumbers(text, count) {
+    if (!text) return null;
+    const values = text.split(",").map(Number);
+    return values.length === count && values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * The hash (without "#") for { model, pose, shader, renderMode, displayMode, showHands }; any may be missing.
+ */
+export function encodeSceneState({
+    model = null,
+    pose = null,
+    shader = SHADER_DEFAULTS,
+    renderMode = RENDER_MODES[0],
+    displayMode = DISPLAY_MODES[0],
+    showHands = false,
+}) {
+    const params = new URLSearchParams();
+    if (model) params.set("model", model);
+    if (pose) {
+        params.set("rot", vector(pose.rotation));
+        params.set("pos", vector(pose.position));
+        params.set("scale", String(round(pose.scale)));
+    }
+
+    const s = { ...SHADER_DEFAULTS, ...shader };
+    if (s.color.toLowerCase() !== SHADER_DEFAULTS.color) params.set("color", s.color.replace("#", "").toLowerCase());
+    if (s.scanSpeed !== SHADER_DEFAULTS.scanSpeed || s.scanDensity !== SHADER_DEFAULTS.scanDensity) {
+        params.set("scan", `${round(s.scanSpeed)},${round(s.scanDensity)}`);
+    }
+    for (const key of AMOUNTS) {
+        if (s[key] !== SHADER_DEFAULTS[key]) params.set(key, String(round(s[key])));
+    }
+    // The effects that are on, as a list (all are off by default)
+    const effects = SHADER_EFFECTS.filter((key) => s[key]);
+    if (effects.length) params.set("fx", effects.join(","));
+
+    if (renderMode !== RENDER_MODES[0]) params.set("render", renderMode);
+    if (displayMode !== DISPLAY_MODES[0]) params.set("display", displayMode);
+    if (showHands) params.set("hands", "1");
+    return params.toString();
+}
+
+/**
+ * The scene described by `hash` ("#..." or without the "#"). Unset fields come back as
+ * their defaults, except `model` and `pose`, which are null.
+ */
+export function decodeSceneState(hash) {
+    const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+    const scene = {
+        model: params.get("model") || null,
+        pose: null,
+        shader: { ...SHADER_DEFAULTS },
+        renderMode: RENDER_MODES[0],
+        displayMode: DISPLAY_MODES[0],
+        showHands: params.get("hands") === "1",
+    };
+
+    const rot = readNumbers(params.get("rot"), 3);
+    const pos = readNumbers(params.get("pos"), 3);
+    const scale = Number(params.get("scale"));
+    if (rot && pos && scale > 0) {
+        scene.pose = {
+            rotation: { x: rot[0], y: rot[1], z: rot[2] },
+            position: { x: pos[0], y: pos[1], z: pos[2] },
+            scale,
+        };
+    }
+
+    const color = params.get("color");
+    if (color && /^[0-9a-f]{6}$/i.test(color)) scene.shader.color = `#${color.toLowerCase()}`;
+    const scan = readNumbers(params.get("scan"), 2);
+    if (scan) [scene.shader.scanSpeed, scene.shader.scanDensity] = scan;
+    for (const key of AMOUNTS) {
+        const value = Number(params.get(key));
+        if (params.has(key) && Number.isFinite(value) && value >= 0) scene.shader[key] = value;
+    }
+    const effects = (params.get("fx") || "").split(",");
+    for (const key of SHADER_EFFECTS) scene.shader[key] = effects.includes(key);
+
+    if (RENDER_MODES.includes(params.get("render"))) scene.renderMode = params.get("render");
+    if (DISPLAY_MODES.includes(params.get("display"))) scene.displayMode = params.get("display");
+    return scene;
+}
+
+/**
+ * Puts `hash` in the address bar as a new history entry, or over the current one with
+ * `replace`. Does nothing when it is already there; returns whether it changed.
+ */
+export function writeSceneHash(hash, { replace = false, location = globalThis.location, history = globalThis.history } = {}) {
+    if ((location.hash || "").replace(/^#/, "") === hash) return false;
+    const url = hash ? `#${hash}` : location.pathname + location.search;
+    if (replace) history.replaceState(null, "", url);
+    else history.pushState(null, "", url);
+    return true;
+}
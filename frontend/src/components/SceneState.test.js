@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import { encodeSceneState, decodeSceneState, writeSceneHash, RENDER_MODES, DISPLAY_MODES } from "./SceneState";
+import { SHADER_DEFAULTS } from "./HoloShader";
+
+const POSE = { rotation: { x: 0.1, y: Math.PI / 2, z: 0 }, position: { x: 0.2, y: -0.35, z: 0 }, scale: 1.5 };
+
+// Address bar and history stand-ins
+function browser(hash = "") {
+    const entries = [hash];
+    const location = { hash, pathname: "/", search: "" };
+    const history = {
+        pushState: (_, __, url) => { entries.push(url); location.hash = url.startsWith("#") ? url : ""; },
+        replaceState: (_, __, url) => { entries[entries.length - 1] = url; location.hash = url.startsWith("#") ? url : ""; },
+    };
+    return { entries, location, history };
+}
+
+describe("scene state", () => {
+    it("round-trips the model, pose, shader and render mode", () => {
+        const shader = { ...SHADER_DEFAULTS, color: "#66CCFF", scanSpeed: 2, flicker: 0, glow: 0.9, proximity: 0 };
+        const hash = encodeSceneState({ model: "engine v2.glb", pose: POSE, shader, renderMode: "wireframe", displayMode: "pyramid", showHands: true });
+        expect(hash).toBe("model=engine+v2.glb&rot=0.1%2C1.571%2C0&pos=0.2%2C-0.35%2C0&scale=1.5&color=66ccff&scan=2%2C30&flicker=0&glow=0.9&proximity=0&render=wireframe&display=pyramid&hands=1");
+
+        const scene = decodeSceneState(`#${hash}`);
+        expect(scene.model).toBe("engine v2.glb");
+        expect(scene.pose.rotation.y).toBeCloseTo(Math.PI / 2, 3);
+        expect(scene.pose.position).toEqual(POSE.position);
+        expect(scene.pose.scale).toBe(1.5);
+        expect(scene.shader).toEqual({ ...shader, color: "#66ccff" });
+        expect(scene.renderMode).toBe("wireframe");
+        expect(scene.displayMode).toBe("pyramid");
+        expect(scene.showHands).toBe(true);
+    });
+
+    it("leaves defaults out of the link and fills them back in", () => {
+        expect(encodeSceneState({ model: "car.glb" })).toBe("model=car.glb");
+        expect(decodeSceneState("#model=car.glb")).toEqual({
+            model: "car.glb",
+            pose: null,
+            shader: SHADER_DEFAULTS,
+            renderMode: RENDER_MODES[0],
+            displayMode: DISPLAY_MODES[0],
+            showHands: false,
+        });
+    });
+
+    it("lists the effects that are on", () => {
+        const shader = { ...SHADER_DEFAULTS, glitch: true, outline: true, outlineWidth: 2 };
+        const hash = encodeSceneState({ shader });
+        expect(hash).toBe("outlineWidth=2&fx=glitch%2Coutline");
+        expect(decodeSceneState(hash).shader).toEqual(shader);
+        expect(decodeSceneState("#fx=noise,sparkles").shader).toEqual({ ...SHADER_DEFAULTS, noise: true });
+    });
+
+    it("skips malformed fields", () => {
+        const scene = decodeSceneState("#rot=1,2&pos=0,0,0&scale=2&color=red&scan=a,b&flicker=-1&opacity=x&render=nope&display=nope");
+        expect(scene.pose).toBe(null);
+        expect(scene.shader).toEqual(SHADER_DEFAULTS);
+        expect(scene.renderMode).toBe(RENDER_MODES[0]);
+        expect(scene.displayMode).toBe(DISPLAY_MODES[0]);
+        expect(decodeSceneState("").model).toBe(null);
+        expect(decodeSceneState("#display=side-by-side").displayMode).toBe("side-by-side");
+    });
+
+    it("adds a history entry per change, or replaces the current one", () => {
+        const { entries, location, history } = browser("#model=car.glb");
+        expect(writeSceneHash("model=car.glb", { location, history })).toBe(false);
+        expect(writeSceneHash("model=car.glb&scale=2", { location, history })).toBe(true);
+        writeSceneHash("model=car.glb&scale=3", { replace: true, location, history });
+        expect(entries).toEqual(["#model=car.glb", "#model=car.glb&scale=3"]);
+    });
+});
@@ -0,0 +1,52 @@
+// ScreenCopy.js
+// Draws a render target's texture to the screen exactly as it was rendered.
+// - HoloShader writes display colours straight out, with no colour-space conversion, and
+//   that is what the single view shows
+// - a render target keeps those same values, so the outputs that go through one (pyramid
+//   faces, anaglyph, quilt) copy them unchanged; MeshBasicMaterial would encode them to sRGB
+//   a second time and wash the hologram out
+// - the multi-view outputs also draw to the canvas with outputColorSpace linear (see
+//   HoloViewer.jsx), so the scan plane and picker cursor match across their views; the single
+//   view keeps the renderer's default
+//
+// Usage:
+//   const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), createCopyMaterial(target.texture));
+
+import * as THREE from "three";
+
+const CopyShader = {
+    uniforms: {
+        tMap: { value: null },
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tMap;
+        varying vec2 vUv;
+        void main() {
+            gl_FragColor = texture2D(tMap, vUv);
+        }
+    `,
+};
+
+/**
+ * A material that shows `texture` on a quad without touching its colours.
+ */
+export function createCopyMaterial(texture) {
+    const material = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.clone(CopyShader.uniforms),
+        vertexShader: CopyShader.vertexShader,
+        fragmentShader: CopyShader.fragmentShader,
+        depthTest: false,
+        depthWrite: false,
+    });
+    material.uniforms.tMap.value = texture;
+    return material;
+}
+
+export default createCopyMaterial;
@@ -0,0 +1,144 @@
+// ScreenEffects.js
+// The hologram effects that work on the finished image rather than the model: an RGB split
+// (chromatic aberration) and crisp outlines around the silhouette and depth edges.
+// - the scene is drawn into a texture with its depth, then one full-screen pass adds both
+// - aberration pulls red outwards and blue inwards, growing towards the screen's edges
+// - outlines come from jumps in depth between neighbouring pixels, drawn in the style's colour
+// - the cost is per pixel, not per vertex, so it doesn't grow with the model
+// - used for the single view only; the pyramid and stereo outputs draw the scene themselves
+//
+// Usage:
+//   const effects = createScreenEffects(renderer);
+//   if (screenEffectsOn(look)) effects.render(scene, camera, look); // instead of renderer.render
+//   effects.dispose();
+
+import * as THREE from "three";
+
+const EffectsShader = {
+    uniforms: {
+        tColor: { value: null },
+        tDepth: { value: null },
+        uResolution: { value: new THREE.Vector2(1, 1) },
+        uNear: { value: 0.1 },
+        uFar: { value: 1000 },
+        uAberration: { value: 0 },
+        uOutline: { value: 0 },
+        uOutlineWidth: { value: 1 },
+        uOutlineColor: { value: new THREE.Color(1, 0.8, 0) },
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        #include <packing>
+
+        uniform sampler2D tColor;
+        uniform sampler2D tDepth;
+        uniform vec2 uResolution;
+        uniform float uNear;
+        uniform float uFar;
+        uniform float uAberration;
+        uniform float uOutline;
+        uniform float uOutlineWidth;
+        uniform vec3 uOutlineColor;
+        varying vec2 vUv;
+
+        float distanceAt(vec2 uv) {
+            return -perspectiveDepthToViewZ(texture2D(tDepth, uv).x, uNear, uFar);
+        }
+
+        void main() {
+            // 1. Chromatic aberration: uAberration pixels of split at the edges, none in the middle
+            vec2 shift = (vUv - 0.5) * 2.0 * uAberration / uResolution;
+            vec4 base = texture2D(tColor, vUv);
+            vec3 color = vec3(texture2D(tColor, vUv + shift).r, base.g, texture2D(tColor, vUv - shift).b);
+            float alpha = base.a;
+
+            // 2. Outline: how far the nearest neighbour is in front of or behind this pixel,
+            // relative to the nearer of the two
+            if (uOutline > 0.0) {
+                vec2 offset = uOutlineWidth / uResolution;
+                float here = distanceAt(vUv);
+                float nearest = here;
+                float jump = 0.0;
+                for (int i = 0; i < 4; i++) {
+                    vec2 dir = vec2(i == 0 ? 1.0 : i == 1 ? -1.0 : 0.0, i == 2 ? 1.0 : i == 3 ? -1.0 : 0.0);
+                    float there = distanceAt(vUv + dir * offset);
+                    jump = max(jump, abs(there - here));
+                    nearest = min(nearest, there);
+                }
+                float edge = smoothstep(0.02, 0.08, jump / nearest) * uOutline;
+                color = mix(color, uOutlineColor, clamp(edge, 0.0, 1.0));
+                alpha = max(alpha, edge);
+            }
+
+            gl_FragColor = vec4(color, alpha);
+        }
+    `,
+};
+
+/**
+ * Whether `look` (a HoloShader style) has any of the effects drawn here turned on.
+ */
+export function screenEffectsOn(look) {
+    return Boolean((look.aberration && look.aberrationAmount > 0) || (look.outline && look.outlineAmount > 0));
+}
+
+export function createScreenEffects(renderer) {
+    const pixels = new THREE.Vector2();
+    // Multisampled like the canvas, so edges stay smooth with the effects on
+    const target = new THREE.WebGLRenderTarget(1, 1, { samples: 4, depthTexture: new THREE.DepthTexture(1, 1) });
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.clone(EffectsShader.uniforms),
+        vertexShader: EffectsShader.vertexShader,
+        fragmentShader: EffectsShader.fragmentShader,
+        depthTest: false,
+        depthWrite: false,
+    });
+    material.uniforms.tColor.value = target.texture;
+    material.uniforms.tDepth.value = target.depthTexture;
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    const screen = new THREE.Scene();
+    screen.add(quad);
+    const screenCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, -1, 1);
+
+    return {
+        /**
+         * Draws `scene` from `camera` to the canvas with the aberration and outline settings
+         * of `look` (see SHADER_DEFAULTS).
+         */
+        render(scene, camera, look) {
+            renderer.getDrawingBufferSize(pixels);
+            if (target.width !== pixels.x || target.height !== pixels.y) target.setSize(pixels.x, pixels.y);
+            renderer.setRenderTarget(target);
+            renderer.render(scene, camera);
+
+            const u = material.uniforms;
+            u.uResolution.value.copy(pixels);
+            u.uNear.value = camera.near;
+            u.uFar.value = camera.far;
+            // Widths are in CSS pixels, so they look the same on high-DPI screens
+            const ratio = renderer.getPixelRatio();
+            u.uAberration.value = look.aberration ? look.aberrationAmount * ratio : 0;
+            u.uOutline.value = look.outline ? look.outlineAmount : 0;
+            u.uOutlineWidth.value = look.outlineWidth * ratio;
+            u.uOutlineColor.value.set(look.color);
+            renderer.setRenderTarget(null);
+            renderer.render(screen, screenCamera);
+        },
+
+        dispose() {
+            target.depthTexture.dispose();
+            target.dispose();
+            quad.geometry.dispose();
+            material.dispose();
+        },
+    };
+}
+
+export default createScreenEffects;
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import * as THREE from "three";
+import createScreenEffects, { screenEffectsOn } from "./ScreenEffects";
+import { SHADER_DEFAULTS } from "./HoloShader";
+
+// Stands in for a WebGLRenderer on a 400 x 300 canvas at `ratio`, keeping what each render drew
+function fakeRenderer(ratio) {
+    const drawn = [];
+    return {
+        drawn,
+        getPixelRatio: () => ratio,
+        getDrawingBufferSize: (out) => out.set(400 * ratio, 300 * ratio),
+        setRenderTarget() {},
+        render: (scene, camera) => drawn.push({ scene, camera }),
+    };
+}
+
+// The uniforms of the full-screen pass after drawing with `look`
+function uniformsFor(look, ratio = 1) {
+    const renderer = fakeRenderer(ratio);
+    const effects = createScreenEffects(renderer);
+    const camera = new THREE.PerspectiveCamera(50, 4 / 3, 0.2, 500);
+    effects.render(new THREE.Scene(), camera, look);
+    const screen = renderer.drawn[renderer.drawn.length - 1].scene;
+    return screen.children[0].material.uniforms;
+}
+
+describe("screenEffectsOn", () => {
+    it("is on when aberration or outline is turned on with some amount", () => {
+        expect(screenEffectsOn(SHADER_DEFAULTS)).toBe(false);
+        expect(screenEffectsOn({ ...SHADER_DEFAULTS, glitch: true, noise: true })).toBe(false);
+        expect(screenEffectsOn({ ...SHADER_DEFAULTS, aberration: true })).toBe(true);
+        expect(screenEffectsOn({ ...SHADER_DEFAULTS, outline: true })).toBe(true);
+        expect(screenEffectsOn({ ...SHADER_DEFAULTS, outline: true, outlineAmount: 0 })).toBe(false);
+    });
+});
+
+describe("createScreenEffects", () => {
+    it("scales widths by the pixel ratio and matches the camera", () => {
+        const look = { ...SHADER_DEFAULTS, aberration: true, aberrationAmount: 3, outline: true, outlineAmount: 0.8, outlineWidth: 1.5, color: "#66ccff" };
+        const u = uniformsFor(look, 2);
+        expect(u.uResolution.value.toArray()).toEqual([800, 600]);
+        expect(u.uAberration.value).toBe(6);
+        expect(u.uOutline.value).toBe(0.8);
+        expect(u.uOutlineWidth.value).toBe(3);
+        expect([u.uNear.value, u.uFar.value]).toEqual([0.2, 500]);
+        expect(u.uOutlineColor.value.getHexString()).toBe("66ccff");
+    });
+
+    it("zeroes the effects that are toggled off", () => {
+        const u = uniformsFor({ ...SHADER_DEFAULTS, aberration: false, aberrationAmount: 3, outline: false, outlineAmount: 0.8 });
+        expect(u.uAberration.value).toBe(0);
+        expect(u.uOutline.value).toBe(0);
+    });
+});
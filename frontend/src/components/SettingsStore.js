@@ -0,0 +1,46 @@
+// SettingsStore.js
+// One settings object kept in localStorage under a key, read back over its defaults.
+// - nested objects are merged key by key, so a setting added to the defaults later still
+//   has a value when an older save is loaded
+// - unreadable or missing saves give the defaults; a save that can't be written (private
+//   mode, full storage) is dropped, and the settings just aren't remembered
+//
+// Usage:
+//   const store = createSettingsStore("janisa.pyramid", PYRAMID_DEFAULTS);
+//   const settings = store.load();
+//   store.save({ ...settings, gap: 0.1 });
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * `saved` over `defaults`, recursing into objects that both have.
+ */
+export function mergeSettings(defaults, saved) {
+    if (!isPlainObject(defaults) || !isPlainObject(saved)) return saved === undefined ? defaults : saved;
+    const merged = { ...defaults };
+    for (const [key, value] of Object.entries(saved)) merged[key] = mergeSettings(defaults[key], value);
+    return merged;
+}
+
+export function createSettingsStore(key, defaults) {
+    return {
+        load(storage = globalThis.localStorage) {
+            try {
+                const saved = JSON.parse(storage.getItem(key));
+                return isPlainObject(saved) ? mergeSettings(defaults, saved) : defaults;
+            } catch {
+                return defaults;
+            }
+        },
+
+        save(settings, storage = globalThis.localStorage) {
+            try {
+                storage.setItem(key, JSON.stringify(settings));
+            } catch {
+                // Not remembered, see above
+            }
+        },
+    };
+}
+
+export default createSettingsStore;
@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import createSettingsStore, { mergeSettings } from "./SettingsStore";
+import memoryStorage from "./__fixtures__/memoryStorage";
+
+const DEFAULTS = { size: 1, name: null, nested: { a: 1, b: { c: 2, d: 3 } }, list: [1, 2] };
+
+describe("mergeSettings", () => {
+    it("merges nested objects key by key and replaces everything else", () => {
+        expect(mergeSettings(DEFAULTS, { name: "x", nested: { b: { c: 5 } }, list: [3] })).toEqual({
+            size: 1,
+            name: "x",
+            nested: { a: 1, b: { c: 5, d: 3 } },
+            list: [3],
+        });
+        expect(mergeSettings(DEFAULTS, {})).toEqual(DEFAULTS);
+    });
+});
+
+describe("createSettingsStore", () => {
+    it("saves and loads over the defaults", () => {
+        const storage = memoryStorage();
+        const store = createSettingsStore("test.settings", DEFAULTS);
+        expect(store.load(storage)).toBe(DEFAULTS);
+
+        store.save({ size: 2, nested: { b: { d: 4 } } }, storage);
+        expect(store.load(storage)).toEqual({ ...DEFAULTS, size: 2, nested: { a: 1, b: { c: 2, d: 4 } } });
+    });
+
+    it("falls back to the defaults when storage fails", () => {
+        const store = createSettingsStore("test.settings", DEFAULTS);
+        expect(store.load({ getItem: () => "{not json" })).toBe(DEFAULTS);
+        expect(store.load({ getItem: () => "[1]" })).toBe(DEFAULTS);
+        expect(() => store.save(DEFAULTS, { setItem: () => { throw new Error("full"); } })).not.toThrow();
+    });
+});
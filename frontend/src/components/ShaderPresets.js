@@ -0,0 +1,205 @@
+// ShaderPresets.js
+// Named looks for the hologram: every HoloShader setting (see SHADER_DEFAULTS) under a name.
+// - four built-in presets; saving one under the same name overrides it in this browser
+// - saved presets and which preset each model uses are kept in localStorage
+// - presets export to and import from a JSON file, so a look can move between machines
+// - findPreset() matches loosely, so "style glitch" finds "heavy glitch"
+//
+// Usage:
+//   setShader(loadPreset("cyan sci-fi"));
+//   savePreset("night", shader);
+//   attachPreset(modelKey(url), "night");
+//   const name = attachedPreset(modelKey(url)); // applied when that model is opened
+
+import { SHADER_DEFAULTS } from "./HoloShader";
+
+export const PRESETS_VERSION = 1;
+
+export const BUILTIN_PRESETS = {
+    "amber classic": SHADER_DEFAULTS,
+    "cyan sci-fi": {
+        color: "#33e0ff", opacity: 0.7, glow: 0.7, scanSpeed: 2, scanDensity: 60, flicker: 0.03, proximity: 1,
+        outline: true, outlineAmount: 0.8,
+    },
+    "subtle glass": { color: "#d8ecff", opacity: 0.3, glow: 0.9, scanSpeed: 0.4, scanDensity: 12, flicker: 0, proximity: 0.3 },
+    "heavy glitch": {
+        color: "#ff3b6b", opacity: 0.75, glow: 0.6, scanSpeed: 6, scanDensity: 90, flicker: 0.6, proximity: 1,
+        glitch: true, glitchAmount: 0.25, glitchRate: 5, noise: true, noiseAmount: 0.7, aberration: true, aberrationAmount: 5,
+    },
+};
+
+const STORAGE_KEY = "janisa.shaderPresets";
+
+const isColor = (v) => typeof v === "string" && /^#[0-9a-f]{6}$/i.test(v);
+const isAmount = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+
+/**
+ * A complete look from `style`: valid settings kept, anything missing or malformed taken
+ * from SHADER_DEFAULTS.
+ */
+export function normalizeStyle(style) {
+    const out = { ...SHADER_DEFAULTS };
+    if (!style || typeof style !== "object") return out;
+    for (const key of Object.keys(SHADER_DEFAULTS)) {
+        const value = style[key];
+        if (typeof SHADER_DEFAULTS[key] === "boolean") {
+            if (typeof value === "boolean") out[key] = value;
+        } else if (key === "color" ? isColor(value) : isAmount(value)) {
+            out[key] = key === "color" ? value.toLowerCase() : value;
+        }
+    }
+    out.proximity = Math.min(out.proximity, 1);
+    return out;
+}
+
+function readStore(storage) {
+    try {
+        const data = JSON.parse(storage.getItem(STORAGE_KEY));
+        if (data && typeof data === "object") return { presets: data.presets || {}, models: data.models || {} };
+    } catch (err) {
+        console.warn("Ignoring unreadable style presets:", err);
+    }
+    return { presets: {}, models: {} };
+}
+
+function writeStore(storage, data) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
+
+export function isBuiltinPreset(name) {
+    return Object.hasOwn(BUILTIN_PRESETS, name);
+}
+
+/**
+ * The built-in presets, then the saved ones alphabetically.
+ */
+export function listPresets(storage = globalThis.localStorage) {
+    const saved = Object.keys(readStore(storage).presets).filter((name) => !isBuiltinPreset(name)).sort();
+    return [...Object.keys(BUILTIN_PRESETS), ...saved];
+}
+
+/**
+ * Returns the look saved as `name` (or the built-in one), or null.
+ */
+export function loadPreset(name, storage = globalThis.localStorage) {
+    const saved = readStore(storage).presets[name];
+    if (saved) return normalizeStyle(saved);
+    return isBuiltinPreset(name) ? normalizeStyle(BUILTIN_PRESETS[name]) : null;
+}
+
+/**
+ * Saves `style` as `name`, replacing any preset of that name. Returns the trimmed name.
+ */
+export function savePreset(name, style, storage = globalThis.localStorage) {
+    const trimmed = (name || "").trim().toLowerCase();
+    if (!trimmed) throw new Error("A style preset needs a name");
+
+    const data = readStore(storage);
+    data.presets[trimmed] = normalizeStyle(style);
+    writeStore(storage, data);
+    return trimmed;
+}
+
+/**
+ * Deletes a saved preset; a built-in one goes back to its original look. Models using it are detached.
+ */
+export function deletePreset(name, storage = globalThis.localStorage) {
+    const data = readStore(storage);
+    delete data.presets[name];
+    if (!isBuiltinPreset(name)) {
+        for (const model of Object.keys(data.models)) {
+            if (data.models[model] === name) delete data.models[model];
+        }
+    }
+    writeStore(storage, data);
+}
+
+/**
+ * The preset `query` refers to: the one named exactly that, else the first whose name contains
+ * every word of it ("glitch", "cyan"). Returns the name or null.
+ */
+export function findPreset(query, storage = globalThis.localStorage) {
+    const text = (query || "").trim().toLowerCase();
+    if (!text) return null;
+    const names = listPresets(storage);
+    if (names.includes(text)) return text;
+    const words = text.split(/\s+/);
+    return names.find((name) => words.every((w) => name.includes(w))) || null;
+}
+
+// ================================
+// Presets per model
+// ================================
+
+/**
+ * Has `model` (a modelKey) open with preset `name`; a null `name` detaches it.
+ */
+export function attachPreset(model, name, storage = globalThis.localStorage) {
+    if (!model) throw new Error("A preset can only be attached to a model");
+    const data = readStore(storage);
+    if (name) data.models[model] = name;
+    else delete data.models[model];
+    writeStore(storage, data);
+}
+
+/**
+ * { [model]: presetName } for every model with a preset attached.
+ */
+export function listAttachments(storage = globalThis.localStorage) {
+    return readStore(storage).models;
+}
+
+export function attachedPreset(model, storage = globalThis.localStorage) {
+    const name = readStore(storage).models[model];
+    return name && loadPreset(name, storage) ? name : null;
+}
+
+// ================================
+// Export / import
+// ================================
+
+/**
+ * The saved presets and model attachments as a JSON string.
+ */
+export function exportPresets(storage = globalThis.localStorage) {
+    const { presets, models } = readStore(storage);
+    return JSON.stringify({ version: PRESETS_VERSION, exportedAt: new Date().toISOString(), presets, models }, null, 2);
+}
+
+/**
+ * Adds the presets (and attachments) in an exported file to the saved ones, replacing any
+ * of the same name. Throws on unknown formats. Returns the imported preset names.
+ */
+export function importPresets(data, storage = globalThis.localStorage) {
+    const file = typeof data === "string" ? JSON.parse(data) : data;
+    if (!file || typeof file.presets !== "object" || file.presets === null) throw new Error("Not a style preset file: missing presets");
+    if (file.version !== PRESETS_VERSION) throw new Error(`Unsupported style preset version ${file.version}`);
+
+    const store = readStore(storage);
+    const names = [];
+    for (const [name, style] of Object.entries(file.presets)) {
+        const trimmed = name.trim().toLowerCase();
+        if (!trimmed) continue;
+        store.presets[trimmed] = normalizeStyle(style);
+        names.push(trimmed);
+    }
+    if (file.models && typeof file.models === "object") {
+        for (const [model, name] of Object.entries(file.models)) {
+            if (typeof name === "string") store.models[model] = name;
+        }
+    }
+    writeStore(storage, store);
+    return names;
+}
+
+export function downloadPresets(filename = `hologram-styles-${Date.now()}.json`) {
+    const blob = new Blob([exportPresets()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+export default loadPreset;
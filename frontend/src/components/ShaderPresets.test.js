@@ -0,0 +1,103 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+    listPresets, loadPreset, savePreset, deletePreset, findPreset, attachPreset, attachedPreset,
+    exportPresets, importPresets, normalizeStyle, BUILTIN_PRESETS,
+} from "./ShaderPresets";
+import { SHADER_DEFAULTS } from "./HoloShader";
+import parseCommand from "./CommandParser";
+import { normalizeSpeech } from "./VoiceGrammar";
+import memoryStorage from "./__fixtures__/memoryStorage";
+
+const NIGHT = { ...SHADER_DEFAULTS, color: "#2244AA", glow: 1.2, proximity: 0 };
+
+describe("style presets", () => {
+    it("starts with the built-in looks, amber classic being the default", () => {
+        const storage = memoryStorage();
+        expect(listPresets(storage)).toEqual(["amber classic", "cyan sci-fi", "subtle glass", "heavy glitch"]);
+        expect(loadPreset("amber classic", storage)).toEqual(SHADER_DEFAULTS);
+        expect(loadPreset("nope", storage)).toBe(null);
+    });
+
+    it("saves, overrides and deletes presets", () => {
+        const storage = memoryStorage();
+        expect(savePreset("  Night ", NIGHT, storage)).toBe("night");
+        expect(listPresets(storage)).toEqual([...Object.keys(BUILTIN_PRESETS), "night"]);
+        expect(loadPreset("night", storage)).toEqual({ ...NIGHT, color: "#2244aa" });
+        expect(() => savePreset(" ", NIGHT, storage)).toThrow();
+
+        // A built-in one can be overridden, and deleting the override restores it
+        savePreset("heavy glitch", NIGHT, storage);
+        expect(loadPreset("heavy glitch", storage).glow).toBe(1.2);
+        expect(listPresets(storage)).toHaveLength(5);
+        deletePreset("heavy glitch", storage);
+        expect(loadPreset("heavy glitch", storage)).toEqual(normalizeStyle(BUILTIN_PRESETS["heavy glitch"]));
+
+        deletePreset("night", storage);
+        expect(loadPreset("night", storage)).toBe(null);
+    });
+
+    it("fills in missing or malformed settings from the defaults", () => {
+        expect(normalizeStyle({ color: "red", glow: -1, opacity: 0.3, proximity: 4 })).toEqual({ ...SHADER_DEFAULTS, opacity: 0.3, proximity: 1 });
+        expect(normalizeStyle({ glitch: true, outline: "yes", noiseScale: 3 })).toEqual({ ...SHADER_DEFAULTS, glitch: true, noiseScale: 3 });
+    });
+
+    it("finds a preset from part of its name", () => {
+        const storage = memoryStorage();
+        expect(findPreset("glitch", storage)).toBe("heavy glitch");
+        expect(findPreset("cyan", storage)).toBe("cyan sci-fi");
+        expect(findPreset("Subtle Glass", storage)).toBe("subtle glass");
+        expect(findPreset("velvet", storage)).toBe(null);
+    });
+
+    it("remembers which preset a model opens with", () => {
+        const storage = memoryStorage();
+        savePreset("night", NIGHT, storage);
+        attachPreset("engine.glb", "night", storage);
+        expect(attachedPreset("engine.glb", storage)).toBe("night");
+        expect(attachedPreset("car.glb", storage)).toBe(null);
+
+        // Deleting the preset detaches it
+        deletePreset("night", storage);
+        expect(attachedPreset("engine.glb", storage)).toBe(null);
+        expect(() => attachPreset(null, "night", storage)).toThrow();
+    });
+
+    it("exports and imports presets with their model attachments", () => {
+        const source = memoryStorage();
+        savePreset("night", NIGHT, source);
+        attachPreset("engine.glb", "night", source);
+        const file = exportPresets(source);
+
+        const target = memoryStorage();
+        expect(importPresets(file, target)).toEqual(["night"]);
+        expect(loadPreset("night", target)).toEqual(loadPreset("night", source));
+        expect(attachedPreset("engine.glb", target)).toBe("night");
+
+        expect(() => importPresets("{}", target)).toThrow(/missing presets/);
+        expect(() => importPresets({ version: 9, presets: {} }, target)).toThrow(/version 9/);
+    });
+
+    it("ignores unreadable storage", () => {
+        const storage = memoryStorage();
+        storage.setItem("janisa.shaderPresets", "{nope");
+        const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+        expect(listPresets(storage)).toEqual(Object.keys(BUILTIN_PRESETS));
+        warn.mockRestore();
+    });
+});
+
+describe("look commands", () => {
+    it("parses colours and styles", () => {
+        expect(parseCommand("color cyan").commands[0]).toMatchObject({ type: "color", name: "cyan", color: "#33e0ff" });
+        expect(parseCommand("colour to amber").commands[0]).toMatchObject({ type: "color", color: "#ffcc00" });
+        expect(parseCommand("style glitch then rotate left").commands[0]).toMatchObject({ type: "style", preset: "glitch" });
+        expect(parseCommand("color mauve").errors).toHaveLength(1);
+        expect(parseCommand("style").errors).toHaveLength(1);
+    });
+
+    it("understands spoken forms", () => {
+        expect(normalizeSpeech("make it cyan")).toBe("color cyan");
+        expect(normalizeSpeech("turn the hologram red please")).toBe("color red");
+        expect(normalizeSpeech("switch to the heavy glitch style")).toBe("style heavy glitch");
+    });
+});
@@ -0,0 +1,26 @@
+const buttonStyle = {
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    padding: "6px 14px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    fontFamily: "inherit",
+    fontSize: "0.8em",
+    letterSpacing: "1px"
+};
+
+// Shows or hides the holographic hand skeletons in the 3D scene.
+export default function SkeletonToggle({ showHands, setShowHands }) {
+    return (
+        <div style={{ marginTop: "10px", display: "flex", justifyContent: "center" }}>
+            <button
+                onClick={() => setShowHands(!showHands)}
+                title="Draw your tracked hands inside the hologram, tinted by the active gesture"
+                style={{ ...buttonStyle, opacity: showHands ? 1 : 0.6 }}
+            >
+                {showHands ? "🖐 HANDS IN SCENE: ON" : "🖐 HANDS IN SCENE: OFF"}
+            </button>
+        </div>
+    );
+}
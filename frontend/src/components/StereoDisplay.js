@@ -0,0 +1,243 @@
+// StereoDisplay.js
+// Output for 3D displays: stereo pairs for red / cyan glasses and 3D TVs, and a quilt of
+// many views for lenticular light-field displays.
+// - anaglyph: left eye in red (as grey, which fights less with the hologram's colour),
+//   right eye in green and blue
+// - side-by-side / top-bottom: each eye squeezed into half the frame, left / top first,
+//   which 3D TVs stretch back out
+// - the eyes are parallel cameras with off-axis frustums (THREE.StereoCamera); eye separation
+//   and convergence (the distance that shows at screen depth) are in scene units
+// - quilt: rows × columns views from cameras on a horizontal arc around the model, leftmost
+//   view in the bottom-left tile, rendered into one texture and shown as is
+// - HoloShader works in world / view space, so every eye and tile shades from its own camera
+// - no pass converts colours: anaglyph and quilt pass on what the eyes rendered, as the
+//   pairs (drawn straight to the canvas) and the single view do (ScreenCopy.js)
+// - the settings are kept in localStorage
+//
+// Usage:
+//   const stereo = createStereoDisplay(renderer);
+//   stereo.render(scene, camera, "anaglyph", settings); // instead of renderer.render(scene, camera)
+//   stereo.dispose();
+
+import * as THREE from "three";
+import { createCopyMaterial } from "./ScreenCopy";
+import { createSettingsStore } from "./SettingsStore";
+
+// The display modes drawn here (see DISPLAY_MODES in SceneState.js)
+export const STEREO_MODES = ["anaglyph", "side-by-side", "top-bottom", "quilt"];
+
+export const STEREO_DEFAULTS = {
+    eyeSeparation: 0.15,
+    // The camera's distance from the model, so the model sits at screen depth
+    convergence: 4.5,
+    quilt: {
+        rows: 6,
+        columns: 8,
+        // Angle between the outermost views (degrees)
+        viewCone: 40,
+    },
+};
+
+const settingsStore = createSettingsStore("janisa.stereo", STEREO_DEFAULTS);
+
+const AnaglyphShader = {
+    uniforms: {
+        tLeft: { value: null },
+        tRight: { value: null },
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tLeft;
+        uniform sampler2D tRight;
+        varying vec2 vUv;
+        void main() {
+            vec4 left = texture2D(tLeft, vUv);
+            vec4 right = texture2D(tRight, vUv);
+            float grey = dot(left.rgb, vec3(0.299, 0.587, 0.114));
+            gl_FragColor = vec4(grey, right.g, right.b, 1.0);
+        }
+    `,
+};
+
+/**
+ * Where each eye goes on a `width` x `height` canvas for the side-by-side and top-bottom
+ * modes, as { left, right } of { x, y, width, height } (pixels, y up like a GL viewport).
+ */
+export function stereoViewports(width, height, mode) {
+    if (mode === "top-bottom") {
+        const half = height / 2;
+        return { left: { x: 0, y: half, width, height: half }, right: { x: 0, y: 0, width, height: half } };
+    }
+    const half = width / 2;
+    return { left: { x: 0, y: 0, width: half, height }, right: { x: half, y: 0, width: half, height } };
+}
+
+/**
+ * The quilt's views for a `width` x `height` texture, leftmost first: each one's tile
+ * ({ x, y, width, height }, from the bottom-left) and its camera's angle about y (radians,
+ * negative to the viewer's left).
+ */
+export function quiltLayout(width, height, settings = STEREO_DEFAULTS.quilt) {
+    const { rows, columns, viewCone } = settings;
+    const count = rows * columns;
+    const tileWidth = Math.floor(width / columns);
+    const tileHeight = Math.floor(height / rows);
+    const cone = THREE.MathUtils.degToRad(viewCone);
+    return Array.from({ length: count }, (_, i) => ({
+        x: (i % columns) * tileWidth,
+        y: Math.floor(i / columns) * tileHeight,
+        width: tileWidth,
+        height: tileHeight,
+        angle: count > 1 ? -cone / 2 + (cone * i) / (count - 1) : 0,
+    }));
+}
+
+export function createStereoDisplay(renderer) {
+    const stereo = new THREE.StereoCamera();
+    // The main camera with the convergence and aspect for this frame
+    const source = new THREE.PerspectiveCamera();
+    const size = new THREE.Vector2();
+    const pixels = new THREE.Vector2();
+
+    const leftTarget = new THREE.WebGLRenderTarget(1, 1);
+    const rightTarget = new THREE.WebGLRenderTarget(1, 1);
+    const anaglyph = new THREE.Mesh(
+        new THREE.PlaneGeometry(2, 2),
+        new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(AnaglyphShader.uniforms),
+            vertexShader: AnaglyphShader.vertexShader,
+            fragmentShader: AnaglyphShader.fragmentShader,
+            depthTest: false,
+            depthWrite: false,
+        }),
+    );
+    anaglyph.material.uniforms.tLeft.value = leftTarget.texture;
+    anaglyph.material.uniforms.tRight.value = rightTarget.texture;
+
+    const quiltTarget = new THREE.WebGLRenderTarget(1, 1);
+    const quiltCamera = new THREE.PerspectiveCamera();
+    const quilt = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), createCopyMaterial(quiltTarget.texture));
+
+    // Both passes draw one full-screen quad
+    const screen = new THREE.Scene();
+    screen.add(anaglyph, quilt);
+    const screenCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, -1, 1);
+    const orbit = new THREE.Vector3();
+
+    function updateEyes(camera, settings, aspect) {
+        source.copy(camera);
+        source.focus = settings.convergence;
+        source.aspect = aspect;
+        source.updateProjectionMatrix();
+        source.updateMatrixWorld();
+        stereo.eyeSep = settings.eyeSeparation;
+        stereo.update(source);
+    }
+
+    function showOnly(mesh) {
+        anaglyph.visible = mesh === anaglyph;
+        quilt.visible = mesh === quilt;
+        renderer.setRenderTarget(null);
+        renderer.render(screen, screenCamera);
+    }
+
+    function renderAnaglyph(scene, camera, settings) {
+        updateEyes(camera, settings, size.x / size.y);
+        if (leftTarget.width !== pixels.x || leftTarget.height !== pixels.y) {
+            leftTarget.setSize(pixels.x, pixels.y);
+            rightTarget.setSize(pixels.x, pixels.y);
+        }
+        renderer.setRenderTarget(leftTarget);
+        renderer.render(scene, stereo.cameraL);
+        renderer.setRenderTarget(rightTarget);
+        renderer.render(scene, stereo.cameraR);
+        showOnly(anaglyph);
+    }
+
+    function renderPair(scene, camera, settings, mode) {
+        // Each eye keeps the whole frame's aspect; the display stretches its half back out
+        updateEyes(camera, settings, size.x / size.y);
+        const viewports = stereoViewports(size.x, size.y, mode);
+        renderer.setRenderTarget(null);
+        renderer.setScissorTest(true);
+        [[viewports.left, stereo.cameraL], [viewports.right, stereo.cameraR]].forEach(([v, eye]) => {
+            renderer.setViewport(v.x, v.y, v.width, v.height);
+            renderer.setScissor(v.x, v.y, v.width, v.height);
+            renderer.render(scene, eye);
+        });
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, size.x, size.y);
+    }
+
+    function renderQuilt(scene, camera, settings) {
+        if (quiltTarget.width !== pixels.x || quiltTarget.height !== pixels.y) quiltTarget.setSize(pixels.x, pixels.y);
+        const views = quiltLayout(pixels.x, pixels.y, settings.quilt);
+        quiltCamera.copy(camera);
+        quiltCamera.aspect = views[0].width / views[0].height;
+        quiltCamera.updateProjectionMatrix();
+
+        quiltTarget.scissorTest = true;
+        views.forEach((v) => {
+            orbit.copy(camera.position).applyAxisAngle(THREE.Object3D.DEFAULT_UP, v.angle);
+            quiltCamera.position.copy(orbit);
+            quiltCamera.lookAt(0, 0, 0);
+            quiltTarget.viewport.set(v.x, v.y, v.width, v.height);
+            quiltTarget.scissor.set(v.x, v.y, v.width, v.height);
+            renderer.setRenderTarget(quiltTarget);
+            renderer.render(scene, quiltCamera);
+        });
+        quiltTarget.scissorTest = false;
+        quiltTarget.viewport.set(0, 0, pixels.x, pixels.y);
+        showOnly(quilt);
+    }
+
+    return {
+        /**
+         * Draws `scene` in `mode` (one of STEREO_MODES). `camera` is the single-view camera;
+         * the eyes sit either side of it and the quilt's views orbit the model at its distance.
+         */
+        render(scene, camera, mode, settings = STEREO_DEFAULTS) {
+            renderer.getSize(size);
+            renderer.getDrawingBufferSize(pixels);
+            if (mode === "anaglyph") renderAnaglyph(scene, camera, settings);
+            else if (mode === "quilt") renderQuilt(scene, camera, settings);
+            else renderPair(scene, camera, settings, mode);
+        },
+
+        // The last quilt, for handing to a light-field display's own software
+        get quiltTexture() {
+            return quiltTarget.texture;
+        },
+
+        dispose() {
+            [leftTarget, rightTarget, quiltTarget].forEach((t) => t.dispose());
+            [anaglyph, quilt].forEach((mesh) => {
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            });
+        },
+    };
+}
+
+// ================================
+// Settings (localStorage)
+// ================================
+
+/**
+ * The saved stereo and quilt settings merged over STEREO_DEFAULTS.
+ */
+export function loadStereoSettings(storage = globalThis.localStorage) {
+    return settingsStore.load(storage);
+}
+
+export function saveStereoSettings(settings, storage = globalThis.localStorage) {
+    settingsStore.save(settings, storage);
+}
+
+export default createStereoDisplay;
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { stereoViewports, quiltLayout, loadStereoSettings, saveStereoSettings, STEREO_DEFAULTS } from "./StereoDisplay";
+import memoryStorage from "./__fixtures__/memoryStorage";
+
+describe("stereoViewports", () => {
+    it("puts the left eye on the left, or on top", () => {
+        expect(stereoViewports(1920, 1080, "side-by-side")).toEqual({
+            left: { x: 0, y: 0, width: 960, height: 1080 },
+            right: { x: 960, y: 0, width: 960, height: 1080 },
+        });
+        // Viewport y counts from the bottom
+        expect(stereoViewports(1920, 1080, "top-bottom")).toEqual({
+            left: { x: 0, y: 540, width: 1920, height: 540 },
+            right: { x: 0, y: 0, width: 1920, height: 540 },
+        });
+    });
+});
+
+describe("quiltLayout", () => {
+    it("tiles rows × columns views from the bottom-left, leftmost view first", () => {
+        const views = quiltLayout(800, 600, { rows: 3, columns: 4, viewCone: 40 });
+        expect(views).toHaveLength(12);
+        expect(views[0]).toMatchObject({ x: 0, y: 0, width: 200, height: 200 });
+        expect(views[5]).toMatchObject({ x: 200, y: 200 });
+        expect(views[11]).toMatchObject({ x: 600, y: 400 });
+    });
+
+    it("spreads the cameras evenly across the view cone", () => {
+        const views = quiltLayout(800, 600, { rows: 1, columns: 5, viewCone: 40 });
+        const degrees = views.map((v) => (v.angle * 180) / Math.PI);
+        [-20, -10, 0, 10, 20].forEach((expected, i) => expect(degrees[i]).toBeCloseTo(expected));
+        expect(quiltLayout(800, 600, { rows: 1, columns: 1, viewCone: 40 })[0].angle).toBe(0);
+    });
+});
+
+describe("stereo settings", () => {
+    it("are saved and merged over the defaults", () => {
+        const storage = memoryStorage();
+        expect(loadStereoSettings(storage)).toEqual(STEREO_DEFAULTS);
+
+        saveStereoSettings({ eyeSeparation: 0.3, quilt: { rows: 9 } }, storage);
+        const loaded = loadStereoSettings(storage);
+        expect(loaded.eyeSeparation).toBe(0.3);
+        expect(loaded.convergence).toBe(STEREO_DEFAULTS.convergence);
+        expect(loaded.quilt).toEqual({ ...STEREO_DEFAULTS.quilt, rows: 9 });
+
+        storage.setItem("janisa.stereo", "{nope");
+        expect(loadStereoSettings(storage)).toEqual(STEREO_DEFAULTS);
+    });
+});
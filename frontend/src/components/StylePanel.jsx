@@ -0,0 +1,228 @@
+import { useState, useRef } from "react";
+import {
+    listPresets, loadPreset, savePreset, deletePreset, isBuiltinPreset, attachPreset, listAttachments,
+    importPresets, downloadPresets,
+} from "./ShaderPresets";
+
+const controlStyle = {
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    padding: "6px 10px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    outline: "none",
+    fontFamily: "inherit",
+    fontSize: "0.8em",
+    letterSpacing: "1px"
+};
+
+const labelStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    color: "#ffcc00",
+    fontSize: "0.7em",
+    letterSpacing: "1px"
+};
+
+const rowStyle = { display: "flex", justifyContent: "center", alignItems: "center", gap: "10px", flexWrap: "wrap" };
+
+// One slider per HoloShader setting: [key, label, min, max, step]
+const SLIDERS = [
+    ["opacity", "OPACITY", 0, 1, 0.01],
+    ["glow", "GLOW", 0, 2, 0.01],
+    ["scanSpeed", "SCAN SPEED", 0, 10, 0.1],
+    ["scanDensity", "SCAN DENSITY", 0, 120, 1],
+    ["flicker", "FLICKER", 0, 1, 0.01],
+    ["proximity", "HAND GLOW", 0, 1, 0.01],
+];
+
+// The effects, each with an on / off toggle and its sliders, as above
+const EFFECTS = [
+    ["glitch", "GLITCH", [["glitchAmount", "TEAR", 0, 0.5, 0.01], ["glitchRate", "RATE", 0.5, 10, 0.1]]],
+    ["noise", "INTERFERENCE", [["noiseAmount", "AMOUNT", 0, 1, 0.01], ["noiseScale", "SCALE", 1, 30, 0.5]]],
+    ["aberration", "RGB SPLIT", [["aberrationAmount", "PIXELS", 0, 12, 0.5]]],
+    ["outline", "OUTLINE", [["outlineAmount", "AMOUNT", 0, 1, 0.01], ["outlineWidth", "WIDTH", 0.5, 4, 0.5]]],
+];
+
+// Drawn on the finished image (see ScreenEffects.js), which only the single view has
+const SINGLE_VIEW_EFFECTS = ["aberration", "outline"];
+
+function Slider({ shader, dragShader, endDrag, setting }) {
+    const [key, label, min, max, step] = setting;
+    return (
+        <label style={labelStyle}>
+            {label}
+            <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={shader[key]}
+                onChange={(e) => dragShader({ ...shader, [key]: Number(e.target.value) })}
+                onPointerUp={endDrag}
+                onBlur={endDrag}
+            />
+        </label>
+    );
+}
+
+// Live editor for the hologram's look (see HoloShader.js), with named presets that can be
+// saved, exported / imported as JSON, and attached to the open model (see ShaderPresets.js).
+// Sliders and the colour go through `dragShader` and call `endDrag` when let go, so a drag
+// is one step in the browser history; presets and toggles use `setShader`.
+// RGB split and outline are greyed out outside the single view, where they aren't drawn.
+export default function StylePanel({ shader, setShader, dragShader, endDrag, modelName, displayMode = "single" }) {
+    const [open, setOpen] = useState(false);
+    const [presets, setPresets] = useState(listPresets);
+    const [attachments, setAttachments] = useState(listAttachments);
+    const [name, setName] = useState("");
+    const [error, setError] = useState(null);
+    const fileRef = useRef(null);
+
+    const attached = attachments[modelName] || null;
+
+    function refresh() {
+        setPresets(listPresets());
+        setAttachments(listAttachments());
+    }
+
+    function apply(preset) {
+        setName(preset);
+        const style = loadPreset(preset);
+        if (style) setShader(style);
+    }
+
+    function handleSave() {
+        try {
+            setName(savePreset(name, shader));
+            setError(null);
+            refresh();
+        } catch (err) {
+            setError(err.message);
+        }
+    }
+
+    function handleDelete() {
+        const builtin = isBuiltinPreset(name);
+        if (!window.confirm(builtin ? `Restore the built-in ${name} style?` : `Delete style ${name}?`)) return;
+        deletePreset(name);
+        if (builtin) apply(name);
+        else setName("");
+        refresh();
+    }
+
+    function toggleAttached() {
+        attachPreset(modelName, attached ? null : name);
+        refresh();
+    }
+
+    function handleFile(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const names = importPresets(reader.result);
+                refresh();
+                setError(null);
+                if (names.length) apply(names[0]);
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    return (
+        <div style={{ marginTop: "10px", display: "flex", flexDirection: "column", alignItems: "center", gap: "8px" }}>
+            <button onClick={() => setOpen(!open)} title="Edit the hologram's look" style={controlStyle}>
+                {`◈ STYLE${open ? " ▴" : " ▾"}`}
+            </button>
+
+            {open && (
+                <>
+                    <div style={rowStyle}>
+                        <select value={presets.includes(name) ? name : ""} onChange={(e) => e.target.value && apply(e.target.value)} style={controlStyle}>
+                            <option value="">Presets…</option>
+                            {presets.map((p) => (
+                                <option key={p} value={p}>{p}{attachments[modelName] === p ? " ◈" : ""}</option>
+                            ))}
+                        </select>
+                        <label style={labelStyle}>
+                            COLOUR
+                            <input
+                                type="color"
+                                value={shader.color}
+                                onChange={(e) => dragShader({ ...shader, color: e.target.value })}
+                                onBlur={endDrag}
+                            />
+                        </label>
+                    </div>
+
+                    <div style={rowStyle}>
+                        {SLIDERS.map((setting) => (
+                            <Slider key={setting[0]} shader={shader} dragShader={dragShader} endDrag={endDrag} setting={setting} />
+                        ))}
+                    </div>
+
+                    {EFFECTS.map(([key, label, settings]) => {
+                        const unavailable = displayMode !== "single" && SINGLE_VIEW_EFFECTS.includes(key);
+                        return (
+                            <div key={key} style={rowStyle}>
+                                <button
+                                    onClick={() => setShader({ ...shader, [key]: !shader[key] })}
+                                    disabled={unavailable}
+                                    title={unavailable ? "Only drawn in the single view" : undefined}
+                                    style={{ ...controlStyle, opacity: unavailable ? 0.25 : shader[key] ? 1 : 0.5, cursor: unavailable ? "default" : "pointer" }}
+                                >
+                                    {`${label}: ${shader[key] ? "ON" : "OFF"}`}
+                                </button>
+                                {shader[key] && !unavailable && settings.map((setting) => (
+                                    <Slider key={setting[0]} shader={shader} dragShader={dragShader} endDrag={endDrag} setting={setting} />
+                                ))}
+                            </div>
+                        );
+                    })}
+
+                    <div style={rowStyle}>
+                        <input
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="preset name"
+                            style={{ ...controlStyle, cursor: "text", width: "130px" }}
+                        />
+                        <button onClick={handleSave} disabled={!name.trim()} style={controlStyle}>SAVE</button>
+                        {presets.includes(name) && (
+                            <button onClick={handleDelete} style={{ ...controlStyle, color: "#ff4136", borderColor: "#ff4136" }}>
+                                {isBuiltinPreset(name) ? "RESTORE" : "DELETE"}
+                            </button>
+                        )}
+                        {modelName && (attached || presets.includes(name)) && (
+                            <button
+                                onClick={toggleAttached}
+                                title={attached ? `${modelName} opens with ${attached}` : `Open ${modelName} with ${name}`}
+                                style={controlStyle}
+                            >
+                                {attached ? `DETACH ${attached.toUpperCase()}` : "USE FOR THIS MODEL"}
+                            </button>
+                        )}
+                        <button onClick={() => downloadPresets()} style={controlStyle}>EXPORT</button>
+                        <button onClick={() => fileRef.current.click()} style={controlStyle}>IMPORT</button>
+                        <input
+                            ref={fileRef}
+                            type="file"
+                            accept=".json,application/json"
+                            onChange={(e) => {
+                                handleFile(e.target.files[0]);
+                                e.target.value = "";
+                            }}
+                            style={{ display: "none" }}
+                        />
+                    </div>
+                    {error && <div style={{ color: "#ff4136", fontSize: "0.8em" }}>{error}</div>}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,103 @@
+import { useState, useEffect } from "react";
+import { getHandTracker, TRACKER_STATES } from "./HandTracker";
+
+const DETECTION_RATES = [10, 15, 30, 60];
+
+const controlStyle = {
+    background: "rgba(0, 0, 0, 0.5)",
+    border: "1px solid #ffcc00",
+    color: "#ffcc00",
+    padding: "6px 10px",
+    borderRadius: "8px",
+    cursor: "pointer",
+    outline: "none",
+    fontFamily: "inherit",
+    fontSize: "0.8em",
+    letterSpacing: "1px",
+    maxWidth: "220px"
+};
+
+// Camera picker, detection rate and pause / resume for the shared hand tracker.
+export default function TrackerControls({ disabled = false }) {
+    const tracker = getHandTracker();
+    const [state, setState] = useState(tracker.state);
+    const [cameras, setCameras] = useState([]);
+    const [cameraId, setCameraId] = useState(tracker.cameraId || "");
+    const [detectionFps, setDetectionFps] = useState(tracker.detectionFps);
+
+    useEffect(() => {
+        let cancelled = false;
+        function refreshCameras() {
+            tracker.listCameras()
+                .then((list) => !cancelled && setCameras(list))
+                .catch((err) => console.warn("Could not list cameras:", err));
+        }
+
+        const unsubscribe = tracker.subscribe((next) => {
+            setState(next);
+            // Device labels only become readable once the camera is allowed
+            if (next === TRACKER_STATES.RUNNING) refreshCameras();
+        });
+        refreshCameras();
+
+        const devices = navigator.mediaDevices;
+        if (devices && devices.addEventListener) devices.addEventListener("devicechange", refreshCameras);
+        return () => {
+            cancelled = true;
+            unsubscribe();
+            if (devices && devices.removeEventListener) devices.removeEventListener("devicechange", refreshCameras);
+        };
+    }, [tracker]);
+
+    function changeCamera(id) {
+        setCameraId(id);
+        tracker.setCamera(id);
+    }
+
+    function changeDetectionFps(fps) {
+        setDetectionFps(fps);
+        tracker.setDetectionFps(fps);
+    }
+
+    const running = state === TRACKER_STATES.RUNNING;
+    const paused = state === TRACKER_STATES.PAUSED;
+    // The worker couldn't start (see the console for why), so detection shares the render thread
+    const onMainThread = (running || paused) && tracker.backend === "main";
+
+    return (
+        <div style={{ marginTop: "10px", display: "flex", justifyContent: "center", gap: "10px", flexWrap: "wrap", opacity: disabled ? 0.5 : 1 }}>
+            <select value={cameraId} onChange={(e) => changeCamera(e.target.value)} disabled={disabled} style={controlStyle}>
+                <option value="">Default camera</option>
+                {cameras.map((cam) => (
+                    <option key={cam.deviceId} value={cam.deviceId}>{cam.label}</option>
+                ))}
+            </select>
+            <select
+                value={detectionFps}
+                onChange={(e) => changeDetectionFps(Number(e.target.value))}
+                disabled={disabled}
+                title="How often hands are detected; lower eases the load on slower machines"
+                style={controlStyle}
+            >
+                {DETECTION_RATES.map((fps) => (
+                    <option key={fps} value={fps}>Detect {fps}/s</option>
+                ))}
+            </select>
+            <button
+                onClick={() => (paused ? tracker.resume() : tracker.pause())}
+                disabled={disabled || !(running || paused)}
+                style={controlStyle}
+            >
+                {paused ? "▶ RESUME TRACKING" : "❚❚ PAUSE TRACKING"}
+            </button>
+            {onMainThread && (
+                <span
+                    title="The detection worker couldn't start, so hands are detected on the render thread; lower the detection rate if the view stutters"
+                    style={{ ...controlStyle, cursor: "default", borderColor: "#ff851b", color: "#ff851b" }}
+                >
+                    ⚠ MAIN THREAD
+                </span>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,155 @@
+// TrajectoryGestures.js
+// Dynamic gestures recognized from the palm's path over the last ~1.5s:
+// - SWIPE_LEFT / SWIPE_RIGHT / SWIPE_UP / SWIPE_DOWN: a fast, mostly straight stroke
+// - CIRCLE_CW / CIRCLE_CCW: the palm sweeps (almost) a full turn around a centre
+// - PUSH: the palm moves toward the camera
+//
+// PUSH doesn't come from landmark depth, though that's how it was first asked for:
+// MediaPipe measures each landmark's z from the wrist, so no z says how near the hand
+// is. The approach is read from the palm's apparent size, which grows as it nears the
+// camera; the MCPs' z moving ahead of the wrist (fingers tipping forward) adds to it.
+//
+// Directions are from the user's point of view: the camera image is mirrored.
+//
+// Usage:
+//   const trajectories = createTrajectoryRecognizer();
+//   const event = trajectories.update(frame); // "SWIPE_LEFT" | ... | null
+//   if (event) runCommand(DEFAULT_TRAJECTORY_BINDINGS[event]);
+
+export const TRAJECTORY_CONFIG = {
+    BUFFER_MS: 1500,
+    COOLDOWN_MS: 700,
+    MIRROR: true,
+
+    SWIPE_MAX_MS: 300,
+    SWIPE_MIN_DIST: 0.3,
+    SWIPE_MAX_CROSS_RATIO: 0.5,
+
+    CIRCLE_MIN_SWEEP: 1.7 * Math.PI,
+    CIRCLE_MIN_RADIUS: 0.04,
+    CIRCLE_MAX_RADIUS_SPREAD: 0.6,
+
+    PUSH_MAX_MS: 500,
+    PUSH_MIN_GROWTH: 1.25,
+    PUSH_MAX_DRIFT: 0.08,
+};
+
+// Gesture -> command string (see CommandParser.js)
+export const DEFAULT_TRAJECTORY_BINDINGS = {
+    SWIPE_LEFT: "previous model",
+    SWIPE_RIGHT: "next model",
+    SWIPE_UP: "snap rotate up",
+    SWIPE_DOWN: "snap rotate down",
+    CIRCLE_CW: "snap rotate right",
+    CIRCLE_CCW: "snap rotate left",
+    PUSH: "autospin toggle",
+};
+
+// Palm centre and size from wrist, index MCP and pinky MCP; z from the MCPs' depth vs the wrist
+function palmSample(hand, t) {
+    const lm = hand.raw;
+    const w = lm[0], i = lm[5], m = lm[9], p = lm[17];
+    return {
+        x: (w.x + i.x + p.x) / 3,
+        y: (w.y + i.y + p.y) / 3,
+        z: ((i.z || 0) + (p.z || 0)) / 2 - (w.z || 0),
+        size: Math.hypot(m.x - w.x, m.y - w.y),
+        t,
+    };
+}
+
+function detectSwipe(buf, c) {
+    const last = buf[buf.length - 1];
+    // Longest recent stroke inside the swipe window
+    for (let k = 0; k < buf.length - 1; k++) {
+        const first = buf[k];
+        if (last.t - first.t > c.SWIPE_MAX_MS) continue;
+        const dx = last.x - first.x;
+        const dy = last.y - first.y;
+        const ax = Math.abs(dx), ay = Math.abs(dy);
+        if (ax >= c.SWIPE_MIN_DIST && ay <= ax * c.SWIPE_MAX_CROSS_RATIO) {
+            const towardImageLeft = dx < 0;
+            return towardImageLeft === c.MIRROR ? "SWIPE_RIGHT" : "SWIPE_LEFT";
+        }
+        if (ay >= c.SWIPE_MIN_DIST && ax <= ay * c.SWIPE_MAX_CROSS_RATIO) {
+            return dy < 0 ? "SWIPE_UP" : "SWIPE_DOWN";
+        }
+        return null;
+    }
+    return null;
+}
+
+function detectCircle(buf, c) {
+    if (buf.length < 12) return null;
+    const cx = buf.reduce((a, s) => a + s.x, 0) / buf.length;
+    const cy = buf.reduce((a, s) => a + s.y, 0) / buf.length;
+
+    const radii = buf.map((s) => Math.hypot(s.x - cx, s.y - cy));
+    const r = radii.reduce((a, v) => a + v, 0) / radii.length;
+    if (r < c.CIRCLE_MIN_RADIUS) return null;
+    const spread = (Math.max(...radii) - Math.min(...radii)) / r;
+    if (spread > c.CIRCLE_MAX_RADIUS_SPREAD) return null;
+
+    let sweep = 0;
+    let prev = Math.atan2(buf[0].y - cy, buf[0].x - cx);
+    for (let k = 1; k < buf.length; k++) {
+        const a = Math.atan2(buf[k].y - cy, buf[k].x - cx);
+        let d = a - prev;
+        if (d > Math.PI) d -= 2 * Math.PI;
+        if (d < -Math.PI) d += 2 * Math.PI;
+        sweep += d;
+        prev = a;
+    }
+    if (Math.abs(sweep) < c.CIRCLE_MIN_SWEEP) return null;
+
+    // Image y points down, so a growing angle is clockwise on screen
+    const clockwiseInImage = sweep > 0;
+    return clockwiseInImage === c.MIRROR ? "CIRCLE_CCW" : "CIRCLE_CW";
+}
+
+function detectPush(buf, c) {
+    const last = buf[buf.length - 1];
+    for (let k = 0; k < buf.length - 1; k++) {
+        const first = buf[k];
+        if (last.t - first.t > c.PUSH_MAX_MS) continue;
+        const drift = Math.hypot(last.x - first.x, last.y - first.y);
+        // Fingers tilting toward the camera also push the MCPs' z ahead of the wrist
+        const growth = (last.size / (first.size || 1)) * (1 + Math.max(0, first.z - last.z));
+        if (growth >= c.PUSH_MIN_GROWTH && drift <= c.PUSH_MAX_DRIFT) return "PUSH";
+        return null;
+    }
+    return null;
+}
+
+export function createTrajectoryRecognizer(config = TRAJECTORY_CONFIG) {
+    let buf = [];
+    let cooldownUntil = -Infinity;
+
+    return {
+        update(frame) {
+            const hand = (frame.hands || [])[0];
+            if (!hand || !hand.raw) {
+                buf = [];
+                return null;
+            }
+
+            const t = frame.time;
+            buf.push(palmSample(hand, t));
+            while (buf.length && t - buf[0].t > config.BUFFER_MS) buf.shift();
+            if (t < cooldownUntil || buf.length < 3) return null;
+
+            const event = detectPush(buf, config) || detectSwipe(buf, config) || detectCircle(buf, config);
+            if (event) {
+                cooldownUntil = t + config.COOLDOWN_MS;
+                buf = [];
+            }
+            return event;
+        },
+
+        clear() {
+            buf = [];
+        },
+    };
+}
+
+export default createTrajectoryRecognizer;
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import createTrajectoryRecognizer, { TRAJECTORY_CONFIG, DEFAULT_TRAJECTORY_BINDINGS } from "./TrajectoryGestures";
+import parseCommand from "./CommandParser";
+import swipeRight from "./__fixtures__/hands/swipe-right.json";
+import circleCw from "./__fixtures__/hands/circle-cw.json";
+import push from "./__fixtures__/hands/push.json";
+import palmDrag from "./__fixtures__/hands/palm-drag.json";
+import staticPoses from "./__fixtures__/hands/static-poses.json";
+
+function events(recording, recognizer = createTrajectoryRecognizer()) {
+    return recording.frames.map((frame) => recognizer.update(frame)).filter(Boolean);
+}
+
+describe("createTrajectoryRecognizer", () => {
+    it("recognizes a swipe in the user's direction (mirrored camera)", () => {
+        expect(events(swipeRight)).toEqual(["SWIPE_RIGHT"]);
+        expect(events(swipeRight, createTrajectoryRecognizer({ ...TRAJECTORY_CONFIG, MIRROR: false }))).toEqual(["SWIPE_LEFT"]);
+    });
+
+    it("recognizes a circle", () => {
+        expect(events(circleCw)).toEqual(["CIRCLE_CW"]);
+    });
+
+    it("recognizes a push toward the camera", () => {
+        expect(events(push)).toEqual(["PUSH"]);
+    });
+
+    it("doesn't fire on a palm drag or static poses", () => {
+        expect(events(palmDrag)).toEqual([]);
+        expect(events(staticPoses)).toEqual([]);
+    });
+
+    it("waits out the cooldown before the next event", () => {
+        const recognizer = createTrajectoryRecognizer();
+        const first = events(swipeRight, recognizer);
+        // Replayed straight away: the frame times are inside the cooldown window
+        const again = events(swipeRight, recognizer);
+        const later = events({ frames: swipeRight.frames.map((f) => ({ ...f, time: f.time + 2000 })) }, recognizer);
+        expect([first, again, later]).toEqual([["SWIPE_RIGHT"], [], ["SWIPE_RIGHT"]]);
+    });
+
+    it("binds every trajectory to a valid command", () => {
+        for (const text of Object.values(DEFAULT_TRAJECTORY_BINDINGS)) {
+            expect(parseCommand(text).errors).toEqual([]);
+        }
+    });
+});
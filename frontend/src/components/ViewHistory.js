@@ -0,0 +1,179 @@
+// ViewHistory.js
+// Undo / redo over the poses the model settles in, and named viewpoints kept per model.
+// - a pose is { rotation: { x, y, z }, position: { x, y, z }, scale }, which is also an
+//   InputManager intent, so jumping back is one submit
+// - a pose is recorded once the input target has stayed put for SETTLE_MS, so a drag or a
+//   gesture becomes one step rather than one per frame
+// - undo / redo move through the recorded poses; recording after an undo drops the redo branch
+// - viewpoints are saved in localStorage under the model's file name, so they survive
+//   switching models and reloads
+//
+// Usage:
+//   const history = createViewHistory();
+//   history.record(capturePose(input), now);                  // per animation frame
+//   history.undo((pose) => input.submit("voice", pose));      // moves only if the pose was applied
+//   saveViewpoint(modelKey(url), "front", capturePose(input));
+//   input.submit("voice", loadViewpoint(modelKey(url), "front"));
+
+export const HISTORY_CONFIG = {
+    SETTLE_MS: 600,
+    MAX_ENTRIES: 50,
+    // How long HoloViewer animates a jump to an undone / redone pose or a viewpoint
+    TRANSITION_MS: 900,
+};
+
+const STORAGE_KEY = "janisa.viewpoints";
+const EPSILON = 1e-4;
+
+const vec = (v) => ({ x: v.x, y: v.y, z: v.z });
+
+/**
+ * The input manager's current target as a plain pose.
+ */
+export function capturePose(input) {
+    return { rotation: vec(input.rotation), position: vec(input.position), scale: input.scale };
+}
+
+export function samePose(a, b) {
+    if (!a || !b) return false;
+    const close = (p, q) => Math.abs(p - q) < EPSILON;
+    return close(a.scale, b.scale)
+        && ["x", "y", "z"].every((k) => close(a.rotation[k], b.rotation[k]) && close(a.position[k], b.position[k]));
+}
+
+export function createViewHistory(config = HISTORY_CONFIG) {
+    let entries = [];
+    let index = -1; // the entry the model is at
+    let pending = null; // { pose, since } while the target may still be moving
+
+    function step(by, apply) {
+        const next = index + by;
+        if (next < 0 || next >= entries.length) return false;
+        if (!apply(entries[next])) return false;
+        index = next;
+        pending = null;
+        return true;
+    }
+
+    return {
+        /**
+         * Feeds the current pose; it is recorded once it has settled. `now` in ms.
+         */
+        record(pose, now = performance.now()) {
+            if (index < 0) {
+                entries = [pose];
+                index = 0;
+                return;
+            }
+            if (samePose(pose, entries[index])) {
+                pending = null;
+                return;
+            }
+            if (!pending || !samePose(pose, pending.pose)) {
+                pending = { pose, since: now };
+                return;
+            }
+            if (now - pending.since < config.SETTLE_MS) return;
+
+            entries = entries.slice(0, index + 1);
+            entries.push(pose);
+            if (entries.length > config.MAX_ENTRIES) entries.shift();
+            index = entries.length - 1;
+            pending = null;
+        },
+
+        /**
+         * Calls `apply(pose)` with the previous pose and steps back if it returns true.
+         * Returns whether it stepped.
+         */
+        undo(apply) {
+            return step(-1, apply);
+        },
+
+        redo(apply) {
+            return step(1, apply);
+        },
+
+        // Forgets everything, e.g. when the model changes
+        clear() {
+            entries = [];
+            index = -1;
+            pending = null;
+        },
+
+        // The recorded pose the model is at, or null
+        get current() {
+            return index < 0 ? null : entries[index];
+        },
+
+        get canUndo() {
+            return index > 0;
+        },
+
+        get canRedo() {
+            return index < entries.length - 1;
+        },
+    };
+}
+
+// ================================
+// Viewpoints (localStorage)
+// ================================
+
+/**
+ * The name viewpoints are stored under for a model URL: its file name.
+ */
+export function modelKey(url) {
+    return url ? decodeURIComponent(url.split("/").pop().split("?")[0]) : null;
+}
+
+function readStore(storage) {
+    try {
+        const data = JSON.parse(storage.getItem(STORAGE_KEY));
+        if (data && typeof data === "object") return data;
+    } catch (err) {
+        console.warn("Ignoring unreadable viewpoints:", err);
+    }
+    return {};
+}
+
+function writeStore(storage, data) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
+
+export function listViewpoints(model, storage = globalThis.localStorage) {
+    return Object.keys(readStore(storage)[model] || {}).sort();
+}
+
+/**
+ * Returns the pose saved as `name` for `model`, or null.
+ */
+export function loadViewpoint(model, name, storage = globalThis.localStorage) {
+    const views = readStore(storage)[model];
+    const view = views && views[name];
+    return view ? { rotation: view.rotation, position: view.position, scale: view.scale } : null;
+}
+
+/**
+ * Saves `pose` as `name` for `model`, replacing any viewpoint of that name.
+ */
+export function saveViewpoint(model, name, pose, storage = globalThis.localStorage) {
+    const trimmed = (name || "").trim();
+    if (!model) throw new Error("A viewpoint needs a model");
+    if (!trimmed) throw new Error("A viewpoint needs a name");
+
+    const data = readStore(storage);
+    data[model] = { ...data[model], [trimmed]: { ...pose, savedAt: new Date().toISOString() } };
+    writeStore(storage, data);
+    return trimmed;
+}
+
+export function deleteViewpoint(model, name, storage = globalThis.localStorage) {
+    const data = readStore(storage);
+    if (!data[model]) return;
+    delete data[model][name];
+    if (!Object.keys(data[model]).length) delete data[model];
+    writeStore(storage, data);
+}
+
+export default createViewHistory;
@@ -0,0 +1,132 @@
+import { describe, it, expect } from "vitest";
+import createViewHistory, {
+    HISTORY_CONFIG,
+    capturePose,
+    samePose,
+    modelKey,
+    listViewpoints,
+    loadViewpoint,
+    saveViewpoint,
+    deleteViewpoint,
+} from "./ViewHistory";
+import createInputManager from "./InputManager";
+import memoryStorage from "./__fixtures__/memoryStorage";
+
+const SETTLE = HISTORY_CONFIG.SETTLE_MS;
+
+// Feeds the input's pose until it settles
+function settle(history, input, now) {
+    history.record(capturePose(input), now);
+    history.record(capturePose(input), now + SETTLE);
+    return now + SETTLE;
+}
+
+describe("createViewHistory", () => {
+    it("records settled poses only", () => {
+        const input = createInputManager();
+        const history = createViewHistory();
+        history.record(capturePose(input), 0);
+        expect(history.canUndo).toBe(false);
+
+        // A drag: many poses, none held long enough
+        for (let i = 1; i <= 10; i++) {
+            input.submit("pointer", { orbit: { y: 0.1 } });
+            history.record(capturePose(input), i * 16);
+        }
+        expect(history.canUndo).toBe(false);
+        settle(history, input, 200);
+        expect(history.canUndo).toBe(true);
+
+        const poses = [];
+        history.undo((pose) => poses.push(pose));
+        expect(poses[0].rotation.y).toBe(0);
+        expect(history.canUndo).toBe(false);
+    });
+
+    it("undoes and redoes through the input manager, dropping the redo branch on a new pose", () => {
+        const input = createInputManager();
+        const history = createViewHistory();
+        const apply = (pose) => input.submit("voice", pose, 0);
+        let now = settle(history, input, 0);
+        input.submit("voice", { scale: 2 }, now);
+        now = settle(history, input, now);
+        input.submit("voice", { position: { x: 0.5 } }, now);
+        now = settle(history, input, now);
+
+        expect(history.undo(apply)).toBe(true);
+        expect(input.position.x).toBe(0);
+        expect(input.scale).toBe(2);
+        // Landing on the undone pose doesn't record it again
+        now = settle(history, input, now);
+        expect(history.canRedo).toBe(true);
+
+        expect(history.undo(apply)).toBe(true);
+        expect(input.scale).toBe(1);
+        expect(history.undo(apply)).toBe(false);
+        expect(history.redo(apply)).toBe(true);
+        expect(input.scale).toBe(2);
+
+        input.submit("voice", { rotation: { x: 1 } }, now);
+        settle(history, input, now);
+        expect(history.canRedo).toBe(false);
+    });
+
+    it("stays put when the pose can't be applied", () => {
+        const input = createInputManager();
+        const history = createViewHistory();
+        let now = settle(history, input, 0);
+        input.submit("voice", { scale: 2 }, now);
+        settle(history, input, now);
+
+        expect(history.undo(() => false)).toBe(false);
+        expect(history.canRedo).toBe(false);
+    });
+
+    it("keeps at most MAX_ENTRIES poses and forgets them on clear", () => {
+        const input = createInputManager();
+        const history = createViewHistory({ ...HISTORY_CONFIG, MAX_ENTRIES: 3 });
+        let now = settle(history, input, 0);
+        for (let i = 1; i <= 5; i++) {
+            input.submit("voice", { position: { x: i / 10 } }, now);
+            now = settle(history, input, now);
+        }
+        const apply = (pose) => input.submit("voice", pose, now);
+        expect(history.undo(apply) && history.undo(apply)).toBe(true);
+        expect(history.undo(apply)).toBe(false);
+        expect(input.position.x).toBeCloseTo(0.3);
+
+        history.clear();
+        expect(history.canUndo || history.canRedo).toBe(false);
+    });
+});
+
+describe("viewpoints", () => {
+    it("are saved per model file and restored as an input intent", () => {
+        const storage = memoryStorage();
+        const input = createInputManager();
+        input.submit("voice", { rotation: { y: 1.2 }, position: { x: 0.3 }, scale: 1.5 });
+        const engine = modelKey("http://localhost:8000/model-files/engine%20v2.glb?t=1");
+        expect(engine).toBe("engine v2.glb");
+
+        expect(saveViewpoint(engine, " front ", capturePose(input), storage)).toBe("front");
+        saveViewpoint(engine, "top", capturePose(createInputManager()), storage);
+        saveViewpoint("car.glb", "front", capturePose(createInputManager()), storage);
+        expect(listViewpoints(engine, storage)).toEqual(["front", "top"]);
+
+        const restored = createInputManager();
+        restored.submit("voice", loadViewpoint(engine, "front", storage));
+        expect(samePose(capturePose(restored), capturePose(input))).toBe(true);
+        expect(loadViewpoint("car.glb", "front", storage).scale).toBe(1);
+
+        deleteViewpoint(engine, "front", storage);
+        expect(loadViewpoint(engine, "front", storage)).toBe(null);
+        expect(listViewpoints(engine, storage)).toEqual(["top"]);
+        expect(() => saveViewpoint(engine, " ", capturePose(input), storage)).toThrow();
+    });
+
+    it("ignores corrupt storage", () => {
+        const storage = memoryStorage();
+        storage.setItem("janisa.viewpoints", "{nope");
+        expect(listViewpoints("car.glb", storage)).toEqual([]);
+    });
+});
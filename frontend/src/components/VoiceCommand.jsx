@@ -1,22 +1,48 @@
 import { useState, useEffect, useRef } from "react";
+import parseCommand, { describeCommands } from "./CommandParser";
+import interpretSpeech, { DEFAULT_GRAMMAR, DEFAULT_WAKE_WORDS, stripWakeWord } from "./VoiceGrammar";
+import { speak, isSpeaking } from "./VoiceFeedback";
 
 const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
 
-function parseCommand(transcript) {
-    const text = transcript.toLowerCase();
-    if (text.includes("rotate left")) return "rotate left 90";
-    if (text.includes("rotate right")) return "rotate right 90";
-    if (text.includes("rotate up")) return "rotate up 90";
-    if (text.includes("rotate down")) return "rotate down 90";
-    if (text.includes("scale up")) return "scale 2";
-    if (text.includes("scale down")) return "scale 0.5";
-    if (text.includes("reset")) return "reset";
-    return null;
+const ACTIVATION_MODES = {
+    wake: "Wake word",
+    push: "Hold to talk",
+    always: "Always on",
+};
+
+// After the wake word is said on its own, the next utterance is taken as a command
+const WAKE_WINDOW_MS = 5000;
+
+function isTyping(e) {
+    const t = e.target;
+    return t && (t.tagName === "INPUT" || t.tagName === "TEXTAREA" || t.tagName === "SELECT" || t.isContentEditable);
+}
+
+function keyLabel(code) {
+    return code.replace(/^Key/, "").replace(/^Digit/, "");
 }
 
-export default function VoiceCommand({ onCommand }) {
+export default function VoiceCommand({
+    onCommand,
+    onFeedback = null,
+    grammar = DEFAULT_GRAMMAR,
+    // Recognition and spoken feedback language. DEFAULT_GRAMMAR is English only; pass a
+    // `grammar` written for any other language
+    lang = "en-US",
+    wakeWords = DEFAULT_WAKE_WORDS,
+    pushKey = "Space",
+    speakFeedback = true,
+}) {
+    const [mode, setMode] = useState("wake");
     const [status, setStatus] = useState("idle"); // idle, listening, processing
     const recognitionRef = useRef(null);
+    const activeRef = useRef(false); // whether the mic should stay live
+    const handlersRef = useRef({ onCommand, onFeedback });
+
+    useEffect(() => {
+        handlersRef.current = { onCommand, onFeedback };
+    }, [onCommand, onFeedback]);
 
     useEffect(() => {
         if (!SpeechRecognition) {
@@ -27,71 +53,190 @@ export default function VoiceCommand({ onCommand }) {
         const recognition = new SpeechRecognition();
         recognition.continuous = true;
         recognition.interimResults = true;
-        recognition.lang = "en-US";
+        recognition.lang = lang;
+        recognition.maxAlternatives = grammar.maxAlternatives || 1;
 
-        recognition.onresult = (event) => {
-            setStatus("processing");
-            let final_transcript = '';
-            for (let i = event.resultIndex; i < event.results.length; ++i) {
-                if (event.results[i].isFinal) {
-                    final_transcript += event.results[i][0].transcript;
+        let armedUntil = 0;
+
+        function report(message, kind, say) {
+            const { onFeedback } = handlersRef.current;
+            if (onFeedback) onFeedback(message, kind);
+            if (say && speakFeedback) speak(message, { lang });
+        }
+
+        function handleFinal(alternatives) {
+            let candidates = alternatives;
+
+            if (mode === "wake" && performance.now() > armedUntil) {
+                candidates = alternatives
+                    .map((a) => ({ transcript: stripWakeWord(a.transcript, wakeWords, grammar.fillers), confidence: a.confidence }))
+                    .filter((a) => a.transcript !== null);
+                // Not addressed to us
+                if (!candidates.length) return;
+                if (candidates.every((a) => !a.transcript)) {
+                    armedUntil = performance.now() + WAKE_WINDOW_MS;
+                    report("Yes?", "info", true);
+                    return;
                 }
             }
+            armedUntil = 0;
 
-            if (final_transcript) {
-                const commandText = parseCommand(final_transcript);
-                if (commandText) {
-                    onCommand(commandText);
-                }
+            const match = interpretSpeech(candidates, grammar);
+            if (!match) {
+                // In always-on mode most unmatched speech isn't meant for us; keep it on the HUD only
+                report(`Sorry, I didn't understand "${alternatives[0].transcript.trim()}"`, "error", mode !== "always");
+                return;
             }
+
+            const result = parseCommand(match.command);
+            // Clauses that parsed but couldn't be carried out, e.g. an unknown style
+            const failed = handlersRef.current.onCommand(result) || [];
+            if (failed.length) report(failed.map((e) => e.message).join(", "), "error", true);
+            else report(describeCommands(result.commands), "ok", true);
+        }
+
+        recognition.onresult = (event) => {
+            if (isSpeaking()) return;
+            setStatus("processing");
+            for (let i = event.resultIndex; i < event.results.length; ++i) {
+                if (!event.results[i].isFinal) continue;
+                const alternatives = Array.from(event.results[i]).map((a) => ({ transcript: a.transcript, confidence: a.confidence }));
+                handleFinal(alternatives);
+            }
+            setStatus(activeRef.current ? "listening" : "idle");
         };
 
         recognition.onerror = (event) => {
+            if (event.error === "no-speech" || event.error === "aborted") return;
             console.error("Speech recognition error:", event.error);
+            if (event.error === "not-allowed") activeRef.current = false;
             setStatus("idle");
         };
-        
+
         recognition.onend = () => {
+            // Browsers end continuous sessions after a stretch of silence
+            if (activeRef.current && mode !== "push") {
+                try {
+                    recognition.start();
+                    return;
+                } catch (error) {
+                    console.error("Could not restart speech recognition:", error);
+                }
+            }
+            activeRef.current = false;
             setStatus("idle");
         };
 
         recognitionRef.current = recognition;
 
-    }, [onCommand]);
+        return () => {
+            activeRef.current = false;
+            recognition.onend = null;
+            recognition.abort();
+        };
+    }, [mode, lang, grammar, wakeWords, speakFeedback]);
 
-    function toggleListening() {
-        if (status === "listening") {
-            recognitionRef.current.stop();
-            setStatus("idle");
-        } else {
+    function startListening() {
+        if (activeRef.current) return;
+        try {
+            activeRef.current = true;
+            recognitionRef.current.start();
+            setStatus("listening");
+        } catch (error) {
+            activeRef.current = false;
+            console.error("Could not start speech recognition:", error);
+        }
+    }
+
+    function stopListening() {
+        activeRef.current = false;
+        // stop() (not abort()) so the last utterance is still delivered
+        recognitionRef.current.stop();
+        setStatus("idle");
+    }
+
+    // Hold-to-talk on the keyboard
+    useEffect(() => {
+        if (!SpeechRecognition || mode !== "push") return;
+
+        function onKeyDown(e) {
+            if (e.code !== pushKey || e.repeat || isTyping(e) || activeRef.current) return;
+            e.preventDefault();
+            activeRef.current = true;
             try {
                 recognitionRef.current.start();
                 setStatus("listening");
             } catch (error) {
+                activeRef.current = false;
                 console.error("Could not start speech recognition:", error);
             }
         }
+
+        function onKeyUp(e) {
+            if (e.code !== pushKey || !activeRef.current) return;
+            activeRef.current = false;
+            recognitionRef.current.stop();
+            setStatus("idle");
+        }
+
+        window.addEventListener("keydown", onKeyDown);
+        window.addEventListener("keyup", onKeyUp);
+        return () => {
+            window.removeEventListener("keydown", onKeyDown);
+            window.removeEventListener("keyup", onKeyUp);
+        };
+    }, [mode, pushKey]);
+
+    function toggleListening() {
+        if (status === "listening") stopListening();
+        else startListening();
+    }
+
+    function changeMode(next) {
+        setStatus("idle");
+        setMode(next);
     }
 
     if (!SpeechRecognition) {
         return <div style={{ marginTop: "10px", color: "#aaa" }}>Voice commands not supported in this browser.</div>;
     }
-    
+
     const getButtonText = () => {
         switch (status) {
             case "listening":
-                return "Listening...";
+                return mode === "wake" ? `Say "${wakeWords[0]}..."` : "Listening...";
             case "processing":
                 return "Processing...";
             default:
-                return "Voice Command";
+                return mode === "push" ? `Hold ${keyLabel(pushKey)} to talk` : "Voice Command";
         }
     }
 
+    const pushHandlers = mode === "push"
+        ? { onPointerDown: startListening, onPointerUp: stopListening, onPointerLeave: () => activeRef.current && stopListening() }
+        : { onClick: toggleListening };
+
     return (
-        <div style={{ marginTop: "10px" }}>
+        <div style={{ marginTop: "10px", display: "flex", justifyContent: "center", gap: "10px" }}>
+            <select
+                value={mode}
+                onChange={(e) => changeMode(e.target.value)}
+                style={{
+                    background: "rgba(0, 0, 0, 0.5)",
+                    border: "1px solid #ffcc00",
+                    color: "#ffcc00",
+                    padding: "6px 10px",
+                    borderRadius: "8px",
+                    outline: "none",
+                    fontFamily: "inherit"
+                }}
+            >
+                {Object.entries(ACTIVATION_MODES).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                ))}
+            </select>
             <button
-                onClick={toggleListening}
+                {...pushHandlers}
                 disabled={status === "processing"}
                 style={{
                     background: status === "listening" ? "#ff4136" : "#ffcc00",
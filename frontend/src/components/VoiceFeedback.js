@@ -0,0 +1,35 @@
+// VoiceFeedback.js
+// Spoken confirmations through the SpeechSynthesis API.
+// VoiceCommand asks isSpeaking() before acting on a result so the recognizer
+// doesn't execute (or complain about) its own confirmations.
+
+const synth = typeof window !== "undefined" ? window.speechSynthesis : null;
+
+// Recognizers often deliver the tail of our own utterance just after it ends
+const ECHO_GRACE_MS = 500;
+
+let lastSpokenEnd = 0;
+
+function pickVoice(lang) {
+    const voices = synth.getVoices();
+    return voices.find((v) => v.lang === lang) || voices.find((v) => v.lang.startsWith(lang.split("-")[0])) || null;
+}
+
+export function speak(text, { lang = "en-US", rate = 1.05 } = {}) {
+    if (!synth || !text) return;
+    synth.cancel();
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = lang;
+    utterance.rate = rate;
+    utterance.voice = pickVoice(lang);
+    utterance.onend = () => { lastSpokenEnd = performance.now(); };
+    synth.speak(utterance);
+}
+
+export function isSpeaking() {
+    if (!synth) return false;
+    return synth.speaking || synth.pending || performance.now() - lastSpokenEnd < ECHO_GRACE_MS;
+}
+
+export default speak;
@@ -0,0 +1,328 @@
+// VoiceGrammar.js
+// Turns spoken transcripts into the command strings understood by CommandParser.
+// - spoken numbers ("forty five", "forty-five", "one hundred and twenty", "two point five",
+//   "minus three"); digits read one by one ("four five") join up into one number
+// - fractions and ordinals ("a half", "three quarters", "two thirds", "one and a half",
+//   "a third of a turn")
+// - filler words ("um", "please", "could you") are dropped
+// - a configurable phrase table rewrites casual speech ("make it twice as big", "zoom in a bit")
+// - recognition alternatives are tried in order, skipping those under a confidence threshold
+//
+// Usage:
+//   import interpretSpeech from "./VoiceGrammar";
+//   const match = interpretSpeech(Array.from(event.results[i]));
+//   if (match) onCommand(parseCommand(match.command));
+
+import parseCommand, { COLOR_NAMES } from "./CommandParser";
+
+const UNITS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+};
+
+const TENS = {
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+};
+
+const SCALES = { hundred: 100, thousand: 1000 };
+
+// Ordinals used as denominators: "a third", "three quarters", "two fifths"
+export const ORDINALS = {
+    half: 2, halves: 2,
+    third: 3, thirds: 3,
+    quarter: 4, quarters: 4, fourth: 4, fourths: 4,
+    fifth: 5, fifths: 5, sixth: 6, sixths: 6, seventh: 7, sevenths: 7,
+    eighth: 8, eighths: 8, ninth: 9, ninths: 9, tenth: 10, tenths: 10,
+};
+
+const MULTIPLES = { twice: 2, thrice: 3 };
+
+const SIGNS = { minus: -1, negative: -1 };
+
+export const DEFAULT_FILLERS = [
+    "um", "umm", "uh", "uhh", "er", "erm", "hmm", "ah",
+    "please", "okay", "ok", "hey", "just", "now",
+    "could you", "can you", "would you", "will you",
+    "i want you to", "i'd like you to", "go ahead and",
+];
+
+const SMALL_ROTATE_DEG = 15;
+const SMALL_MOVE = 0.2;
+const SMALL_SCALE_UP = 1.25;
+const SMALL_SCALE_DOWN = 0.8;
+
+const NUM = "(-?\\d+(?:\\.\\d+)?)";
+const COLOR = `(${Object.keys(COLOR_NAMES).join("|")})`;
+
+// Ordered rewrite rules applied after fillers are removed and numbers are digits.
+// Each rule is { pattern: RegExp, replace: string | function } as for String.replace.
+export const DEFAULT_PHRASES = [
+    { pattern: /\bper cent\b/g, replace: "percent" },
+    { pattern: /\b(?:a (?:little )?bit|a little|a touch|a tad)\b/g, replace: "slightly" },
+
+    // Turns as a unit of angle: "a quarter turn", "1.5 turns", "a third of a turn", "half a turn"
+    { pattern: new RegExp(`\\b${NUM} (?:of )?(?:a )?(?:full )?(?:turns?|revolutions?|rotations?)\\b`, "g"), replace: (_, n) => `${+(n * 360).toFixed(2)} degrees` },
+    { pattern: /\bgive (?:it )?/g, replace: "rotate " },
+    { pattern: /\b(?:turn|spin|rotate) (?:it )?(?:all the way )?around\b/g, replace: "rotate right 180" },
+    { pattern: /\bflip (?:it )?(?:over|upside down)?|\bupside down\b/g, replace: "rotate down 180" },
+
+    // Small nudges
+    { pattern: /\b(?:rotate|turn|spin) (?:it )?(?:slightly (left|right|up|down)|(left|right|up|down) slightly)\b/g, replace: (_, a, b) => `rotate ${a || b} ${SMALL_ROTATE_DEG}` },
+    { pattern: /\b(?:move|shift|nudge) (?:it )?(?:slightly (\w+)|(\w+) slightly)\b/g, replace: (_, a, b) => `move ${a || b} ${SMALL_MOVE}` },
+    { pattern: /\b(?:zoom in|scale up|make (?:it )?(?:bigger|larger)) slightly\b|\b(?:make (?:it )?)?slightly (?:bigger|larger)\b/g, replace: `scale by ${SMALL_SCALE_UP}` },
+    { pattern: /\b(?:zoom out|scale down|make (?:it )?smaller) slightly\b|\b(?:make (?:it )?)?slightly smaller\b/g, replace: `scale by ${SMALL_SCALE_DOWN}` },
+
+    // Size comparisons: "make it twice as big", "three times smaller", "half the size"
+    { pattern: new RegExp(`\\b(?:make (?:it )?)?${NUM} times (?:as )?(?:big|large|bigger|larger)\\b`, "g"), replace: "scale by $1" },
+    { pattern: new RegExp(`\\b(?:make (?:it )?)?${NUM} times (?:as )?(?:small|smaller)\\b`, "g"), replace: (_, n) => `scale by ${+(1 / n).toFixed(4)}` },
+    { pattern: new RegExp(`\\b(?:make (?:it )?)?${NUM} (?:the |its )?size\\b`, "g"), replace: "scale by $1" },
+    { pattern: new RegExp(`\\b(?:make (?:it )?)?${NUM} as (?:big|large)\\b`, "g"), replace: "scale by $1" },
+    { pattern: /\b(?:make (?:it )?)?double (?:the |its )?size\b/g, replace: "scale by 2" },
+    { pattern: /\b(?:make (?:it )?)?triple (?:the |its )?size\b/g, replace: "scale by 3" },
+    { pattern: /\bmake (?:it )?(?:bigger|larger)\b|\benlarge(?: it)?\b|\bgrow(?: it)?\b/g, replace: "scale up" },
+    { pattern: /\bmake (?:it )?smaller\b|\bshrink(?: it)?\b/g, replace: "scale down" },
+
+    // "turn to the left" is a direction, not the absolute "rotate to ..." (unless an amount follows)
+    { pattern: /\b(turn|rotate|spin|move|shift) (?:it )?(?:over )?to the (left|right|up|down)\b(?! \d)/g, replace: "$1 $2" },
+
+    // Depth
+    { pattern: /\bbring (?:it )?(?:closer|forward|nearer)\b/g, replace: "move closer" },
+    { pattern: /\bpush (?:it )?(?:away|back)\b/g, replace: "move away" },
+
+    // Session
+    { pattern: /\b(?:start|keep) (?:it )?spinning\b/g, replace: "autospin on" },
+    { pattern: /\bstop (?:it )?spinning\b|\bstop the spin\b/g, replace: "autospin off" },
+    { pattern: /\b(?:go to |show |switch to )(?:the )?(next|previous)(?: one| model)?\b/g, replace: "$1 model" },
+
+    { pattern: /\b(?:start over|put it back|back to normal|go back to (?:the )?start)\b/g, replace: "reset" },
+
+    // History and viewpoints (see ViewHistory.js)
+    { pattern: /\b(?:undo that|take that back|go back(?! to))\b/g, replace: "undo" },
+    { pattern: /\bredo that\b/g, replace: "redo" },
+    { pattern: /\b(?:save|remember|store) (?:this|the current) (?:view|angle) as\b/g, replace: "save view" },
+    { pattern: /\b(?:go|switch|jump) (?:back )?to (?:the )?(\w+) (?:view|angle)\b/g, replace: "go to view $1" },
+
+    // Look (see ShaderPresets.js)
+    { pattern: new RegExp(`\\b(?:make|turn|paint) (?:it |the hologram )?${COLOR}\\b`, "g"), replace: "color $1" },
+    { pattern: /\b(?:switch to|change to|use|go with) (?:the )?([a-z -]+?) (?:style|look|preset|theme)\b/g, replace: "style $1" },
+];
+
+export const DEFAULT_GRAMMAR = {
+    phrases: DEFAULT_PHRASES,
+    fillers: DEFAULT_FILLERS,
+    minConfidence: 0.5,
+    maxAlternatives: 3,
+};
+
+// Enough digits that "two thirds of a turn" still comes out as 240 degrees
+function formatNumber(v) {
+    return String(+v.toFixed(6));
+}
+
+function isDigits(w) {
+    return /^\d+(?:\.\d+)?$/.test(w);
+}
+
+function isNumberWord(w) {
+    return w in UNITS || w in TENS || w in SCALES || isDigits(w);
+}
+
+const isDigitWord = (w) => w in UNITS && UNITS[w] < 10;
+
+// "forty-five" and "two-thirds", as speech recognition writes them, -> separate words
+function splitHyphenated(word) {
+    const parts = word.split("-");
+    return parts.length > 1 && parts.every((p) => isNumberWord(p) || ORDINALS[p]) ? parts : [word];
+}
+
+// Reads one spoken number starting at words[i]; returns { value, next } or null.
+function readSpokenNumber(words, i) {
+    let sign = 1;
+    if (SIGNS[words[i]] && (isNumberWord(words[i + 1]) || words[i + 1] === "a")) {
+        sign = SIGNS[words[i]];
+        i++;
+    }
+
+    const w = words[i];
+
+    // "a half", "a quarter", "a third"
+    if ((w === "a" || w === "an") && ORDINALS[words[i + 1]]) {
+        return { value: sign / ORDINALS[words[i + 1]], next: i + 2 };
+    }
+    // "half", "quarter" on their own
+    if (w === "half" || w === "quarter") {
+        return { value: sign / ORDINALS[w], next: i + 1 };
+    }
+
+    // "four five", digit by digit -> 45
+    if (isDigitWord(w) && isDigitWord(words[i + 1])) {
+        let digits = "";
+        while (isDigitWord(words[i])) digits += UNITS[words[i++]];
+        return finishNumber(words, i, sign, parseFloat(digits));
+    }
+
+    let total = 0, current = 0, seen = false;
+    // What the last word filled in, so "five four" isn't read as 9: "units" take nothing
+    // more, "tens" a single digit, a scale ("hundred") anything smaller
+    let last = null;
+    // "a hundred"
+    if ((w === "a" || w === "an") && SCALES[words[i + 1]]) {
+        current = 1;
+        seen = true;
+        last = "units";
+        i++;
+    }
+
+    while (i < words.length) {
+        const t = words[i];
+        if (isDigits(t) && !seen) {
+            current = parseFloat(t);
+            seen = true;
+            last = "units";
+        } else if (t in UNITS && (last === null || last === "scale" || (last === "tens" && UNITS[t] > 0 && UNITS[t] < 10))) {
+            current += UNITS[t];
+            seen = true;
+            last = "units";
+        } else if (t in TENS && (last === null || last === "scale")) {
+            current += TENS[t];
+            seen = true;
+            last = "tens";
+        } else if (t in SCALES && seen && last !== "scale") {
+            if (SCALES[t] === 100) current *= 100;
+            else { total += current * SCALES[t]; current = 0; }
+            last = "scale";
+        } else if (t === "and" && last === "scale" && (words[i + 1] in UNITS || words[i + 1] in TENS)) {
+            // "one hundred and twenty"
+        } else {
+            break;
+        }
+        i++;
+    }
+
+    if (!seen) return null;
+    return finishNumber(words, i, sign, total + current);
+}
+
+// The decimals, fraction or "and a half" after the whole part of a spoken number
+function finishNumber(words, i, sign, whole) {
+    let value = whole;
+
+    // "two point five"
+    if (words[i] === "point" && (words[i + 1] in UNITS || isDigits(words[i + 1]))) {
+        let digits = "";
+        i++;
+        while (i < words.length && (words[i] in UNITS && UNITS[words[i]] < 10 || /^\d+$/.test(words[i]))) {
+            digits += words[i] in UNITS ? UNITS[words[i]] : words[i];
+            i++;
+        }
+        value = parseFloat(`${value}.${digits}`);
+    }
+
+    // "three quarters", "two thirds", "one half"
+    if (ORDINALS[words[i]]) {
+        return { value: sign * value / ORDINALS[words[i]], next: i + 1 };
+    }
+
+    // "one and a half"
+    if (words[i] === "and" && words[i + 1] === "a" && ORDINALS[words[i + 2]]) {
+        return { value: sign * (value + 1 / ORDINALS[words[i + 2]]), next: i + 3 };
+    }
+
+    return { value: sign * value, next: i };
+}
+
+/**
+ * Replaces spoken numbers in a transcript with digits:
+ * "rotate left forty five degrees" -> "rotate left 45 degrees".
+ */
+export function wordsToNumbers(text) {
+    const words = text.split(/\s+/).filter(Boolean).flatMap(splitHyphenated);
+    const out = [];
+    let i = 0;
+
+    while (i < words.length) {
+        if (MULTIPLES[words[i]]) {
+            out.push(String(MULTIPLES[words[i]]), "times");
+            i++;
+            continue;
+        }
+        const num = readSpokenNumber(words, i);
+        if (num) {
+            out.push(formatNumber(num.value));
+            i = num.next;
+        } else {
+            out.push(words[i]);
+            i++;
+        }
+    }
+
+    return out.join(" ");
+}
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Normalises one transcript into a command string, without validating it.
+ */
+export function normalizeSpeech(transcript, grammar = DEFAULT_GRAMMAR) {
+    let text = (transcript || "").toLowerCase().replace(/[^a-z0-9'.%°\-\s]/g, " ");
+
+    // Longest fillers first so "could you" goes before "you"-less matches
+    const fillers = [...(grammar.fillers || [])].sort((a, b) => b.length - a.length);
+    for (const f of fillers) {
+        text = text.replace(new RegExp(`\\b${escapeRegExp(f)}\\b`, "g"), " ");
+    }
+
+    text = wordsToNumbers(text.replace(/\s+/g, " ").trim());
+
+    for (const rule of grammar.phrases || []) {
+        text = text.replace(rule.pattern, rule.replace);
+    }
+
+    return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Picks the first recognition alternative that yields a valid command.
+ * `alternatives` is an array of { transcript, confidence } (a SpeechRecognitionResult
+ * spread into an array works). Returns { command, transcript, confidence } or null.
+ */
+export default function interpretSpeech(alternatives, grammar = DEFAULT_GRAMMAR) {
+    const list = Array.isArray(alternatives) ? alternatives : [{ transcript: alternatives, confidence: 1 }];
+    const minConfidence = grammar.minConfidence ?? 0;
+
+    for (let i = 0; i < list.length; i++) {
+        const alt = list[i];
+        // Some engines report 0 for alternatives they didn't score; trust the top one regardless
+        const confidence = alt.confidence || (i === 0 ? 1 : 0);
+        if (confidence < minConfidence) continue;
+
+        const command = normalizeSpeech(alt.transcript, grammar);
+        if (command && !parseCommand(command).errors.length) {
+            return { command, transcript: alt.transcript, confidence };
+        }
+    }
+
+    return null;
+}
+
+export const DEFAULT_WAKE_WORDS = ["janisa", "janissa", "jenisa", "janisse"];
+
+/**
+ * Removes a leading wake word: "Janisa, rotate left" -> "rotate left". Only `fillers`
+ * ("hey", "okay", ...) may come before it, so a name said mid-sentence doesn't count.
+ * Returns null when the transcript doesn't start with a wake word and "" when
+ * the wake word was said on its own.
+ */
+export function stripWakeWord(transcript, wakeWords = DEFAULT_WAKE_WORDS, fillers = DEFAULT_FILLERS) {
+    const text = (transcript || "").toLowerCase().replace(/[^a-z0-9'.%°\-\s]/g, " ").trim();
+    const lead = fillers.map((f) => `${escapeRegExp(f)}\\s+`).join("|");
+    for (const word of wakeWords) {
+        const m = new RegExp(`^(?:${lead})*${escapeRegExp(word)}\\b`).exec(text);
+        if (m) return text.slice(m[0].length).trim();
+    }
+    return null;
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import interpretSpeech, { wordsToNumbers, normalizeSpeech, stripWakeWord } from "./VoiceGrammar";
+
+describe("wordsToNumbers", () => {
+    it("reads spoken numbers", () => {
+        expect(wordsToNumbers("rotate left forty five degrees")).toBe("rotate left 45 degrees");
+        expect(wordsToNumbers("one hundred and twenty")).toBe("120");
+        expect(wordsToNumbers("two thousand five hundred")).toBe("2500");
+        expect(wordsToNumbers("a hundred")).toBe("100");
+        expect(wordsToNumbers("two point five")).toBe("2.5");
+        expect(wordsToNumbers("minus three")).toBe("-3");
+    });
+
+    it("reads hyphenated tens as speech recognition writes them", () => {
+        expect(wordsToNumbers("rotate left forty-five")).toBe("rotate left 45");
+        expect(wordsToNumbers("two-thirds")).toBe("0.666667");
+        // Other hyphenated words are left alone
+        expect(wordsToNumbers("auto-spin on")).toBe("auto-spin on");
+    });
+
+    it("joins digits said one by one instead of adding them up", () => {
+        expect(wordsToNumbers("rotate left four five")).toBe("rotate left 45");
+        expect(wordsToNumbers("one two zero")).toBe("120");
+        expect(wordsToNumbers("four five point five")).toBe("45.5");
+        // A number can't take another one of the same size after it
+        expect(wordsToNumbers("twenty thirty")).toBe("20 30");
+        expect(wordsToNumbers("twelve five")).toBe("12 5");
+    });
+
+    it("reads fractions and ordinals", () => {
+        expect(wordsToNumbers("a half")).toBe("0.5");
+        expect(wordsToNumbers("a third")).toBe("0.333333");
+        expect(wordsToNumbers("three quarters")).toBe("0.75");
+        expect(wordsToNumbers("one and a half")).toBe("1.5");
+        expect(wordsToNumbers("twice")).toBe("2 times");
+    });
+});
+
+describe("normalizeSpeech", () => {
+    it("turns fractions of a turn into degrees", () => {
+        expect(normalizeSpeech("rotate left a third of a turn")).toBe("rotate left 120 degrees");
+        expect(normalizeSpeech("turn right two thirds of a turn")).toBe("turn right 240 degrees");
+        expect(normalizeSpeech("rotate left half a turn")).toBe("rotate left 180 degrees");
+        expect(normalizeSpeech("rotate right a quarter turn")).toBe("rotate right 90 degrees");
+    });
+
+    it("drops fillers and rewrites casual phrases", () => {
+        expect(normalizeSpeech("um could you rotate left forty-five degrees please")).toBe("rotate left 45 degrees");
+        expect(normalizeSpeech("make it twice as big")).toBe("scale by 2");
+        expect(normalizeSpeech("rotate it a bit left")).toBe("rotate left 15");
+        expect(normalizeSpeech("go back")).toBe("undo");
+    });
+
+    it("leaves only the name or direction after \"back to\" and \"to the\"", () => {
+        expect(normalizeSpeech("go back to the front view")).toBe("go to view front");
+        expect(normalizeSpeech("switch to the top angle")).toBe("go to view top");
+        expect(normalizeSpeech("turn to the left")).toBe("turn left");
+        expect(normalizeSpeech("move it to the right")).toBe("move right");
+        expect(normalizeSpeech("rotate to the right 45 degrees")).toBe("rotate to the right 45 degrees");
+    });
+});
+
+describe("interpretSpeech", () => {
+    it("takes the first confident alternative that parses", () => {
+        const match = interpretSpeech([
+            { transcript: "rotate lift four five", confidence: 0.9 },
+            { transcript: "rotate left four five", confidence: 0.3 },
+            { transcript: "rotate left forty-five", confidence: 0.7 },
+        ]);
+        expect(match).toMatchObject({ command: "rotate left 45", confidence: 0.7 });
+        expect(interpretSpeech("dance for me")).toBe(null);
+        expect(interpretSpeech("go back to the front view")).toMatchObject({ command: "go to view front" });
+        expect(interpretSpeech("turn to the left")).toMatchObject({ command: "turn left" });
+    });
+});
+
+describe("stripWakeWord", () => {
+    it("takes the wake word only at the start, after fillers", () => {
+        expect(stripWakeWord("Janisa, rotate left")).toBe("rotate left");
+        expect(stripWakeWord("Hey Janissa rotate left")).toBe("rotate left");
+        expect(stripWakeWord("okay, um, Janisa")).toBe("");
+        expect(stripWakeWord("I was telling Janisa about it")).toBe(null);
+        expect(stripWakeWord("rotate left janisa")).toBe(null);
+        expect(stripWakeWord("Janice, rotate left")).toBe(null);
+    });
+});
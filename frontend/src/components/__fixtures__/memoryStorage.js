@@ -0,0 +1,13 @@
+// memoryStorage.js
+// A stand-in for localStorage in tests: the getItem / setItem half, kept in memory, so each
+// test starts from empty storage and can't see another's saves.
+
+export function memoryStorage() {
+    const items = {};
+    return {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+    };
+}
+
+export default memoryStorage;
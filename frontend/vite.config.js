@@ -1,7 +1,41 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const MEDIAPIPE_WASM_DIR = fileURLToPath(new URL('./node_modules/@mediapipe/tasks-vision/wasm', import.meta.url))
+const MEDIAPIPE_WASM_URL = '/mediapipe/wasm/'
+
+// Serves the MediaPipe wasm fileset from node_modules in dev and copies it into the build,
+// so hand tracking works without a CDN (see TRACKER_ASSETS in HandTracker.js).
+// The hand model itself goes in public/mediapipe: `npm run fetch-hand-model`.
+function mediapipeWasm() {
+  return {
+    name: 'mediapipe-wasm',
+    configureServer(server) {
+      server.middlewares.use(MEDIAPIPE_WASM_URL, (req, res, next) => {
+        const file = path.join(MEDIAPIPE_WASM_DIR, path.basename(req.url.split('?')[0]))
+        if (!fs.existsSync(file)) return next()
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript')
+        fs.createReadStream(file).pipe(res)
+      })
+    },
+    generateBundle() {
+      for (const name of fs.readdirSync(MEDIAPIPE_WASM_DIR)) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${MEDIAPIPE_WASM_URL.slice(1)}${name}`,
+          source: fs.readFileSync(path.join(MEDIAPIPE_WASM_DIR, name)),
+        })
+      }
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mediapipeWasm()],
+  // HandTrackerWorker.js is a module worker in dev; build it as one too
+  worker: { format: 'es' },
 })